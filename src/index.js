@@ -8,22 +8,30 @@ class KAnime {
 
   /**
    * Creates an instance of KAnime.
+   * @param {string|Element|Document|Window|NodeList|HTMLCollection|Array|KAnime} selector
+   * @param {string|Element|Document|KAnime} [context=document] - Scopes a selector string query.
    * @example
    * // Select elements by CSS selector
    * const el = new KAnime('.my-class');
    * // Or use the global shortcut
    * const el = k('.my-class');
+   * // Scoped to a context
+   * const items = k('li', '#menu');
    */
-  constructor(selector) {
+  constructor(selector, context = document) {
     if (!KAnime.kIsModernBrowser()) {
       throw new Error('Your browser is incompatible with the KAnime library. Please update to a recent version.');
     }
 
     if (typeof selector === 'string') {
-      this.elements = Array.from(document.querySelectorAll(selector));
-    } else if (selector instanceof HTMLElement) {
+      const roots = kContextRoots(context);
+      const found = roots.flatMap(root => Array.from(root.querySelectorAll(selector)));
+      this.elements = roots.length > 1 ? kDocumentOrder(found) : found;
+    } else if (selector instanceof Element || selector === document || selector === window) {
       this.elements = [selector];
-    } else if (selector instanceof NodeList || Array.isArray(selector)) {
+    } else if (selector instanceof KAnime) {
+      this.elements = selector.elements.slice();
+    } else if (selector instanceof NodeList || selector instanceof HTMLCollection || Array.isArray(selector)) {
       this.elements = Array.from(selector);
     } else {
       throw new Error('Invalid selector. Must be a string, HTMLElement, or NodeList.');
@@ -66,6 +74,181 @@ class KAnime {
     return 'querySelector' in document && 'addEventListener' in window && 'fetch' in window;
   }
 
+  /**
+   * Registers a named easing, usable by `kanime`, the fades and timelines.
+   * Called with a name only, returns the resolved easing function.
+   * Besides names, easings accept `cubic-bezier(x1, y1, x2, y2)`, `steps(n[, start|end])`
+   * and `spring(mass, stiffness, damping[, velocity])`; springs derive the animation duration
+   * from their settling time. Unknown easing names throw.
+   * @param {string} name
+   * @param {Function|string} [easing] - `t => progress`, or an easing definition string.
+   * @returns {Function|KAnime}
+   * @example
+   * KAnime.kEasing('brand', 'cubic-bezier(0.2, 0.8, 0.2, 1)');
+   * KAnime.kEasing('wobbly', 'spring(1, 180, 12)');
+   * KAnime.kEasing('quad-in', t => t * t);
+   * k('.box').kanime({ left: '200px' }, 600, 'brand');
+   * const fn = KAnime.kEasing('brand');
+   */
+  static kEasing(name, easing) {
+    if (easing === undefined) {
+      return kResolveEasing(name);
+    }
+    if (typeof easing !== 'function' && typeof easing !== 'string') {
+      throw new Error('kEasing expects a function or an easing definition string.');
+    }
+    kEasings[name] = kResolveEasing(easing);
+    return KAnime;
+  }
+
+  /**
+   * Creates a timeline to choreograph animations across elements.
+   * Steps use the same property maps and easings as `kanime`.
+   * @param {Object} [options]
+   * @param {boolean|number} [options.loop=false] - `true` to loop forever, or the number of extra iterations.
+   * @param {boolean} [options.alternate=false] - Plays every other iteration backwards.
+   * @param {number} [options.duration=400] - Default step duration.
+   * @param {string} [options.easing='linear'] - Default step easing.
+   * @param {Function} [options.onComplete]
+   * @returns {KTimeline}
+   * @example
+   * const tl = KAnime.kTimeline({ easing: 'ease-out' })
+   *   .add('.step-a', { opacity: 1 }, 400)
+   *   .add('.step-b', { left: '0px' }, { duration: 600, easing: 'cubic-out' }, '-=200')
+   *   .label('intro-done')
+   *   .add('.step-c', { opacity: 1 }, 300, 'intro-done+=100')
+   *   .play();
+   * tl.pause();
+   * tl.seek('intro-done');
+   * tl.reverse();
+   * await tl.finished;
+   * tl.cancel();
+   */
+  static kTimeline(options = {}) {
+    return new KTimeline(options);
+  }
+
+  /**
+   * Template tag escaping every interpolated value (arrays are joined, nested `kHtml`
+   * results and `KAnime.kRaw` values are kept as markup).
+   * @returns {KSafeHTML}
+   * @example
+   * const { kHtml: html } = KAnime;
+   * const row = html`<tr><td>${user.name}</td><td>${tags.map(tag => html`<b>${tag}</b>`)}</td></tr>`;
+   */
+  static kHtml(strings, ...values) {
+    return kHtml(strings, ...values);
+  }
+
+  /**
+   * Marks a trusted string as markup, so `kHtml` does not escape it.
+   * @param {string} html
+   * @returns {KSafeHTML}
+   * @example
+   * html`<div>${KAnime.kRaw(trustedIconSvg)}</div>`;
+   */
+  static kRaw(html) {
+    return new KSafeHTML(html);
+  }
+
+  /**
+   * Creates a reactive store. The returned proxy is used like the plain object; nested
+   * objects and arrays are tracked too. Changes are batched: subscribers and `kBind`
+   * bindings run once per frame.
+   *
+   * The store also exposes `kSubscribe([path,] callback)`, which returns an unsubscribe
+   * function, and `kFlush()` to apply pending changes right away. State keys with these
+   * names are returned instead of the methods.
+   * @param {Object} [initial]
+   * @returns {Proxy}
+   * @example
+   * const cart = KAnime.kState({ items: [], total: 0 });
+   * cart.kSubscribe('items', items => console.log(items.length));
+   * cart.kSubscribe((state, paths) => console.log('changed', paths));
+   * cart.items.push({ id: 1, price: 9 });
+   */
+  static kState(initial = {}) {
+    return new KStore(initial).state;
+  }
+
+  /**
+   * Parses WebVTT or SRT text into cues (times in seconds). Header, NOTE, STYLE and REGION
+   * blocks are skipped.
+   * @param {string} text
+   * @returns {Array<{id: string, start: number, end: number, text: string, settings: string}>}
+   * @example
+   * KAnime.kParseSubtitles('1\n00:00:01,000 --> 00:00:03,500\nHello');
+   * // [{ id: '1', start: 1, end: 3.5, text: 'Hello', settings: '' }]
+   */
+  static kParseSubtitles(text) {
+    return kParseSubtitles(text);
+  }
+
+  /**
+   * Converts SRT (or WebVTT) text into WebVTT.
+   * @param {string} text
+   * @returns {string}
+   * @example
+   * const vtt = KAnime.kSrtToVtt(srtText);
+   */
+  static kSrtToVtt(text) {
+    return kSerializeVtt(kParseSubtitles(text));
+  }
+
+  /**
+   * Sanitizes an HTML string with the configured allowlists (see `KAnime.kConfig`). Where the browser
+   * supports Trusted Types, the result is a `TrustedHTML` value created by the `trustedTypesPolicy`.
+   * @param {string} html
+   * @returns {string|TrustedHTML}
+   * @example
+   * const clean = KAnime.kSanitize('<img src=x onerror=alert(1)><b>Hi</b>');
+   * // '<img src="x"><b>Hi</b>'
+   * preview.innerHTML = KAnime.kSanitize(comment); // Also on pages enforcing Trusted Types
+   */
+  static kSanitize(html) {
+    return kTrustedHTML(html);
+  }
+
+  /**
+   * Reads or updates the global settings.
+   * @param {Object} [options]
+   * @param {string} [options.engine='auto'] - Animation engine: `'auto'` runs opacity, transform and filter
+   *   animations through the Web Animations API (off the main thread) and the rest with requestAnimationFrame;
+   *   `'waapi'` uses the Web Animations API for every property it supports, `'raf'` never does.
+   * @param {string} [options.reducedMotion='auto'] - `'auto'` follows the user's `prefers-reduced-motion`
+   *   setting, `'always'` and `'never'` override it.
+   * @param {number} [options.reducedDuration=0] - Longest animation (or timeline) duration (ms) when motion
+   *   is reduced; 0 jumps straight to the end state. Timelines then play a single iteration.
+   * @param {boolean} [options.sanitize=false] - Sanitizes the HTML strings given to `kAdd`, `kAddFirst`,
+   *   `kInsertBefore`, `kInsertAfter` and `kWrapWith`.
+   * @param {string[]} [options.allowedTags] - Tags kept by the sanitizer (others are unwrapped).
+   * @param {string[]} [options.allowedAttributes] - Attributes kept by the sanitizer (`data-*` and `aria-*` always are).
+   * @param {string|null} [options.trustedTypesPolicy='kanime'] - Name of the Trusted Types policy returned
+   *   values of `KAnime.kSanitize` are created with (its `createHTML` is the sanitizer), or `null` to never
+   *   create one. Sanitized insertions add the cleaned nodes directly and need no policy.
+   * @param {boolean} [options.strictMedia=true] - Media methods throw when the selection contains other
+   *   elements; `false` skips them instead.
+   * @returns {Object|KAnime} The current settings when called without arguments.
+   * @example
+   * KAnime.kConfig({ sanitize: true, allowedTags: ['b', 'i', 'a', 'p'] });
+   * KAnime.kConfig({ reducedMotion: 'always', reducedDuration: 150 });
+   * KAnime.kConfig({ engine: 'raf' });
+   * const { engine } = KAnime.kConfig();
+   */
+  static kConfig(options) {
+    if (options === undefined) {
+      return { ...kSettings };
+    }
+    if (options.engine !== undefined && !['auto', 'waapi', 'raf'].includes(options.engine)) {
+      throw new Error('Invalid engine. Must be "auto", "waapi" or "raf".');
+    }
+    if (options.reducedMotion !== undefined && !['auto', 'always', 'never'].includes(options.reducedMotion)) {
+      throw new Error('Invalid reducedMotion. Must be "auto", "always" or "never".');
+    }
+    Object.assign(kSettings, options);
+    return KAnime;
+  }
+
   /**
    * Creates a new KAnime instance for the given selector.
    * @param {string} selector
@@ -112,7 +295,7 @@ class KAnime {
   kAdd(content) {
     return this.kForEach(el => {
       if (typeof content === 'string') {
-        el.insertAdjacentHTML('beforeend', content);
+        kInsertHTML(el, 'beforeend', content);
       } else if (content instanceof HTMLElement) {
         el.appendChild(content);
       }
@@ -129,7 +312,7 @@ class KAnime {
   kAddFirst(content) {
     return this.kForEach(el => {
       if (typeof content === 'string') {
-        el.insertAdjacentHTML('afterbegin', content);
+        kInsertHTML(el, 'afterbegin', content);
       } else if (content instanceof HTMLElement) {
         el.insertBefore(content, el.firstChild);
       }
@@ -146,7 +329,7 @@ class KAnime {
   kInsertBefore(content) {
     return this.kForEach(el => {
       if (typeof content === 'string') {
-        el.insertAdjacentHTML('beforebegin', content);
+        kInsertHTML(el, 'beforebegin', content);
       } else if (content instanceof HTMLElement) {
         el.parentNode.insertBefore(content, el);
       }
@@ -163,7 +346,7 @@ class KAnime {
   kInsertAfter(content) {
     return this.kForEach(el => {
       if (typeof content === 'string') {
-        el.insertAdjacentHTML('afterend', content);
+        kInsertHTML(el, 'afterend', content);
       } else if (content instanceof HTMLElement) {
         el.parentNode.insertBefore(content, el.nextSibling);
       }
@@ -171,13 +354,78 @@ class KAnime {
   }
 
   /**
-   * Removes all selected elements from the DOM.
+   * Adds sanitized HTML to the end of each selected element, whatever the `sanitize` setting.
+   * Scripts, event-handler attributes, `javascript:` URLs and anything outside the
+   * `allowedTags`/`allowedAttributes` allowlists (see `KAnime.kConfig`) are removed.
+   * @param {string} html
+   * @returns {KAnime}
+   * @example
+   * k('.comments').kAddSafe(`<li>${comment.body}</li>`);
+   */
+  kAddSafe(html) {
+    return this.kForEach(el => kInsertHTML(el, 'beforeend', html, true));
+  }
+
+  /**
+   * Adds sanitized HTML to the start of each selected element.
+   * @param {string} html
+   * @returns {KAnime}
+   * @example
+   * k('.list').kAddFirstSafe(userHtml);
+   */
+  kAddFirstSafe(html) {
+    return this.kForEach(el => kInsertHTML(el, 'afterbegin', html, true));
+  }
+
+  /**
+   * Inserts sanitized HTML before each selected element.
+   * @param {string} html
+   * @returns {KAnime}
+   * @example
+   * k('.item').kInsertBeforeSafe(userHtml);
+   */
+  kInsertBeforeSafe(html) {
+    return this.kForEach(el => kInsertHTML(el, 'beforebegin', html, true));
+  }
+
+  /**
+   * Inserts sanitized HTML after each selected element.
+   * @param {string} html
+   * @returns {KAnime}
+   * @example
+   * k('.item').kInsertAfterSafe(userHtml);
+   */
+  kInsertAfterSafe(html) {
+    return this.kForEach(el => kInsertHTML(el, 'afterend', html, true));
+  }
+
+  /**
+   * Gets the text content of the first element, or sets the plain-text content of every element.
+   * @param {string} [value]
+   * @returns {string|KAnime}
+   * @example
+   * k('.username').kText(user.name);
+   * const title = k('h1').kText();
+   */
+  kText(value) {
+    if (value === undefined) {
+      return this.elements[0] ? this.elements[0].textContent : undefined;
+    }
+    return this.kForEach(el => {
+      el.textContent = value;
+    });
+  }
+
+  /**
+   * Removes all selected elements from the DOM, along with the listeners and viewport
+   * observers registered through KAnime on them and on their descendants.
    * @returns {KAnime}
    * @example
    * k('.item').kRemove();
    */
   kRemove() {
     return this.kForEach(el => {
+      kCleanupElement(el);
       if (el.parentNode) {
         el.parentNode.removeChild(el);
       }
@@ -205,9 +453,14 @@ class KAnime {
    */
   kWrapWith(wrapper) {
     return this.kForEach(el => {
-      const wrapElement = typeof wrapper === 'string'
-        ? document.createElement('div').insertAdjacentHTML('afterbegin', wrapper).firstElementChild
-        : wrapper.cloneNode(true);
+      let wrapElement;
+      if (typeof wrapper === 'string') {
+        const container = document.createElement('div');
+        kInsertHTML(container, 'afterbegin', wrapper);
+        wrapElement = container.firstElementChild;
+      } else {
+        wrapElement = wrapper.cloneNode(true);
+      }
 
       el.parentNode.insertBefore(wrapElement, el);
       wrapElement.appendChild(el);
@@ -233,626 +486,6350 @@ class KAnime {
   }
 
   // =========================
-  // Event Handling (with delegation)
+  // Rendering
   // =========================
 
   /**
-   * Adds event listeners to the selected elements.
-   * Supports delegation if a selector is passed as the second argument.
-   * @param {string} events
-   * @param {Function|string} handlerOrSelector - Handler function or selector for delegation.
-   * @param {Function} [handler] - Handler function if delegation is used.
+   * Renders one template per item into each selected element, reconciling by key: unchanged
+   * items keep their DOM node (with its focus, scroll position and listeners), and only new,
+   * changed, moved or removed items touch the DOM. The container's content is managed by kRender.
+   * The template receives `(item, index, html)` and must return markup built with the `html` tag
+   * (also `KAnime.kHtml`), whose values are escaped unless wrapped in `KAnime.kRaw`.
+   * Each template must return a single root element, and keys must be unique.
+   * @param {Function} templateFn - `(item, index, html) => KSafeHTML`
+   * @param {Array} data
+   * @param {Object} [options]
+   * @param {string|Function} [options.key] - Item property, or `(item, index) => key`. Defaults to the index.
    * @returns {KAnime}
    * @example
-   * // Direto
-   * k('.btn').kListen('click', e => alert('Clicked!'));
-   * // Delegação
-   * k('.container').kListen('click', 'button', e => alert(e.target.textContent));
+   * k('#results').kRender(
+   *   (item, index, html) => html`<li class="result">${item.title}</li>`,
+   *   results,
+   *   { key: 'id' }
+   * );
    */
-  kListen(events, handlerOrSelector, handler) {
-    const eventList = events.split(/[,\s]+/);
-    return this.kForEach(el => {
-      eventList.forEach(event => {
-        if (typeof handlerOrSelector === 'string' && typeof handler === 'function') {
-          // Delegated event
-          el.addEventListener(event, function(e) {
-            if (e.target.closest(handlerOrSelector) && el.contains(e.target)) {
-              handler.call(e.target, e);
-            }
-          });
-        } else if (typeof handlerOrSelector === 'function') {
-          // Direct event
-          el.addEventListener(event, e => handlerOrSelector.call(el, e));
+  kRender(templateFn, data, options = {}) {
+    const items = Array.from(data || []);
+    return this.kForEach(container => {
+      // Every template runs before the DOM is touched, so an invalid one changes nothing
+      const keys = new Set();
+      const rendered = items.map((item, index) => {
+        const key = String(kRenderKey(item, index, options.key));
+        if (keys.has(key)) {
+          throw new Error(`kRender found the duplicate key "${key}".`);
+        }
+        keys.add(key);
+        const output = templateFn(item, index, kHtml);
+        if (!(output instanceof KSafeHTML)) {
+          throw new Error('kRender templates must return markup built with the html tag (or KAnime.kRaw).');
+        }
+        return { key, html: output.html };
+      });
+
+      const existing = new Map();
+      Array.from(container.childNodes).forEach(node => {
+        if (node.nodeType === 1 && node.hasAttribute('data-k-key')) {
+          existing.set(node.getAttribute('data-k-key'), node);
+        } else {
+          container.removeChild(node);
+        }
+      });
+
+      const nodes = rendered.map(({ key, html }) => {
+        const current = existing.get(key);
+        existing.delete(key);
+
+        if (current && kRenderedHTML.get(current) === html) {
+          return current;
+        }
+        const node = kCreateRenderNode(container, html, key);
+        if (current && current.isEqualNode(node)) {
+          kRenderedHTML.set(current, html);
+          return current;
+        }
+        if (current) {
+          kCleanupElement(current);
+          container.replaceChild(node, current);
+        }
+        return node;
+      });
+
+      existing.forEach(node => {
+        kCleanupElement(node);
+        container.removeChild(node);
+      });
+
+      nodes.forEach((node, index) => {
+        if (container.children[index] !== node) {
+          container.insertBefore(node, container.children[index] || null);
         }
       });
     });
   }
 
+  // =========================
+  // State & Binding
+  // =========================
+
   /**
-   * Removes event listeners from the selected elements.
-   * @param {string} event
-   * @param {Function} handler
+   * Binds the `data-k-*` attributes of the selected elements and their descendants to a
+   * `KAnime.kState` store. Bound elements are written right away, then once per frame after
+   * the store changes. Calling it again binds elements added since.
+   *
+   * - `data-k-text="user.name"`: text content
+   * - `data-k-attr="href: link.url; title: link.title"`: attributes (removed when `null`/`false`)
+   * - `data-k-class="active: selected; muted: !enabled"`: toggled classes, or `data-k-class="theme"` for a class name
+   * - `data-k-show="open"`: shown with `kShowFade`, hidden with `kHideFade`
+   * - `data-k-model="form.email"`: two-way value of inputs, checkboxes (booleans or arrays), radios and selects
+   *
+   * Paths can be negated with `!`.
+   * @param {Proxy} state - Store returned by `KAnime.kState`.
    * @returns {KAnime}
    * @example
-   * k('.btn').kRemoveListener('click', handler);
+   * const state = KAnime.kState({ user: { name: 'Ana' }, open: false });
+   * k('#app').kBind(state);
+   * state.open = true; // fades in every [data-k-show="open"] on the next frame
    */
-  kRemoveListener(event, handler) {
-    return this.kForEach(el => el.removeEventListener(event, handler));
+  kBind(state) {
+    const store = kStores.get(state);
+    if (!store) {
+      throw new Error('kBind expects a store created with KAnime.kState.');
+    }
+    return this.kForEach(root => {
+      const elements = root.querySelectorAll ? Array.from(root.querySelectorAll(kBindingSelector)) : [];
+      if (root.matches && root.matches(kBindingSelector)) {
+        elements.unshift(root);
+      }
+      elements.forEach(el => store.kBindElement(el));
+    });
   }
 
   /**
-   * Adds a one-time event listener to the selected elements.
-   * @param {string} event
-   * @param {Function} handler
+   * Removes the `kBind` bindings of the selected elements and their descendants.
+   * @param {Proxy} [state] - Only unbind from this store.
    * @returns {KAnime}
    * @example
-   * k('.btn').kOnce('click', () => alert('Clicked once!'));
+   * k('#app').kUnbind();
    */
-  kOnce(event, handler) {
-    return this.kForEach(el => {
-      const onceHandler = (e) => {
-        handler(e);
-        el.removeEventListener(event, onceHandler);
-      };
-      el.addEventListener(event, onceHandler);
+  kUnbind(state) {
+    const store = state && kStores.get(state);
+    return this.kForEach(root => {
+      [root, ...(root.querySelectorAll ? root.querySelectorAll(kBindingSelector) : [])]
+        .forEach(el => kUnbindElement(el, store));
     });
   }
 
+  // =========================
+  // Traversal
+  // =========================
+
   /**
-   * Triggers an event on the selected elements.
-   * @param {string} event
+   * Finds the descendants of the selected elements matching a selector.
+   * @param {string} selector
    * @returns {KAnime}
    * @example
-   * k('.btn').kDispatch('click');
+   * k('.menu').kFind('a.active');
    */
-  kDispatch(event) {
-    return this.kForEach(el => {
-      const evt = new Event(event, { bubbles: true, cancelable: true });
-      el.dispatchEvent(evt);
-    });
+  kFind(selector) {
+    return new KAnime(kDocumentOrder(this.elements.flatMap(el => (el.querySelectorAll ? Array.from(el.querySelectorAll(selector)) : []))));
   }
 
   /**
-   * Adds mouseenter and mouseleave event listeners.
-   * @param {Function} mouseEnterHandler
-   * @param {Function} mouseLeaveHandler
+   * Gets the parent of each selected element, optionally filtered by a selector.
+   * @param {string} [selector]
    * @returns {KAnime}
    * @example
-   * k('.item').kHover(
-   *   () => console.log('Mouse in'),
-   *   () => console.log('Mouse out')
-   * );
+   * k('.item').kParent();
    */
-  kHover(mouseEnterHandler, mouseLeaveHandler) {
-    return this.kForEach(el => {
-      el.addEventListener('mouseenter', mouseEnterHandler);
-      el.addEventListener('mouseleave', mouseLeaveHandler);
-    });
+  kParent(selector) {
+    return kTraverse(this, el => el.parentElement, selector);
   }
 
-  // =========================
-  // Animation (with expanded easings)
-  // =========================
-
   /**
-   * Shows the elements with a fade-in animation.
+   * Gets every ancestor of the selected elements, optionally filtered by a selector.
+   * @param {string} [selector]
    * @returns {KAnime}
    * @example
-   * k('.box').kShowFade();
+   * k('.item').kParents('.panel');
    */
-  kShowFade() {
-    return this.kForEach(el => {
-      if (window.getComputedStyle(el).display === 'none') {
-        el.style.display = 'block';
-        el.style.opacity = 0;
+  kParents(selector) {
+    return kTraverse(this, el => {
+      const parents = [];
+      for (let parent = el.parentElement; parent; parent = parent.parentElement) {
+        parents.push(parent);
       }
-      el.style.transition = `opacity ${this.kDuration}ms ease-in-out`;
-      void el.offsetWidth;
-      requestAnimationFrame(() => {
-        el.style.opacity = 1;
-      });
-    });
+      return parents;
+    }, selector);
   }
 
   /**
-   * Hides the elements with a fade-out animation.
+   * Gets the closest element (itself included) matching a selector for each selected element.
+   * @param {string} selector
    * @returns {KAnime}
    * @example
-   * k('.box').kHideFade();
+   * k(event.target).kClosest('.card');
    */
-  kHideFade() {
-    return this.kForEach(el => {
-      el.style.opacity = 1;
-      el.style.transition = `opacity ${this.kDuration}ms ease-in-out`;
-      void el.offsetWidth;
-      requestAnimationFrame(() => {
-        el.style.opacity = 0;
-        setTimeout(() => {
-          el.style.display = 'none';
-        }, this.kDuration);
-      });
-    });
+  kClosest(selector) {
+    return kTraverse(this, el => (el.closest ? el.closest(selector) : null));
   }
 
   /**
-   * Toggles fade-in/fade-out based on visibility.
+   * Gets the child elements of the selected elements, optionally filtered by a selector.
+   * @param {string} [selector]
    * @returns {KAnime}
    * @example
-   * k('.box').kToggleFade();
+   * k('.list').kChildren('li');
    */
-  kToggleFade() {
-    return this.kForEach(el => {
-      const isHidden = window.getComputedStyle(el).display === 'none';
-      if (isHidden) {
-        this.kShowFade();
-      } else {
-        this.kHideFade();
-      }
-    });
+  kChildren(selector) {
+    return kTraverse(this, el => Array.from(el.children || []), selector);
   }
 
   /**
-   * Animates CSS properties of the selected elements.
-   * @param {Object} properties - CSS properties and their target values.
-   * @param {number} duration - Animation duration in milliseconds.
-   * @param {string} [easing='linear'] - Easing function: 'linear', 'ease', 'ease-in', etc.
-   * @param {Function} [callback] - Callback to execute after animation ends.
+   * Gets the siblings of the selected elements, optionally filtered by a selector.
+   * @param {string} [selector]
    * @returns {KAnime}
    * @example
-   * k('.box').kanime({ left: '200px', opacity: 0.5 }, 600, 'ease', () => {
-   *   console.log('Animation finished!');
-   * });
+   * k('.tab.active').kSiblings().kRemoveClass('active');
    */
-  kanime(properties, duration = 400, easing = 'linear', callback) {
-    // Expanded easings
-    const easings = {
-      linear: t => t,
-      ease: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
-      'ease-in': t => t * t,
-      'ease-out': t => t * (2 - t),
-      'ease-in-out': t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
-      'cubic-in': t => t * t * t,
-      'cubic-out': t => (--t) * t * t + 1,
-      'cubic-in-out': t => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1,
-      'bounce': t => {
-        const n1 = 7.5625, d1 = 2.75;
-        if (t < 1 / d1) return n1 * t * t;
-        else if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
-        else if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
-        else return n1 * (t -= 2.625 / d1) * t + 0.984375;
-      },
-      'elastic': t => {
-        return t === 0
-          ? 0
-          : t === 1
-          ? 1
-          : -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * ((2 * Math.PI) / 3));
-      }
-    };
-
-    return this.kForEach(el => {
-      const start = {};
-      const end = {};
-      const units = {};
-      for (const prop in properties) {
-        const computed = window.getComputedStyle(el)[prop];
-        const match = /^([\d.+-]+)([a-z%]*)$/i.exec(computed);
-        start[prop] = match ? parseFloat(match[1]) : 0;
-        units[prop] = match ? match[2] : '';
-        end[prop] = parseFloat(properties[prop]);
-      }
-      const startTime = performance.now();
-      const animateFrame = now => {
-        const elapsed = now - startTime;
-        const t = Math.min(1, elapsed / duration);
-        const easeT = easings[easing] ? easings[easing](t) : t;
-        for (const prop in properties) {
-          const value = start[prop] + (end[prop] - start[prop]) * easeT;
-          el.style[prop] = value + units[prop];
-        }
-        if (t < 1) {
-          requestAnimationFrame(animateFrame);
-        } else if (typeof callback === 'function') {
-          callback.call(el);
-        }
-      };
-      requestAnimationFrame(animateFrame);
-    });
+  kSiblings(selector) {
+    const siblings = kTraverse(this, el => (el.parentElement ? Array.from(el.parentElement.children).filter(child => child !== el) : []), selector);
+    siblings.elements = kDocumentOrder(siblings.elements);
+    return siblings;
   }
 
-  // =========================
-  // Media
-  // =========================
-
   /**
-   * Plays the selected <video> or <audio> elements.
+   * Gets the next sibling element of each selected element, optionally filtered by a selector.
+   * @param {string} [selector]
    * @returns {KAnime}
    * @example
-   * k('video').kPlayMedia();
+   * k('.accordion-header').kNext();
    */
-  kPlayMedia() {
-    return this.kForEach(el => {
-      if (el.tagName === 'VIDEO' || el.tagName === 'AUDIO') {
-        el.play();
-      } else {
-        throw new Error('kPlayMedia can only be used on <video> or <audio> elements.');
-      }
-    });
+  kNext(selector) {
+    return kTraverse(this, el => el.nextElementSibling, selector);
   }
 
   /**
-   * Pauses the selected <video> or <audio> elements.
+   * Gets the previous sibling element of each selected element, optionally filtered by a selector.
+   * @param {string} [selector]
    * @returns {KAnime}
    * @example
-   * k('video').kPauseMedia();
+   * k('.step.current').kPrev();
    */
-  kPauseMedia() {
-    return this.kForEach(el => {
-      if (el.tagName === 'VIDEO' || el.tagName === 'AUDIO') {
-        el.pause();
-      } else {
-        throw new Error('kPauseMedia can only be used on <video> or <audio> elements.');
-      }
-    });
+  kPrev(selector) {
+    return kTraverse(this, el => el.previousElementSibling, selector);
   }
 
   /**
-   * Toggles play/pause for <video> or <audio> elements.
+   * Keeps the selected elements matching a selector or a predicate.
+   * @param {string|Function} selector - Selector, or `(el, index) => boolean`.
    * @returns {KAnime}
    * @example
-   * k('video').kToggleMedia();
+   * k('li').kFilter('.visible');
+   * k('input').kFilter(el => el.value === '');
    */
-  kToggleMedia() {
-    return this.kForEach(el => {
-      if (el.tagName === 'VIDEO' || el.tagName === 'AUDIO') {
-        if (el.paused) {
-          el.play();
-        } else {
-          el.pause();
-        }
-      } else {
-        throw new Error('kToggleMedia can only be used on <video> or <audio> elements.');
-      }
-    });
+  kFilter(selector) {
+    return new KAnime(this.elements.filter((el, index) => kMatches(el, selector, index)));
   }
 
   /**
-   * Sets the volume for <video> or <audio> elements.
-   * @param {number} value
+   * Removes the selected elements matching a selector, a predicate or the given elements.
+   * @param {string|Function|Element|KAnime} selector
    * @returns {KAnime}
    * @example
-   * k('video').kSetVolume(0.5);
+   * k('li').kNot('.disabled');
    */
-  kSetVolume(value) {
-    return this.kForEach(el => {
-      if (el.tagName === 'VIDEO' || el.tagName === 'AUDIO') {
-        el.volume = Math.min(Math.max(value, 0), 1);
-      } else {
-        throw new Error('kSetVolume can only be used on <video> or <audio> elements.');
-      }
-    });
+  kNot(selector) {
+    return new KAnime(this.elements.filter((el, index) => !kMatches(el, selector, index)));
   }
 
   /**
-   * Mutes <video> or <audio> elements.
+   * Gets the element at the given index (negative indexes count from the end).
+   * @param {number} index
    * @returns {KAnime}
    * @example
-   * k('video').kMuteMedia();
+   * k('li').kEq(2);
+   * k('li').kEq(-1);
    */
-  kMuteMedia() {
-    return this.kForEach(el => {
-      if (el.tagName === 'VIDEO' || el.tagName === 'AUDIO') {
-        el.muted = true;
-      } else {
-        throw new Error('kMuteMedia can only be used on <video> or <audio> elements.');
-      }
-    });
+  kEq(index) {
+    const el = this.elements[index < 0 ? this.elements.length + index : index];
+    return new KAnime(el ? [el] : []);
   }
 
   /**
-   * Unmutes <video> or <audio> elements.
+   * Gets the first selected element.
    * @returns {KAnime}
    * @example
-   * k('video').kUnmuteMedia();
+   * k('li').kFirst();
    */
-  kUnmuteMedia() {
-    return this.kForEach(el => {
-      if (el.tagName === 'VIDEO' || el.tagName === 'AUDIO') {
-        el.muted = false;
-      } else {
-        throw new Error('kUnmuteMedia can only be used on <video> or <audio> elements.');
-      }
-    });
+  kFirst() {
+    return this.kEq(0);
   }
 
   /**
-   * Seeks to a specific time in <video> or <audio> elements.
-   * @param {number} time
+   * Gets the last selected element.
    * @returns {KAnime}
    * @example
-   * k('video').kSeekMedia(10);
+   * k('li').kLast();
    */
-  kSeekMedia(time) {
-    return this.kForEach(el => {
-      if (el.tagName === 'VIDEO' || el.tagName === 'AUDIO') {
-        el.currentTime = Math.max(0, Math.min(time, el.duration || 0));
-      } else {
-        throw new Error('kSeekMedia can only be used on <video> or <audio> elements.');
-      }
-    });
+  kLast() {
+    return this.kEq(-1);
   }
 
   /**
-   * Gets the current playback time of the first <video> or <audio> element.
-   * @returns {number}
+   * Checks if at least one selected element matches a selector, a predicate or the given elements.
+   * @param {string|Function|Element|KAnime} selector
+   * @returns {boolean}
    * @example
-   * const t = k('video').kGetMediaTime();
+   * if (k(this).kIs('.active')) { ... }
    */
-  kGetMediaTime() {
-    if (this.elements[0].tagName === 'VIDEO' || this.elements[0].tagName === 'AUDIO') {
-      return this.elements[0].currentTime;
-    } else {
-      throw new Error('kGetMediaTime can only be used on <video> or <audio> elements.');
-    }
+  kIs(selector) {
+    return this.elements.some((el, index) => kMatches(el, selector, index));
   }
 
+  // =========================
+  // Event Handling (with delegation)
+  // =========================
+
   /**
-   * Gets the duration of the first <video> or <audio> element.
-   * @returns {number}
+   * Adds event listeners to the selected elements.
+   * Supports delegation if a selector is passed as the second argument,
+   * and jQuery-style namespaces (`click.menu`) for later removal.
+   * @param {string} events
+   * @param {Function|string} handlerOrSelector - Handler function or selector for delegation.
+   * @param {Function|Object} [handler] - Handler function if delegation is used (or the options otherwise).
+   * @param {Object} [options]
+   * @param {boolean} [options.passive]
+   * @param {boolean} [options.capture]
+   * @param {boolean} [options.once] - Removes the listener after its first (matching) call.
+   * @param {AbortSignal} [options.signal] - Removes the listener when aborted.
+   * @param {number} [options.debounce] - Waits for the given milliseconds of silence before calling the handler.
+   * @param {number} [options.throttle] - Calls the handler at most once per interval (once per frame when 0).
+   * @returns {KAnime}
    * @example
-   * const d = k('video').kGetMediaDuration();
+   * // Direto
+   * k('.btn').kListen('click', e => alert('Clicked!'));
+   * // Delegação
+   * k('.container').kListen('click', 'button', e => alert(e.target.textContent));
+   * // Namespaced
+   * k('.menu').kListen('click.menu keydown.menu', handler);
+   * // Options
+   * k('.feed').kListen('scroll', onScroll, { passive: true, throttle: 0 });
+   * k('.search').kListen('input', 'input[type=search]', onSearch, { debounce: 300 });
    */
-  kGetMediaDuration() {
-    if (this.elements[0].tagName === 'VIDEO' || this.elements[0].tagName === 'AUDIO') {
-      return this.elements[0].duration;
-    } else {
-      throw new Error('kGetMediaDuration can only be used on <video> or <audio> elements.');
+  kListen(events, handlerOrSelector, handler, options) {
+    const { selector, callback, listenerOptions } = kListenerArgs(handlerOrSelector, handler, options);
+    if (typeof callback !== 'function') {
+      return this;
     }
-  }
 
-  // =========================
-  // Form
-  // =========================
+    return this.kForEach(el => {
+      kParseEvents(events).forEach(({ type, namespaces }) => {
+        kAddListener(el, { type, namespaces, selector, handler: callback, options: listenerOptions });
+      });
+    });
+  }
 
   /**
-   * Serializes form data into a query string.
-   * @returns {string}
+   * Removes event listeners from the selected elements.
+   * Listeners added through `kListen`, `kOnce` and `kHover` are removed by their original
+   * handler; the event name, the namespace, the delegation selector and the handler are all optional filters.
+   * @param {string} [events] - Event names and/or namespaces (`'click'`, `'click.menu'`, `'.menu'`).
+   * @param {Function|string} [handlerOrSelector] - Handler function or delegation selector.
+   * @param {Function} [handler] - Handler function if a selector is given.
+   * @returns {KAnime}
    * @example
-   * const params = k('form').kFormData();
+   * k('.btn').kRemoveListener('click', handler);
+   * k('.menu').kRemoveListener('.menu');              // Every listener in the "menu" namespace
+   * k('.list').kRemoveListener('click', 'li', handler); // Delegated listener
    */
-  kFormData() {
-    const form = this.elements[0];
-    if (!(form instanceof HTMLFormElement)) {
-      throw new Error('kFormData can only be used on form elements.');
-    }
-
-    const formData = new FormData(form);
-    const params = new URLSearchParams();
+  kRemoveListener(events, handlerOrSelector, handler) {
+    const selector = typeof handlerOrSelector === 'string' ? handlerOrSelector : undefined;
+    const callback = selector ? handler : handlerOrSelector;
+    const filters = events ? kParseEvents(events) : [{ type: '', namespaces: [] }];
 
-    Array.from(form.elements).forEach(el => {
-      if (!el.disabled && el.name) {
-        if (el.type === 'checkbox' || el.type === 'radio') {
-          if (el.checked) params.append(el.name, el.value);
-        } else {
-          params.append(el.name, el.value);
+    return this.kForEach(el => {
+      filters.forEach(({ type, namespaces }) => {
+        kRemoveListeners(el, { type, namespaces, selector, handler: callback });
+        if (type && typeof callback === 'function' && !selector) {
+          // Listeners added directly with addEventListener
+          el.removeEventListener(type, callback);
         }
-      }
+      });
     });
+  }
 
-    return params.toString();
+  /**
+   * Removes every listener registered through KAnime from the selected elements. The listeners of
+   * KAnime's own features (data bindings, form validation, media players...) stay until `kRemove`.
+   * @returns {KAnime}
+   * @example
+   * k('.widget').kRemoveAllListeners();
+   */
+  kRemoveAllListeners() {
+    return this.kForEach(el => kRemoveListeners(el, {}));
   }
 
   /**
-   * Serializes form data into an array of objects.
-   * @returns {Array}
+   * Adds a one-time event listener to the selected elements.
+   * Accepts the same delegation selector and options as `kListen`.
+   * @param {string} event
+   * @param {Function|string} handlerOrSelector
+   * @param {Function|Object} [handler]
+   * @param {Object} [options]
+   * @returns {KAnime}
    * @example
-   * const arr = k('form').kFormArray();
+   * k('.btn').kOnce('click', () => alert('Clicked once!'));
+   * k('.list').kOnce('click', 'li', e => console.log('First item click'), { capture: true });
    */
-  kFormArray() {
-    const form = this.elements[0];
-    if (!(form instanceof HTMLFormElement)) {
-      throw new Error('kFormArray can only be used on form elements.');
-    }
+  kOnce(event, handlerOrSelector, handler, options) {
+    const { selector, callback, listenerOptions } = kListenerArgs(handlerOrSelector, handler, options);
+    return selector
+      ? this.kListen(event, selector, callback, { ...listenerOptions, once: true })
+      : this.kListen(event, callback, { ...listenerOptions, once: true });
+  }
 
-    const serializedArray = [];
+  /**
+   * Triggers an event on the selected elements.
+   * A `CustomEvent` is created, so components can pass data through `event.detail`.
+   * @param {string} event
+   * @param {*} [detail] - Payload exposed as `event.detail`.
+   * @param {Object} [options]
+   * @param {boolean} [options.bubbles=true]
+   * @param {boolean} [options.cancelable=true]
+   * @param {boolean} [options.composed=false] - Lets the event cross shadow DOM boundaries.
+   * @returns {KAnime}
+   * @example
+   * k('.btn').kDispatch('click');
+   * k('.cart').kDispatch('cart:add', { id: 42, qty: 1 });
+   * k('.widget').kDispatch('ready', null, { bubbles: false, composed: true });
+   */
+  kDispatch(event, detail = null, options = {}) {
+    const { bubbles = true, cancelable = true, composed = false } = options;
+    return this.kForEach(el => {
+      const evt = new CustomEvent(event, { bubbles, cancelable, composed, detail });
+      el.dispatchEvent(evt);
+    });
+  }
 
-    Array.from(form.elements).forEach(el => {
-      if (!el.disabled && el.name) {
-        if (el.type === 'checkbox' || el.type === 'radio') {
-          if (el.checked) serializedArray.push({ name: el.name, value: el.value });
-        } else {
-          serializedArray.push({ name: el.name, value: el.value });
-        }
+  /**
+   * Adds mouseenter and mouseleave event listeners.
+   * @param {Function} mouseEnterHandler
+   * @param {Function} mouseLeaveHandler
+   * @param {Object} [options] - Same options as `kListen`.
+   * @returns {KAnime}
+   * @example
+   * k('.item').kHover(
+   *   () => console.log('Mouse in'),
+   *   () => console.log('Mouse out')
+   * );
+   */
+  kHover(mouseEnterHandler, mouseLeaveHandler, options = {}) {
+    return this.kForEach(el => {
+      if (typeof mouseEnterHandler === 'function') {
+        kAddListener(el, { type: 'mouseenter', handler: mouseEnterHandler, options });
+      }
+      if (typeof mouseLeaveHandler === 'function') {
+        kAddListener(el, { type: 'mouseleave', handler: mouseLeaveHandler, options });
       }
     });
-
-    return serializedArray;
   }
 
+  // =========================
+  // Animation (with expanded easings)
+  // =========================
+
   /**
-   * Gets or sets the value of form fields.
-   * @param {any} value
-   * @returns {any|KAnime}
+   * Shows the elements with a fade-in animation, restoring their original display value.
+   * The running animation is exposed as `this.kAnimation`.
+   * @param {number|Object} [duration] - Defaults to `kSetDuration`'s value, or options
+   *   (`{ duration, easing, callback, delay, stagger }`) as in `kanime`.
+   * @param {string} [easing='ease-in-out']
+   * @param {Function} [callback]
+   * @returns {KAnime}
    * @example
-   * k('input').kValue('novo valor');
-   * const v = k('input').kValue();
+   * k('.box').kShowFade();
+   * await k('.box').kShowFade().kAnimation.finished;
+   * k('.card').kShowFade({ stagger: 80 });
    */
-  kValue(value) {
-    if (value === undefined) {
-      if (this.elements[0].type === 'checkbox' || this.elements[0].type === 'radio') {
-        return this.elements.filter(el => el.checked).map(el => el.value);
+  kShowFade(duration, easing, callback) {
+    return kTransition(this, [duration, easing, callback], el => {
+      kStopAnimations(el, ['opacity']);
+      if (window.getComputedStyle(el).display === 'none') {
+        kShowElement(el);
+        el.style.opacity = 0;
       }
-      return this.elements[0].value;
-    }
-    return this.kForEach(el => el.value = value);
+      return { properties: { opacity: 1 } };
+    });
   }
 
   /**
-   * Alias for kFormData.
-   * @returns {string}
+   * Hides the elements with a fade-out animation.
+   * The running animation is exposed as `this.kAnimation`.
+   * @param {number|Object} [duration] - Same arguments as `kShowFade`.
+   * @param {string} [easing='ease-in-out']
+   * @param {Function} [callback]
+   * @returns {KAnime}
    * @example
-   * const params = k('form').kFormParams();
+   * k('.box').kHideFade();
+   * k('.card').kHideFade({ stagger: { each: 50, from: 'end' } });
    */
-  kFormParams() {
-    return this.kFormData();
+  kHideFade(duration, easing, callback) {
+    return kTransition(this, [duration, easing, callback], el => {
+      kStopAnimations(el, ['opacity']);
+      return { properties: { opacity: 0 }, complete: () => kHideElement(el) };
+    });
   }
 
   /**
-   * Adds a submit event handler to forms.
-   * @param {Function} callback
+   * Toggles fade-in/fade-out based on visibility.
+   * @param {number|Object} [duration] - Same arguments as `kShowFade`.
+   * @param {string} [easing='ease-in-out']
+   * @param {Function} [callback]
    * @returns {KAnime}
    * @example
-   * k('form').kOnFormSubmit((data, form) => { ... });
+   * k('.box').kToggleFade();
    */
-  kOnFormSubmit(callback) {
-    return this.kForEach(el => {
-      if (el instanceof HTMLFormElement) {
-        el.addEventListener('submit', event => {
-          event.preventDefault();
-          const formData = new FormData(el);
-          const data = Object.fromEntries(formData.entries());
-          callback(data, el);
-        });
-      } else {
-        throw new Error('kOnFormSubmit can only be used on form elements.');
-      }
+  kToggleFade(duration, easing, callback) {
+    const options = kTransitionOptions(this, duration, easing, callback);
+    const delays = kStaggerDelays(this.elements, options.stagger, options.delay);
+    const animations = this.elements.map((el, index) => {
+      const single = new KAnime(el).kSetDuration(this.kDuration);
+      const isHidden = window.getComputedStyle(el).display === 'none';
+      const singleOptions = { ...options, stagger: null, delay: delays[index] };
+      return (isHidden ? single.kShowFade(singleOptions) : single.kHideFade(singleOptions)).kAnimation.animations[0];
     });
+    this.kAnimation = new KAnimationGroup(animations);
+    return this;
   }
 
   /**
-   * Submits a form via HTTP request.
-   * @param {Object} options
-   * @returns {Promise}
+   * Reveals the elements by sliding them down to their natural (`height: auto`) height.
+   * Sliding again while an animation runs continues from the current height.
+   * @param {number|Object} [duration] - Same arguments as `kShowFade`.
+   * @param {string} [easing='ease-in-out']
+   * @param {Function} [callback]
+   * @returns {KAnime}
    * @example
-   * k('form').kSubmitForm({ method: 'POST', json: true });
+   * k('.panel').kSlideDown();
+   * k('.panel').kSlideDown(300, 'cubic-out', () => console.log('Open'));
    */
-  async kSubmitForm(options = {}) {
-    const form = this.elements[0];
-    if (!(form instanceof HTMLFormElement)) {
-      throw new Error('kSubmitForm can only be used on form elements.');
-    }
-
-    const formData = new FormData(form);
-    const method = options.method || 'POST';
-    const headers = { ...options.headers };
-
-    let body;
-    if (options.json) {
-      body = JSON.stringify(Object.fromEntries(formData.entries()));
-      headers['Content-Type'] = 'application/json';
-    } else {
-      body = method.toUpperCase() === 'GET' ? null : formData;
-    }
-
-    const controller = new AbortController();
-    const timeout = options.timeout || 0;
-
-    if (timeout > 0) {
-      setTimeout(() => controller.abort(), timeout);
-    }
-
-    try {
-      const response = await fetch(form.action, {
-        method,
-        headers,
-        body,
-        signal: controller.signal
-      });
+  kSlideDown(duration, easing, callback) {
+    return kTransition(this, [duration, easing, callback], el => kPrepareSlide(el, 'down'));
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+  /**
+   * Hides the elements by sliding them up, then sets `display: none`.
+   * @param {number|Object} [duration] - Same arguments as `kShowFade`.
+   * @param {string} [easing='ease-in-out']
+   * @param {Function} [callback]
+   * @returns {KAnime}
+   * @example
+   * k('.panel').kSlideUp();
+   */
+  kSlideUp(duration, easing, callback) {
+    return kTransition(this, [duration, easing, callback], el => kPrepareSlide(el, 'up'));
+  }
 
-      const contentType = response.headers.get('Content-Type');
-      if (contentType && contentType.includes('application/json')) {
-        return await response.json();
-      }
+  /**
+   * Slides each element down or up depending on its visibility (or on the direction
+   * of its running slide, so repeated clicks reverse it).
+   * @param {number|Object} [duration] - Same arguments as `kShowFade`.
+   * @param {string} [easing='ease-in-out']
+   * @param {Function} [callback]
+   * @returns {KAnime}
+   * @example
+   * k('.accordion-header').kListen('click', function() {
+   *   k(this.nextElementSibling).kSlideToggle();
+   * });
+   */
+  kSlideToggle(duration, easing, callback) {
+    return kTransition(this, [duration, easing, callback], el => {
+      const slide = kSlideRegistry.get(el);
+      const isHidden = window.getComputedStyle(el).display === 'none';
+      const direction = isHidden || (slide && slide.direction === 'up') ? 'down' : 'up';
+      return kPrepareSlide(el, direction);
+    });
+  }
 
-      return await response.text();
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error('Request timed out');
+  /**
+   * Shows the elements by scaling them up from 0 while fading in.
+   * @param {number|Object} [duration] - Same arguments as `kShowFade`.
+   * @param {string} [easing='ease-in-out']
+   * @param {Function} [callback]
+   * @returns {KAnime}
+   * @example
+   * k('.modal').kScaleIn(250, 'back-out');
+   */
+  kScaleIn(duration, easing, callback) {
+    return kTransition(this, [duration, easing, callback], el => {
+      kStopAnimations(el, ['scale', 'opacity']);
+      if (window.getComputedStyle(el).display === 'none') {
+        kShowElement(el);
+        kWriteStyle(el, 'scale', '0');
+        el.style.opacity = 0;
       }
-      throw error;
-    }
+      return { properties: { scale: 1, opacity: 1 } };
+    });
   }
 
-  // =========================
-  // Attribute and Style
-  // =========================
+  /**
+   * Hides the elements by scaling them down to 0 while fading out.
+   * @param {number|Object} [duration] - Same arguments as `kShowFade`.
+   * @param {string} [easing='ease-in-out']
+   * @param {Function} [callback]
+   * @returns {KAnime}
+   * @example
+   * k('.modal').kScaleOut();
+   */
+  kScaleOut(duration, easing, callback) {
+    return kTransition(this, [duration, easing, callback], el => {
+      kStopAnimations(el, ['scale', 'opacity']);
+      return {
+        properties: { scale: 0, opacity: 0 },
+        complete: () => {
+          kHideElement(el);
+          kWriteStyle(el, 'scale', '1');
+        }
+      };
+    });
+  }
 
   /**
-   * Gets or sets an attribute for the selected elements.
-   * @param {string} attribute
-   * @param {any} value
-   * @returns {any|KAnime}
+   * Animates CSS properties of the selected elements.
+   * The animation handle is exposed as `this.kAnimation`, with a `finished` promise and
+   * `pause()`, `resume()`, `reverse()`, `seek(progress)`, `cancel()` and `finish()` controls.
+   * Starting an animation cancels the running ones on the same properties of each element.
+   * @param {Object} properties - CSS properties and their target values.
+   * @param {number|Object} duration - Animation duration in milliseconds, or an options object
+   *   (`{ duration, easing, callback, delay, stagger }`).
+   * @param {string} [easing='linear'] - Easing function: 'linear', 'ease', 'ease-in', etc.
+   * @param {Function} [callback] - Callback to execute after animation ends.
+   * @returns {KAnime}
    * @example
-   * k('.item').kAttr('data-id', '123');
-   * const id = k('.item').kAttr('data-id');
+   * k('.box').kanime({ left: '200px', opacity: 0.5 }, 600, 'ease', () => {
+   *   console.log('Animation finished!');
+   * });
+   * const { kAnimation } = k('.box').kanime({ left: '200px' }, 600);
+   * kAnimation.pause();
+   * kAnimation.seek(0.5);
+   * kAnimation.reverse();
+   * await kAnimation.finished;
+   * // Delay and stagger
+   * k('.card').kanime({ top: '0px', opacity: 1 }, { duration: 400, delay: 100, stagger: 60 });
+   * k('.card').kanime({ opacity: 1 }, { stagger: { each: 40, from: 'center' } });
+   * k('.cell').kanime({ opacity: 1 }, { stagger: { each: 30, grid: [5, 10], from: 'center' } });
+   * k('.card').kanime({ opacity: 1 }, { stagger: (index, el, total) => index * index * 10 });
    */
-  kAttr(attribute, value) {
-    if (value === undefined) {
-      return this.elements[0].getAttribute(attribute);
-    }
-    return this.kForEach(el => el.setAttribute(attribute, value));
+  kanime(properties, duration = 400, easing = 'linear', callback) {
+    const options = duration !== null && typeof duration === 'object'
+      ? { duration: 400, easing: 'linear', ...duration }
+      : { duration, easing, callback };
+    const delays = kStaggerDelays(this.elements, options.stagger, options.delay);
+    const animations = this.elements.map((el, index) => {
+      kStopAnimations(el, Object.keys(properties));
+      return new KAnimation(el, properties, { ...options, delay: delays[index] }).play();
+    });
+    this.kAnimation = new KAnimationGroup(animations);
+    return this;
   }
 
   /**
-   * Gets or sets a CSS property for the selected elements.
-   * @param {string} property
-   * @param {any} value
-   * @returns {any|KAnime}
+   * Stops every running animation on the selected elements.
+   * A cancelled slide gives the element back its own height, padding and overflow.
+   * @param {boolean} [jumpToEnd=false] - Finishes the animations instead of cancelling them where they are.
+   * @returns {KAnime}
    * @example
-   * k('.item').kStyle('color', 'red');
-   * const color = k('.item').kStyle('color');
+   * k('.box').kStop();
+   * k('.box').kStop(true);
    */
-  kStyle(property, value) {
-    if (value === undefined) {
-      return window.getComputedStyle(this.elements[0])[property];
-    }
-    return this.kForEach(el => el.style[property] = value);
+  kStop(jumpToEnd = false) {
+    return this.kForEach(el => {
+      kStopAnimations(el, null, jumpToEnd);
+      kRestoreSlide(el);
+    });
   }
 
+  // =========================
+  // Viewport
+  // =========================
+
   /**
-   * Adds a CSS class to the selected elements.
-   * @param {string} className
+   * Calls `callback(entry, el)` each time an element enters the viewport.
+   * Elements watched with the same `threshold` and `rootMargin` share one IntersectionObserver,
+   * which is released when they are `kRemove`d or `kUnobserve`d.
+   * @param {Function} callback - Receives the IntersectionObserverEntry and the element.
+   * @param {Object} [options]
+   * @param {number|number[]} [options.threshold=0] - Visible fraction that counts as "in view".
+   * @param {string} [options.rootMargin='0px'] - Grows or shrinks the viewport, like the CSS margin shorthand.
+   * @param {boolean} [options.once=false] - Stop watching after the first call.
    * @returns {KAnime}
    * @example
-   * k('.item').kAddClass('active');
+   * k('.chart').kOnVisible(function () { drawChart(this); }, { threshold: 0.5, once: true });
+   * k('.footer').kOnVisible(() => loadMore(), { rootMargin: '300px' });
    */
-  kAddClass(className) {
-    return this.kForEach(el => el.classList.add(className));
+  kOnVisible(callback, options = {}) {
+    return this.kForEach(el => {
+      kWatchViewport(el, options, true, entry => callback.call(el, entry, el));
+    });
   }
 
   /**
-   * Removes a CSS class from the selected elements.
-   * @param {string} className
+   * Calls `callback(entry, el)` each time a visible element leaves the viewport.
+   * Takes the same options as `kOnVisible`.
+   * @param {Function} callback
+   * @param {Object} [options]
    * @returns {KAnime}
    * @example
-   * k('.item').kRemoveClass('active');
+   * k('video.preview').kOnHidden(function () { this.pause(); });
    */
-  kRemoveClass(className) {
-    return this.kForEach(el => el.classList.remove(className));
+  kOnHidden(callback, options = {}) {
+    return this.kForEach(el => {
+      kWatchViewport(el, options, false, entry => callback.call(el, entry, el));
+    });
   }
 
   /**
-   * Toggles a CSS class on the selected elements.
-   * @param {string} className
+   * Stops every `kOnVisible`, `kOnHidden`, `kReveal` and `kLazyLoad` watcher of the elements.
    * @returns {KAnime}
    * @example
-   * k('.item').kToggleClass('active');
+   * k('.chart').kUnobserve();
    */
-  kToggleClass(className) {
-    return this.kForEach(el => el.classList.toggle(className));
+  kUnobserve() {
+    return this.kForEach(el => kUnobserveViewport(el));
   }
-}
 
-// Global shortcut
-const k = (selector, context = document) => new KAnime(selector, context);
+  /**
+   * Scroll-reveal: hides the elements, then fades them in with `kShowFade` (or animates
+   * `properties` with `kanime`) when they enter the viewport. Elements entering together
+   * are staggered by `options.stagger`. Elements hidden with `display: none` are shown at
+   * opacity 0 in fade mode. As the elements are only hidden once the script runs, pre-hide
+   * them in CSS (e.g. `opacity: 0`) when it may load after the first paint.
+   * @param {Object|string} [properties='fade'] - Target CSS properties, or 'fade'.
+   * @param {Object} [options] - `duration`, `easing`, `delay`, `stagger` and `callback` of the
+   *   animation, plus the `threshold` and `rootMargin` of `kOnVisible`.
+   * @param {number} [options.threshold=0.15]
+   * @param {Object} [options.from] - Properties applied right away, which `properties` animate from.
+   * @param {boolean} [options.once=true] - With `false` the elements are reset to `from` when
+   *   they leave the viewport and revealed again on the next entry.
+   * @returns {KAnime}
+   * @example
+   * k('.section').kReveal();
+   * k('.card').kReveal({ opacity: 1, translateY: '0px' }, {
+   *   from: { opacity: 0, translateY: '40px' },
+   *   duration: 600,
+   *   easing: 'ease-out',
+   *   stagger: 80
+   * });
+   */
+  kReveal(properties = 'fade', options = {}) {
+    const { threshold = 0.15, rootMargin = '0px', once = true, from, stagger, ...animation } = options;
+    const fade = !properties || properties === 'fade';
+    const duration = this.kDuration;
+    let entering = [];
 
-if (typeof window !== 'undefined') {
-  window.k = k;
-}
+    const reset = el => {
+      if (fade) {
+        kStopAnimations(el, ['opacity']);
+        // A display: none element never intersects: it is laid out, invisible, to be observed
+        kShowElement(el);
+        el.style.opacity = 0;
+      } else if (from) {
+        kStopAnimations(el, Object.keys(from));
+        new KAnimation(el, from, { duration: 0 }).finish();
+      }
+    };
+    const reveal = () => {
+      const elements = entering;
+      const delays = kStaggerDelays(elements, stagger, animation.delay);
+      entering = [];
+      elements.forEach((el, index) => {
+        const selection = new KAnime(el).kSetDuration(duration);
+        if (fade) {
+          selection.kShowFade({ ...animation, delay: delays[index] });
+        } else {
+          selection.kanime(properties, { duration, ...animation, delay: delays[index] });
+        }
+      });
+    };
+
+    return this.kForEach(el => {
+      reset(el);
+      kWatchViewport(el, { threshold, rootMargin, once }, true, () => {
+        if (!entering.length) {
+          // Wait for the other entries of the same observer callback
+          Promise.resolve().then(reveal);
+        }
+        entering.push(el);
+      });
+      if (!once) {
+        kWatchViewport(el, { threshold, rootMargin }, false, () => reset(el));
+      }
+    });
+  }
+
+  /**
+   * Lazy-loads images, iframes and media: when an element gets near the viewport its
+   * `data-src`, `data-srcset`, `data-sizes` and `data-poster` attributes (and those of the
+   * <source> children of <video>, <audio> or the image's <picture>) replace the real ones, and
+   * `data-bg` becomes its background image. The element then gets `options.className` and
+   * dispatches a `lazyload` event.
+   * @param {Object} [options]
+   * @param {string} [options.rootMargin='200px'] - How early to start loading.
+   * @param {number} [options.threshold=0]
+   * @param {string} [options.className='k-loaded']
+   * @returns {KAnime}
+   * @example
+   * // <img data-src="photo.jpg" data-srcset="photo@2x.jpg 2x" alt="">
+   * k('img[data-src], iframe[data-src], video, .hero[data-bg]').kLazyLoad();
+   * k('.gallery img').kLazyLoad({ rootMargin: '600px' }).kListen('lazyload', e => console.log(e.target));
+   */
+  kLazyLoad(options = {}) {
+    const { rootMargin = '200px', threshold = 0, className = 'k-loaded' } = options;
+    return this.kForEach(el => {
+      kWatchViewport(el, { threshold, rootMargin, once: true }, true, () => {
+        kLoadLazy(el);
+        if (className) {
+          el.classList.add(className);
+        }
+        new KAnime(el).kDispatch('lazyload', { element: el });
+      });
+    });
+  }
+
+  // =========================
+  // Media
+  // =========================
+
+  /**
+   * Plays the selected <video> or <audio> elements.
+   * The playback promise is exposed as `this.kPlayback`: it resolves with the selection, or rejects
+   * with a `KAnime.AutoplayError` when the browser blocks playback (autoplay policy), or with the
+   * media error otherwise.
+   * @returns {KAnime}
+   * @example
+   * k('video').kPlayMedia().kPlayback.catch(error => {
+   *   if (error instanceof KAnime.AutoplayError) k('.tap-to-play').kShowFade();
+   * });
+   */
+  kPlayMedia() {
+    return kTrackPlayback(this, kMediaElements(this, 'kPlayMedia').map(kPlay));
+  }
+
+  /**
+   * Pauses the selected <video> or <audio> elements.
+   * @returns {KAnime}
+   * @example
+   * k('video').kPauseMedia();
+   */
+  kPauseMedia() {
+    kMediaElements(this, 'kPauseMedia').forEach(el => el.pause());
+    return this;
+  }
+
+  /**
+   * Toggles play/pause for <video> or <audio> elements.
+   * The playback promise is exposed as `this.kPlayback`, as with `kPlayMedia`.
+   * @returns {KAnime}
+   * @example
+   * k('video').kToggleMedia();
+   */
+  kToggleMedia() {
+    return kTrackPlayback(this, kMediaElements(this, 'kToggleMedia').map(el => {
+      if (el.paused) {
+        return kPlay(el);
+      }
+      el.pause();
+      return null;
+    }));
+  }
+
+  /**
+   * Sets the volume for <video> or <audio> elements.
+   * @param {number} value
+   * @returns {KAnime}
+   * @example
+   * k('video').kSetVolume(0.5);
+   */
+  kSetVolume(value) {
+    kMediaElements(this, 'kSetVolume').forEach(el => {
+      el.volume = Math.min(Math.max(value, 0), 1);
+    });
+    return this;
+  }
+
+  /**
+   * Mutes <video> or <audio> elements.
+   * @returns {KAnime}
+   * @example
+   * k('video').kMuteMedia();
+   */
+  kMuteMedia() {
+    kMediaElements(this, 'kMuteMedia').forEach(el => {
+      el.muted = true;
+    });
+    return this;
+  }
+
+  /**
+   * Unmutes <video> or <audio> elements.
+   * @returns {KAnime}
+   * @example
+   * k('video').kUnmuteMedia();
+   */
+  kUnmuteMedia() {
+    kMediaElements(this, 'kUnmuteMedia').forEach(el => {
+      el.muted = false;
+    });
+    return this;
+  }
+
+  /**
+   * Seeks to a specific time in <video> or <audio> elements.
+   * @param {number} time
+   * @returns {KAnime}
+   * @example
+   * k('video').kSeekMedia(10);
+   */
+  kSeekMedia(time) {
+    kMediaElements(this, 'kSeekMedia').forEach(el => {
+      el.currentTime = Math.max(0, Math.min(time, el.duration || 0));
+    });
+    return this;
+  }
+
+  /**
+   * Gets the current playback time of the first <video> or <audio> element.
+   * @returns {number} 0 when nothing is selected.
+   * @example
+   * const t = k('video').kGetMediaTime();
+   */
+  kGetMediaTime() {
+    const el = kMediaElements(this, 'kGetMediaTime')[0];
+    return el ? el.currentTime : 0;
+  }
+
+  /**
+   * Gets the duration of the first <video> or <audio> element.
+   * @returns {number} `NaN` while unknown or when nothing is selected.
+   * @example
+   * const d = k('video').kGetMediaDuration();
+   */
+  kGetMediaDuration() {
+    const el = kMediaElements(this, 'kGetMediaDuration')[0];
+    return el ? el.duration : NaN;
+  }
+
+  /**
+   * Gets or sets the playback rate of <video> or <audio> elements (clamped to 0.0625-16).
+   * @param {number} [rate] - A positive number; anything else throws.
+   * @returns {number|KAnime} The first element's rate (1 when nothing is selected) without arguments.
+   * @example
+   * k('video').kPlaybackRate(1.5);
+   */
+  kPlaybackRate(rate) {
+    const elements = kMediaElements(this, 'kPlaybackRate');
+    if (rate === undefined) {
+      return elements[0] ? elements[0].playbackRate : 1;
+    }
+    const value = Number(rate);
+    if (!(value > 0) || !isFinite(value)) {
+      throw new Error('kPlaybackRate needs a positive number.');
+    }
+    elements.forEach(el => {
+      el.playbackRate = Math.min(Math.max(value, 0.0625), 16);
+    });
+    return this;
+  }
+
+  /**
+   * Loops playback between two times (A-B repeat). `kLoopSection(null)` stops looping.
+   * @param {number|null} start - Seconds.
+   * @param {number} [end] - Seconds, defaults to the duration. Before the metadata is loaded
+   *   the duration is checked once known: a start past the end then cancels the loop.
+   * @returns {KAnime}
+   * @example
+   * k('video').kLoopSection(12, 18.5);
+   */
+  kLoopSection(start, end) {
+    kMediaElements(this, 'kLoopSection').forEach(el => {
+      kRemoveListeners(el, { namespaces: ['kloop'], internal: true });
+      kLoopSections.delete(el);
+      if (start === null || start === false) {
+        return;
+      }
+      const from = Math.max(0, Number(start) || 0);
+      const to = () => (end === undefined ? el.duration : Number(end));
+      const loop = {};
+      const listen = (type, handler) => kAddListener(el, { type, namespaces: ['kloop'], handler, internal: true });
+      if (end !== undefined || !isNaN(el.duration)) {
+        if (!(to() > from)) {
+          throw new Error('kLoopSection needs an end time after the start time.');
+        }
+      } else {
+        listen('loadedmetadata', () => {
+          if (kLoopSections.get(el) === loop && !(to() > from)) {
+            kRemoveListeners(el, { namespaces: ['kloop'], internal: true });
+            kLoopSections.delete(el);
+          }
+        });
+      }
+      const check = () => {
+        if (el.currentTime >= to() || el.currentTime < from - 0.25) {
+          el.currentTime = from;
+        }
+      };
+      // timeupdate only fires every ~250ms: check every frame while playing
+      const tick = () => {
+        if (kLoopSections.get(el) !== loop) {
+          return;
+        }
+        check();
+        loop.frame = el.paused ? null : requestAnimationFrame(tick);
+      };
+      listen('timeupdate', check);
+      listen('play', () => !loop.frame && tick());
+      listen('ended', () => {
+        el.currentTime = from;
+        kPlay(el).catch(() => {});
+      });
+      kLoopSections.set(el, loop);
+      check();
+      tick();
+    });
+    return this;
+  }
+
+  /**
+   * Fades the volume of <video> or <audio> elements with one of the animation easings.
+   * A new fade on the same element replaces the running one.
+   * @param {number} to - Target volume (0-1).
+   * @param {number} [duration=400] - Milliseconds.
+   * @param {string|Function} [easing='linear'] - Any `kanime` easing.
+   * @returns {Promise<KAnime>} Resolves when every fade is done (or replaced).
+   * @example
+   * await k('audio').kFadeVolume(0, 1500, 'ease-out');
+   * k('audio').kPauseMedia();
+   */
+  kFadeVolume(to, duration = 400, easing = 'linear') {
+    const ease = kResolveEasing(easing);
+    const target = Math.min(Math.max(to, 0), 1);
+    return Promise.all(kMediaElements(this, 'kFadeVolume').map(el => new Promise(resolve => {
+      const previous = kVolumeFades.get(el);
+      if (previous) {
+        previous();
+      }
+      const from = el.volume;
+      const start = performance.now();
+      let frame = null;
+      const stop = () => {
+        cancelAnimationFrame(frame);
+        kVolumeFades.delete(el);
+        resolve();
+      };
+      const step = now => {
+        const progress = duration > 0 ? Math.min((now - start) / duration, 1) : 1;
+        el.volume = Math.min(Math.max(from + (target - from) * ease(progress), 0), 1);
+        if (progress < 1) {
+          frame = requestAnimationFrame(step);
+        } else {
+          stop();
+        }
+      };
+      kVolumeFades.set(el, stop);
+      step(start);
+    }))).then(() => this);
+  }
+
+  /**
+   * Calls `callback(el)` when playback reaches a time (cue point). It fires again after
+   * seeking back before that time, but not when seeking past it.
+   * @param {number} time - Seconds.
+   * @param {Function} callback
+   * @returns {KAnime}
+   * @example
+   * k('video').kOnMediaTime(30, () => k('.offer').kShowFade());
+   */
+  kOnMediaTime(time, callback) {
+    kMediaElements(this, 'kOnMediaTime').forEach(el => {
+      let last = el.currentTime;
+      kAddListener(el, {
+        type: 'timeupdate',
+        namespaces: ['kmedia'],
+        handler: () => {
+          const now = el.currentTime;
+          // Playing through the cue (not jumping over it with a seek)
+          if (last < time && now >= time && now - last < 1.5 * Math.max(1, el.playbackRate)) {
+            callback.call(el, el);
+          }
+          last = now;
+        }
+      });
+    });
+    return this;
+  }
+
+  /**
+   * Calls `callback({ currentTime, duration, progress }, el)` as playback progresses, at most once per `interval`.
+   * @param {Function} callback
+   * @param {number} [interval=250] - Milliseconds (0 syncs with animation frames).
+   * @returns {KAnime}
+   * @example
+   * k('video').kOnMediaProgress(({ progress }) => k('.bar').kStyle('width', `${progress * 100}%`), 500);
+   */
+  kOnMediaProgress(callback, interval = 250) {
+    kMediaElements(this, 'kOnMediaProgress').forEach(el => {
+      kAddListener(el, {
+        type: 'timeupdate',
+        namespaces: ['kmedia'],
+        handler: () => {
+          const duration = el.duration;
+          callback.call(el, {
+            currentTime: el.currentTime,
+            duration,
+            progress: isFinite(duration) && duration > 0 ? el.currentTime / duration : 0
+          }, el);
+        },
+        options: { throttle: interval }
+      });
+    });
+    return this;
+  }
+
+  /**
+   * Calls `callback(el)` when playback ends.
+   * @param {Function} callback
+   * @returns {KAnime}
+   * @example
+   * k('video').kOnMediaEnd(() => k('.next-episode').kScaleIn());
+   */
+  kOnMediaEnd(callback) {
+    kMediaElements(this, 'kOnMediaEnd').forEach(el => {
+      kAddListener(el, {
+        type: 'ended',
+        namespaces: ['kmedia'],
+        handler: () => callback.call(el, el)
+      });
+    });
+    return this;
+  }
+
+  /**
+   * Turns <video> or <audio> elements into a playlist player: tracks advance on `ended`,
+   * the next one is preloaded and each track's position is remembered. Every track change
+   * dispatches a `trackchange` event with `{ index, track, previous }` as `detail`.
+   * @param {Array<string|Object>} tracks - URLs, or `{ src, title, poster, ... }` objects.
+   * @param {Object} [options]
+   * @param {number} [options.start=0] - Index of the first track.
+   * @param {boolean} [options.autoplay=false] - Play the first track right away.
+   * @param {boolean} [options.shuffle=false]
+   * @param {string} [options.repeat='off'] - 'off', 'all' or 'one'.
+   * @param {boolean} [options.preload=true] - Preload the next track.
+   * @param {boolean} [options.rememberPosition=true] - Resume each track where it was left.
+   * @param {string} [options.storageKey] - Also keep the positions in localStorage under this key.
+   * @param {number} [options.volume] - Volume applied with `kSetVolume`.
+   * @returns {KAnime}
+   * @example
+   * k('#podcast')
+   *   .kPlaylist(episodes.map(e => ({ src: e.url, title: e.title })), { repeat: 'all', storageKey: 'podcast' })
+   *   .kListen('trackchange', e => k('#now-playing').kText(e.detail.track.title));
+   */
+  kPlaylist(tracks, options = {}) {
+    return this.kForEach(el => {
+      if (el.tagName !== 'VIDEO' && el.tagName !== 'AUDIO') {
+        throw new Error('kPlaylist can only be used on <video> or <audio> elements.');
+      }
+      const previous = kPlaylists.get(el);
+      if (previous) {
+        previous.destroy();
+      }
+      kPlaylists.set(el, new KPlaylist(el, tracks, options));
+    });
+  }
+
+  /**
+   * Plays the next track of the `kPlaylist` (following the shuffle order).
+   * @returns {KAnime}
+   * @example
+   * k('#next').kListen('click', () => k('#podcast').kNextTrack());
+   */
+  kNextTrack() {
+    return this.kForEach(el => kPlaylistOf(el, 'kNextTrack').next());
+  }
+
+  /**
+   * Plays the previous track, or restarts the current one when it played for more than 3 seconds.
+   * @returns {KAnime}
+   * @example
+   * k('#podcast').kPrevTrack();
+   */
+  kPrevTrack() {
+    return this.kForEach(el => kPlaylistOf(el, 'kPrevTrack').previous());
+  }
+
+  /**
+   * Jumps to a track of the `kPlaylist` by index.
+   * @param {number} index
+   * @param {boolean} [play=true]
+   * @returns {KAnime}
+   * @example
+   * k('#podcast').kPlayTrack(3);
+   */
+  kPlayTrack(index, play = true) {
+    return this.kForEach(el => kPlaylistOf(el, 'kPlayTrack').load(index, play));
+  }
+
+  /**
+   * Enables or disables shuffling (the current track keeps playing).
+   * @param {boolean} [enabled=true]
+   * @returns {KAnime}
+   * @example
+   * k('#podcast').kShuffle();
+   */
+  kShuffle(enabled = true) {
+    return this.kForEach(el => kPlaylistOf(el, 'kShuffle').shuffle(enabled));
+  }
+
+  /**
+   * Sets the repeat mode of the `kPlaylist`.
+   * @param {string} mode - 'off', 'all' or 'one'.
+   * @returns {KAnime}
+   * @example
+   * k('#podcast').kRepeat('one');
+   */
+  kRepeat(mode) {
+    return this.kForEach(el => kPlaylistOf(el, 'kRepeat').repeat(mode));
+  }
+
+  /**
+   * Gets the current track of the first element's `kPlaylist`.
+   * @returns {{index: number, track: Object}|null}
+   * @example
+   * const { index, track } = k('#podcast').kGetTrack();
+   */
+  kGetTrack() {
+    const playlist = this.elements[0] && kPlaylists.get(this.elements[0]);
+    return playlist ? { index: playlist.index, track: playlist.tracks[playlist.index] } : null;
+  }
+
+  /**
+   * Replaces the native controls of <video> or <audio> elements with a generated control bar:
+   * play/pause, seek bar with buffered ranges, time, mute, volume, playback speed and fullscreen.
+   * The element (even a detached one) is wrapped in a focusable `.k-media` container handling the
+   * keyboard shortcuts outside form fields (space/K play, arrows seek and volume, M mute,
+   * F fullscreen, 0-9 seek to 0-90%).
+   * Colors come from CSS variables (`--k-media-bg`, `--k-media-color`, `--k-media-accent`,
+   * `--k-media-buffered`) of the default stylesheet, injected once unless `styles` is false.
+   * `kMediaControls(false)` restores the native controls.
+   * @param {Object|boolean} [options]
+   * @param {Array<string>} [options.controls] - Which controls appear, in order: 'play', 'seek',
+   * 'time', 'mute', 'volume', 'speed', 'fullscreen'.
+   * @param {Array<number>} [options.speeds=[0.5, 0.75, 1, 1.25, 1.5, 2]]
+   * @param {number} [options.seekStep=5] - Seconds skipped by the arrow keys.
+   * @param {number} [options.volumeStep=0.1]
+   * @param {number} [options.autoHide=2500] - Idle ms before the bar hides while playing (0 to disable).
+   * @param {boolean} [options.keyboard=true]
+   * @param {boolean} [options.styles=true] - Inject the default stylesheet.
+   * @param {Object} [options.labels] - Accessible labels (`play`, `pause`, `mute`, `unmute`, `seek`,
+   * `volume`, `speed`, `fullscreen`, `exitFullscreen`, `controls`).
+   * @param {Object} [options.icons] - Text of the buttons (`play`, `pause`, `mute`, `unmute`, `fullscreen`, `exitFullscreen`).
+   * @returns {KAnime}
+   * @example
+   * k('video').kMediaControls({ controls: ['play', 'seek', 'time', 'fullscreen'], autoHide: 4000 });
+   */
+  kMediaControls(options = {}) {
+    return this.kForEach(el => {
+      if (el.tagName !== 'VIDEO' && el.tagName !== 'AUDIO') {
+        throw new Error('kMediaControls can only be used on <video> or <audio> elements.');
+      }
+      const previous = kMediaControlBars.get(el);
+      if (previous) {
+        previous.destroy();
+        kMediaControlBars.delete(el);
+      }
+      if (options !== false) {
+        kMediaControlBars.set(el, new KMediaControls(el, options === true ? {} : options));
+      }
+    });
+  }
+
+  /**
+   * Adds a subtitle track to <video> or <audio> elements from WebVTT/SRT text or a URL
+   * (fetched with `KAnime.kHttp`). Tracks are timed by KAnime, so offsets and the custom
+   * overlay (`kSubtitleOverlay`) work the same everywhere; native text tracks are created
+   * too where supported.
+   * @param {string} source - Subtitle text, or the URL of a .vtt/.srt file.
+   * @param {Object} [options]
+   * @param {string} [options.language=''] - BCP 47 code used by `kSetSubtitles`.
+   * @param {string} [options.label] - Defaults to the language.
+   * @param {string} [options.kind='subtitles'] - 'subtitles' or 'captions'.
+   * @param {boolean} [options.default=false] - Show this track (also shown when it is the first one).
+   * @param {number} [options.offset=0] - Timing offset in seconds.
+   * @returns {Promise<KAnime>}
+   * @example
+   * await k('video').kAddSubtitles('/subs/pt.srt', { language: 'pt', label: 'Português', default: true });
+   */
+  async kAddSubtitles(source, options = {}) {
+    this.elements.forEach(el => {
+      if (el.tagName !== 'VIDEO' && el.tagName !== 'AUDIO') {
+        throw new Error('kAddSubtitles can only be used on <video> or <audio> elements.');
+      }
+    });
+    const text = String(source).includes('-->')
+      ? String(source)
+      : await KAnime.kHttp.get(source, { responseType: 'text' });
+    const cues = kParseSubtitles(text);
+    this.elements.forEach(el => kSubtitlesOf(el, true).add(cues, options));
+    return this;
+  }
+
+  /**
+   * Lists the subtitle tracks of the first element.
+   * @returns {Array<{language: string, label: string, kind: string, offset: number, active: boolean, cues: number}>}
+   * @example
+   * k('video').kSubtitleTracks().map(track => track.label);
+   */
+  kSubtitleTracks() {
+    const subtitles = this.elements[0] && kSubtitlesOf(this.elements[0]);
+    return subtitles ? subtitles.tracks.map((track, index) => ({
+      language: track.language,
+      label: track.label,
+      kind: track.kind,
+      offset: track.offset,
+      active: index === subtitles.active,
+      cues: track.cues.length
+    })) : [];
+  }
+
+  /**
+   * Shows the subtitle track of a language (or a track index), or hides subtitles with `null`.
+   * @param {string|number|null} language
+   * @returns {KAnime}
+   * @example
+   * k('video').kSetSubtitles('en');
+   */
+  kSetSubtitles(language) {
+    return this.kForEach(el => kSubtitlesOf(el, true).select(language));
+  }
+
+  /**
+   * Shifts the timing of the active subtitle track (or of a language's track).
+   * @param {number} seconds - Positive values show the cues later.
+   * @param {string} [language]
+   * @returns {KAnime}
+   * @example
+   * k('video').kSubtitleOffset(-1.5);
+   */
+  kSubtitleOffset(seconds, language) {
+    return this.kForEach(el => kSubtitlesOf(el, true).setOffset(Number(seconds) || 0, language));
+  }
+
+  /**
+   * Searches the cues of the active subtitle track of the first element (offset applied).
+   * @param {string|RegExp} query - Case-insensitive text, or a regular expression.
+   * @returns {Array<{start: number, end: number, text: string}>}
+   * @example
+   * k('video').kFindCues('dragon');
+   */
+  kFindCues(query) {
+    const subtitles = this.elements[0] && kSubtitlesOf(this.elements[0]);
+    return subtitles ? subtitles.find(query) : [];
+  }
+
+  /**
+   * Seeks to a cue (from `kFindCues`) or to the first cue matching a query, with `kSeekMedia`.
+   * @param {Object|string|RegExp} cue
+   * @returns {KAnime}
+   * @example
+   * k('video').kSeekToCue('chapter two');
+   */
+  kSeekToCue(cue) {
+    const match = cue && typeof cue === 'object' && !(cue instanceof RegExp) ? cue : this.kFindCues(cue)[0];
+    return match ? this.kSeekMedia(match.start) : this;
+  }
+
+  /**
+   * Renders the active cues into an overlay element instead of the native subtitles.
+   * The default overlay (`.k-subtitles`) is inserted after the media and absolutely positioned
+   * over it within the same offset parent, without wrapping or restyling the media; it is
+   * styled with the `--k-subtitles-*` CSS variables. `false` switches back to the native rendering.
+   * @param {Object|boolean} [options]
+   * @param {Element|string} [options.container] - Render into this element instead.
+   * @param {string} [options.className='k-subtitles']
+   * @returns {KAnime}
+   * @example
+   * k('video').kSubtitleOverlay({ container: '#captions' });
+   */
+  kSubtitleOverlay(options = {}) {
+    return this.kForEach(el => kSubtitlesOf(el, true).setOverlay(options === true ? {} : options));
+  }
+
+  // =========================
+  // HTTP
+  // =========================
+
+  /**
+   * Sends an HTTP request through the shared client (`KAnime.kHttp`, also available as `k.http`).
+   * Resolves with the parsed response body (JSON or text, based on the Content-Type),
+   * or rejects with a `KAnime.HttpError` carrying `status` and the parsed `data`.
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {string} [options.method='GET']
+   * @param {Object} [options.headers]
+   * @param {Object|URLSearchParams} [options.params] - Query parameters appended to the URL.
+   * @param {*} [options.body] - Raw body (FormData, URLSearchParams, Blob, string...).
+   * @param {*} [options.json] - Value serialized as JSON and sent with `Content-Type: application/json`.
+   * @param {number} [options.timeout] - Aborts the request after the given milliseconds.
+   * @param {number} [options.retry] - Extra attempts on network errors, timeouts and 5xx responses.
+   * @param {number} [options.retryDelay] - Base delay in ms, doubled on every retry.
+   * @param {AbortSignal} [options.signal]
+   * @param {string} [options.responseType] - 'json', 'text', 'blob' or 'arrayBuffer' (sniffed when omitted).
+   * @param {boolean} [options.fullResponse=false] - Resolve with `{ data, status, headers, config, response }`.
+   * @param {Function} [options.onUploadProgress] - Called with `{ loaded, total, progress, event }`
+   * while the body is sent (switches the request to XMLHttpRequest).
+   * @param {Function} [options.onDownloadProgress] - Same, while the response is received.
+   * @returns {Promise}
+   * @example
+   * const users = await KAnime.kFetch('/api/users', { params: { page: 2 } });
+   * // Shortcuts
+   * await k.http.post('/api/users', { name: 'Ana' });
+   * // Interceptors
+   * k.http.interceptors.request.use(config => {
+   *   config.headers.Authorization = `Bearer ${token}`;
+   *   return config;
+   * });
+   */
+  static kFetch(url, options = {}) {
+    return KAnime.kHttp.request(url, options);
+  }
+
+  // =========================
+  // Form
+  // =========================
+
+  /**
+   * Serializes form data into a query string (every selected option, file names for files).
+   * @returns {string}
+   * @example
+   * const params = k('form').kFormData();
+   */
+  kFormData() {
+    const form = this.elements[0];
+    if (!(form instanceof HTMLFormElement)) {
+      throw new Error('kFormData can only be used on form elements.');
+    }
+
+    const params = new URLSearchParams();
+    kFormEntries(form).forEach(([name, value]) => {
+      params.append(name, typeof value === 'string' ? value : value.name);
+    });
+
+    return params.toString();
+  }
+
+  /**
+   * Serializes form data into an array of objects (one per selected option, `File` values for files).
+   * @returns {Array}
+   * @example
+   * const arr = k('form').kFormArray();
+   */
+  kFormArray() {
+    const form = this.elements[0];
+    if (!(form instanceof HTMLFormElement)) {
+      throw new Error('kFormArray can only be used on form elements.');
+    }
+
+    return kFormEntries(form).map(([name, value]) => ({ name, value }));
+  }
+
+  /**
+   * Serializes the form into a nested object. Names like `user[address][city]` or `user.name`
+   * build objects, `tags[]` and `items[0][name]` build arrays, checkbox groups and multiple
+   * selects give arrays, file inputs give `File` objects (arrays with `multiple`), and
+   * `data-type` ("number", "boolean", "date", "json") coerces values.
+   * @returns {Object}
+   * @example
+   * // <input name="user[name]"> <input name="user[age]" data-type="number"> <select name="tags[]" multiple>
+   * k('form').kFormObject(); // { user: { name: 'Ana', age: 31 }, tags: ['js', 'css'] }
+   */
+  kFormObject() {
+    const form = this.elements[0];
+    if (!(form instanceof HTMLFormElement)) {
+      throw new Error('kFormObject can only be used on form elements.');
+    }
+    return kFormObject(form);
+  }
+
+  /**
+   * Populates forms from an object shaped like `kFormObject`'s result. Fields missing
+   * from the object are left untouched; file inputs cannot be set.
+   * @param {Object} data
+   * @param {Object} [options]
+   * @param {boolean} [options.dispatch=false] - Fire `input` and `change` on every filled control.
+   * @returns {KAnime}
+   * @example
+   * k('#profile').kFillForm({ user: { name: 'Ana', roles: ['admin'] }, newsletter: true });
+   */
+  kFillForm(data, options = {}) {
+    return this.kForEach(el => {
+      if (!(el instanceof HTMLFormElement)) {
+        throw new Error('kFillForm can only be used on form elements.');
+      }
+      kFillForm(el, data || {}, !!options.dispatch);
+    });
+  }
+
+  /**
+   * Gets or sets the value of form fields.
+   * @param {any} value
+   * @returns {any|KAnime}
+   * @example
+   * k('input').kValue('novo valor');
+   * const v = k('input').kValue();
+   */
+  kValue(value) {
+    if (value === undefined) {
+      if (this.elements[0].type === 'checkbox' || this.elements[0].type === 'radio') {
+        return this.elements.filter(el => el.checked).map(el => el.value);
+      }
+      return this.elements[0].value;
+    }
+    return this.kForEach(el => el.value = value);
+  }
+
+  /**
+   * Alias for kFormData.
+   * @returns {string}
+   * @example
+   * const params = k('form').kFormParams();
+   */
+  kFormParams() {
+    return this.kFormData();
+  }
+
+  /**
+   * Validates a form on blur, input and/or submit, from a rule schema and the fields' HTML
+   * constraint attributes (`required`, `type="email"`/`"url"`/`"number"`, `min`, `max`,
+   * `minlength`, `maxlength`, `pattern`). Errors are rendered next to the field (or into a
+   * `[data-k-error="name"]` element) and linked with `aria-invalid`/`aria-describedby`.
+   * While the form is invalid, submitting it, `kOnFormSubmit` callbacks and `kSubmitForm` are blocked.
+   * Submit events are held until the form is valid, then the form is submitted again with `requestSubmit()`:
+   * other submit listeners only see that submission, which goes through natively unless one of them calls
+   * `preventDefault()`. Disabled fields are not validated.
+   *
+   * Each rule takes a value, or `{ value, message }`. `validate` takes a function (or an array
+   * of them) called with `(value, form, name)` that returns, or resolves to, `true`, `false`
+   * or an error message.
+   * @param {Object} [rules] - Rules per field name: `required`, `email`, `url`, `number`,
+   * `min`, `max`, `minLength`, `maxLength`, `pattern`, `match` (another field's name), `validate`.
+   * String `min`/`max` values (as on date and time inputs) are compared as ISO strings.
+   * @param {Object} [options]
+   * @param {string|Array} [options.on='blur submit'] - Events validating a field. Fields showing an error are always revalidated on input.
+   * @param {number} [options.debounce=0] - Delay of input validation in ms (useful for async validators).
+   * @param {Object} [options.messages] - Default messages per rule (`{min}`-style placeholders are replaced).
+   * @param {boolean} [options.native=true] - Read the HTML constraint attributes.
+   * @param {boolean} [options.focusInvalid=true] - Focus the first invalid field on submit.
+   * @param {string} [options.errorClass='k-error'] - Class of the rendered messages.
+   * @param {string} [options.invalidClass='k-invalid'] - Class of invalid fields.
+   * @returns {KAnime}
+   * @example
+   * k('#signup').kValidate({
+   *   username: { required: true, minLength: 3, validate: async value => (await k.http.get(`/api/users/${value}`)).available || 'Username taken' },
+   *   password: { required: 'Choose a password', pattern: { value: /\d/, message: 'Include a number' } },
+   *   confirm: { match: 'password' }
+   * }, { on: 'blur input', debounce: 300 });
+   */
+  kValidate(rules = {}, options = {}) {
+    return this.kForEach(el => {
+      if (!(el instanceof HTMLFormElement)) {
+        throw new Error('kValidate can only be used on form elements.');
+      }
+      const previous = kValidators.get(el);
+      if (previous) {
+        previous.destroy();
+      }
+      kValidators.set(el, new KFormValidator(el, rules, options));
+    });
+  }
+
+  /**
+   * Validates every field of the first form (see `kValidate`) and renders the errors.
+   * @returns {Promise<boolean>}
+   * @example
+   * if (await k('form').kIsValid()) { ... }
+   */
+  kIsValid() {
+    const form = this.elements[0];
+    if (!(form instanceof HTMLFormElement)) {
+      throw new Error('kIsValid can only be used on form elements.');
+    }
+    const validator = kValidators.get(form);
+    return validator ? validator.validate() : Promise.resolve(form.checkValidity());
+  }
+
+  /**
+   * Clears the rendered validation errors. With `remove`, `kValidate` is also detached.
+   * @param {boolean} [remove=false]
+   * @returns {KAnime}
+   * @example
+   * k('form').kResetValidation();
+   */
+  kResetValidation(remove = false) {
+    return this.kForEach(el => {
+      const validator = kValidators.get(el);
+      if (!validator) {
+        return;
+      }
+      validator.reset();
+      if (remove) {
+        validator.destroy();
+        kValidators.delete(el);
+      }
+    });
+  }
+
+  /**
+   * Adds a submit event handler to forms, called with the `kFormObject` data.
+   * With `kValidate`, the callback only runs once the form is valid.
+   * @param {Function} callback
+   * @returns {KAnime}
+   * @example
+   * k('form').kOnFormSubmit((data, form) => { ... });
+   */
+  kOnFormSubmit(callback) {
+    return this.kForEach(el => {
+      if (el instanceof HTMLFormElement) {
+        // With kValidate, only the validated submission reaches this listener
+        el.addEventListener('submit', event => {
+          event.preventDefault();
+          callback(kFormObject(el), el);
+        });
+      } else {
+        throw new Error('kOnFormSubmit can only be used on form elements.');
+      }
+    });
+  }
+
+  /**
+   * Saves the form's state as the user types (through `kFormObject`) and restores it
+   * when called again, e.g. on the next page load. Password and file fields are never saved,
+   * hidden inputs only with `includeHidden`.
+   * The draft is shared live with other tabs, expires after `expires` ms and is cleared
+   * once `kSubmitForm` succeeds. `kAutosave(false)` stops saving.
+   * @param {Object|boolean} [options]
+   * @param {string} [options.key] - Storage key. Defaults to one per page and form.
+   * @param {string|Storage} [options.storage='local'] - 'local', 'session' or a Storage object.
+   * @param {number} [options.debounce=500] - Delay in ms after the last change before saving.
+   * @param {string|Array} [options.exclude] - Extra fields to skip: a selector, or an array of names.
+   * @param {boolean} [options.includeHidden=false] - Also save `type="hidden"` inputs.
+   * @param {number} [options.expires=604800000] - Age in ms after which a draft is discarded (7 days).
+   * @param {Function} [options.onRestore] - Called with `(data, form)` after a draft is restored.
+   * @returns {KAnime}
+   * @example
+   * k('#ticket').kAutosave({ key: 'ticket-draft', exclude: ['captcha'], onRestore: () => k('.draft-note').kShowFade() });
+   */
+  kAutosave(options = {}) {
+    return this.kForEach(el => {
+      if (!(el instanceof HTMLFormElement)) {
+        throw new Error('kAutosave can only be used on form elements.');
+      }
+      const previous = kAutosaves.get(el);
+      if (previous) {
+        previous.stop();
+        kAutosaves.delete(el);
+      }
+      if (options !== false) {
+        kAutosaves.set(el, new KAutosave(el, options === true ? {} : options));
+      }
+    });
+  }
+
+  /**
+   * Removes the saved `kAutosave` draft of the selected forms.
+   * @returns {KAnime}
+   * @example
+   * k('#ticket').kClearDraft();
+   */
+  kClearDraft() {
+    return this.kForEach(el => {
+      const autosave = kAutosaves.get(el);
+      if (autosave) {
+        autosave.clear();
+      }
+    });
+  }
+
+  /**
+   * Submits a form via HTTP request, using the shared `KAnime.kHttp` client
+   * (so request/response interceptors apply to forms too).
+   * @param {Object} options - Accepts every `KAnime.kFetch` option (`signal`, `onUploadProgress`...), plus:
+   * @param {string} [options.url] - Defaults to the form's `action`.
+   * @param {string} [options.method='POST']
+   * @param {boolean} [options.json=false] - Sends the fields as a JSON object (see `kFormObject`).
+   * @param {boolean|Object} [options.chunked] - Uploads files larger than `size` beforehand, in chunks
+   * POSTed to `url` with `Content-Range` and `X-Upload-Id` headers; the form then sends the upload id
+   * in place of each file. Interrupted uploads resume from the last stored chunk.
+   * @param {number} [options.chunked.size=5242880] - Chunk size in bytes.
+   * @param {string} [options.chunked.url] - Defaults to the submission URL.
+   * @param {number} [options.chunked.retry=3] - Retries per chunk.
+   * @param {boolean} [options.chunked.resume=true]
+   * @param {boolean} [options.queueOffline=false] - When offline or on a network error (not a timeout), store
+   * the submission in `KAnime.kQueue` (replayed once back online) and resolve with `{ queued: true, entry }`.
+   * @param {string} [options.dedupeKey] - Replaces a queued submission with the same key.
+   * @returns {Promise} With a `cancel()` method aborting the submission. Rejects with a
+   * `KAnime.ValidationError` (and sends nothing) when `kValidate` fails. On success, the
+   * `kAutosave` draft is cleared.
+   * @example
+   * const upload = k('#upload').kSubmitForm({
+   *   chunked: { size: 2 * 1024 * 1024 },
+   *   onUploadProgress: ({ progress }) => k('progress').kAttr('value', progress)
+   * });
+   * k('#cancel').kListen('click', () => upload.cancel());
+   */
+  kSubmitForm(options = {}) {
+    const form = this.elements[0];
+    if (!(form instanceof HTMLFormElement)) {
+      return Promise.reject(new Error('kSubmitForm can only be used on form elements.'));
+    }
+
+    const { url, json, chunked, signal, queueOffline, dedupeKey, ...requestOptions } = options;
+    const method = (options.method || 'POST').toUpperCase();
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      signal.addEventListener('abort', abort, { once: true });
+    }
+
+    const submit = async () => {
+      const validator = kValidators.get(form);
+      // Called from a submit listener after kValidate passed: no need to validate twice
+      if (validator && !validator.resubmitting && !(await validator.validate())) {
+        throw new KValidationError({ ...validator.errors });
+      }
+
+      const config = { ...requestOptions, method, signal: controller.signal };
+      if (method === 'GET') {
+        config.params = new URLSearchParams(this.kFormData());
+      } else if (json) {
+        config.json = kFormObject(form);
+      } else {
+        config.body = new FormData(form);
+      }
+
+      const queue = async () => ({ queued: true, entry: await KAnime.kQueue.add(url || form.action, config, dedupeKey) });
+      if (queueOffline && window.navigator.onLine === false) {
+        return queue();
+      }
+
+      const body = config.body;
+      let result;
+      try {
+        if (chunked && method !== 'GET') {
+          await kUploadChunks(form, config, { url: url || form.action, ...(chunked === true ? {} : chunked) });
+        }
+        if (controller.signal.aborted) {
+          throw new KHttpError('Request aborted', { config });
+        }
+        result = await KAnime.kHttp.request(url || form.action, config);
+      } catch (error) {
+        // Timed-out requests may have reached the server: queueing them could send them twice
+        if (queueOffline && error instanceof KHttpError && error.status === 0 && !error.timedOut && !controller.signal.aborted) {
+          // Queue the original files, not the ids of a partial chunked upload
+          config.body = body;
+          return queue();
+        }
+        throw error;
+      }
+      const autosave = kAutosaves.get(form);
+      if (autosave) {
+        autosave.clear();
+      }
+      return result;
+    };
+
+    const promise = submit().finally(() => {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    });
+    promise.cancel = abort;
+    return promise;
+  }
+
+  // =========================
+  // Attribute and Style
+  // =========================
+
+  /**
+   * Gets or sets an attribute for the selected elements.
+   * @param {string} attribute
+   * @param {any} value
+   * @returns {any|KAnime}
+   * @example
+   * k('.item').kAttr('data-id', '123');
+   * const id = k('.item').kAttr('data-id');
+   */
+  kAttr(attribute, value) {
+    if (value === undefined) {
+      return this.elements[0].getAttribute(attribute);
+    }
+    return this.kForEach(el => el.setAttribute(attribute, value));
+  }
+
+  /**
+   * Gets or sets a CSS property for the selected elements.
+   * @param {string} property
+   * @param {any} value
+   * @returns {any|KAnime}
+   * @example
+   * k('.item').kStyle('color', 'red');
+   * const color = k('.item').kStyle('color');
+   */
+  kStyle(property, value) {
+    if (value === undefined) {
+      return window.getComputedStyle(this.elements[0])[property];
+    }
+    return this.kForEach(el => el.style[property] = value);
+  }
+
+  /**
+   * Adds a CSS class to the selected elements.
+   * @param {string} className
+   * @returns {KAnime}
+   * @example
+   * k('.item').kAddClass('active');
+   */
+  kAddClass(className) {
+    return this.kForEach(el => el.classList.add(className));
+  }
+
+  /**
+   * Removes a CSS class from the selected elements.
+   * @param {string} className
+   * @returns {KAnime}
+   * @example
+   * k('.item').kRemoveClass('active');
+   */
+  kRemoveClass(className) {
+    return this.kForEach(el => el.classList.remove(className));
+  }
+
+  /**
+   * Toggles a CSS class on the selected elements.
+   * @param {string} className
+   * @returns {KAnime}
+   * @example
+   * k('.item').kToggleClass('active');
+   */
+  kToggleClass(className) {
+    return this.kForEach(el => el.classList.toggle(className));
+  }
+}
+
+// =========================
+// Settings
+// =========================
+
+const kSettings = {
+  // 'auto' (Web Animations API for compositor-friendly properties), 'waapi' or 'raf'
+  engine: 'auto',
+  // 'auto' follows prefers-reduced-motion, 'always' and 'never' override it
+  reducedMotion: 'auto',
+  // Longest duration (ms) of an animation when motion is reduced; 0 jumps to the end state
+  reducedDuration: 0,
+  // Sanitize HTML strings given to the insertion methods
+  sanitize: false,
+  allowedTags: [
+    'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt',
+    'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li',
+    'mark', 'ol', 'p', 'picture', 'pre', 'q', 's', 'small', 'source', 'span', 'strong', 'sub', 'summary', 'sup',
+    'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul'
+  ],
+  allowedAttributes: [
+    'alt', 'class', 'colspan', 'datetime', 'dir', 'height', 'href', 'lang', 'rel', 'role', 'rowspan', 'sizes',
+    'src', 'srcset', 'target', 'title', 'width'
+  ],
+  trustedTypesPolicy: 'kanime',
+  // Media methods throw on non-media elements; false skips them
+  strictMedia: true
+};
+
+function kPrefersReducedMotion() {
+  if (kSettings.reducedMotion === 'always') {
+    return true;
+  }
+  if (kSettings.reducedMotion === 'never' || typeof window.matchMedia !== 'function') {
+    return false;
+  }
+  return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// =========================
+// HTML sanitizer
+// =========================
+
+// Removed along with their content (SVG and MathML have their own parsing rules and script hooks)
+const kDangerousTags = [
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+  'template', 'meta', 'link', 'base', 'svg', 'math'
+];
+const kUrlAttributes = ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'cite', 'background'];
+
+let kPolicy = null;
+let kPolicyName = null;
+
+// Sanitized HTML as a Trusted Types value when the browser supports them. The policy's only way of
+// creating one is the sanitizer, so the page's CSP can allow it without allowing arbitrary HTML.
+function kTrustedHTML(html) {
+  const name = kSettings.trustedTypesPolicy;
+  if (!name || !window.trustedTypes || typeof window.trustedTypes.createPolicy !== 'function') {
+    return kSanitizeHTML(html);
+  }
+  if (kPolicyName !== name) {
+    kPolicyName = name;
+    try {
+      kPolicy = window.trustedTypes.createPolicy(name, { createHTML: value => kSanitizeHTML(value) });
+    } catch (error) {
+      // The policy name is not allowed by the page's CSP
+      kPolicy = null;
+    }
+  }
+  return kPolicy ? kPolicy.createHTML(html) : kSanitizeHTML(html);
+}
+
+function kIsSafeURL(value, tag) {
+  const url = String(value).replace(/[\u0000-\u0020\u007f-\u009f]/g, '').toLowerCase();
+  if (/^data:image\/(?:png|gif|jpe?g|webp|avif|bmp);/.test(url)) {
+    return tag === 'img' || tag === 'source';
+  }
+  return !/^(?:javascript|vbscript|data):/.test(url);
+}
+
+function kCleanNode(node, tags, attributes) {
+  Array.from(node.children).forEach(child => {
+    const tag = child.tagName.toLowerCase();
+    if (kDangerousTags.includes(tag)) {
+      child.parentNode.removeChild(child);
+      return;
+    }
+
+    kCleanNode(child, tags, attributes);
+
+    if (!tags.includes(tag)) {
+      // Unknown tags are unwrapped, keeping their (cleaned) content
+      while (child.firstChild) {
+        node.insertBefore(child.firstChild, child);
+      }
+      node.removeChild(child);
+      return;
+    }
+
+    Array.from(child.attributes).forEach(({ name, value }) => {
+      const attribute = name.toLowerCase();
+      const allowed = attributes.includes(attribute) || /^(?:data|aria)-[\w-]+$/.test(attribute);
+      if (attribute.startsWith('on') || !allowed || (kUrlAttributes.includes(attribute) && !kIsSafeURL(value, tag))) {
+        child.removeAttribute(name);
+      }
+    });
+    if (child.hasAttribute('target')) {
+      // Opened pages must not get a handle on this one
+      child.setAttribute('rel', 'noopener noreferrer');
+    }
+  });
+}
+
+// Parses HTML in an inert document and returns the cleaned nodes, ready to be inserted as they are:
+// serializing and parsing them again could turn them into different (unsafe) markup.
+function kSanitizeNodes(html) {
+  const doc = new DOMParser().parseFromString(`<body>${html}`, 'text/html');
+  const tags = kSettings.allowedTags.map(tag => tag.toLowerCase());
+  const attributes = kSettings.allowedAttributes.map(attribute => attribute.toLowerCase());
+  kCleanNode(doc.body, tags, attributes);
+  const fragment = document.createDocumentFragment();
+  Array.from(doc.body.childNodes).forEach(node => fragment.appendChild(document.adoptNode(node)));
+  return fragment;
+}
+
+function kSanitizeHTML(html) {
+  const container = document.createElement('div');
+  container.appendChild(kSanitizeNodes(html));
+  return container.innerHTML;
+}
+
+// insertAdjacentHTML, sanitized when asked to or when the `sanitize` setting is on
+function kInsertHTML(el, position, html, sanitize = kSettings.sanitize) {
+  if (!sanitize) {
+    el.insertAdjacentHTML(position, html);
+    return;
+  }
+  const fragment = kSanitizeNodes(html);
+  switch (position) {
+    case 'beforebegin':
+      el.parentNode.insertBefore(fragment, el);
+      break;
+    case 'afterbegin':
+      el.insertBefore(fragment, el.firstChild);
+      break;
+    case 'beforeend':
+      el.appendChild(fragment);
+      break;
+    case 'afterend':
+      el.parentNode.insertBefore(fragment, el.nextSibling);
+      break;
+    default:
+      throw new Error(`Invalid insert position "${position}".`);
+  }
+}
+
+// =========================
+// Rendering helpers
+// =========================
+
+/**
+ * Markup produced by `kHtml` or `KAnime.kRaw`, inserted without escaping.
+ */
+class KSafeHTML {
+  constructor(html) {
+    this.html = String(html);
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+function kEscapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function kInterpolate(value) {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+  if (value instanceof KSafeHTML) {
+    return value.html;
+  }
+  if (Array.isArray(value)) {
+    return value.map(kInterpolate).join('');
+  }
+  return kEscapeHTML(value);
+}
+
+function kHtml(strings, ...values) {
+  return new KSafeHTML(strings.reduce((output, string, index) => {
+    return output + string + (index < values.length ? kInterpolate(values[index]) : '');
+  }, ''));
+}
+
+// rendered node -> template output it was created from
+const kRenderedHTML = new WeakMap();
+
+function kRenderKey(item, index, key) {
+  if (typeof key === 'function') {
+    return key(item, index);
+  }
+  return key !== undefined && item !== null && typeof item === 'object' ? item[key] : index;
+}
+
+// Parsed in an element of the container's type, so `<tr>`, `<li>`... templates keep their context.
+function kCreateRenderNode(container, html, key) {
+  const scratch = document.createElement(container.tagName);
+  kInsertHTML(scratch, 'afterbegin', html);
+  if (scratch.children.length !== 1) {
+    throw new Error('kRender templates must return a single root element.');
+  }
+  const node = scratch.firstElementChild;
+  node.setAttribute('data-k-key', key);
+  kRenderedHTML.set(node, html);
+  return node;
+}
+
+// =========================
+// Traversal helpers
+// =========================
+
+function kUnique(elements) {
+  return Array.from(new Set(elements));
+}
+
+// Results gathered from several elements, back in document order
+function kDocumentOrder(elements) {
+  return kUnique(elements).sort((a, b) => {
+    if (a === b || !a.compareDocumentPosition) {
+      return 0;
+    }
+    return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+  });
+}
+
+// Elements a selector string is queried from
+function kContextRoots(context) {
+  if (!context || context === document) {
+    return [document];
+  }
+  if (typeof context === 'string') {
+    return Array.from(document.querySelectorAll(context));
+  }
+  if (context instanceof KAnime) {
+    return context.elements.filter(el => el.querySelectorAll);
+  }
+  if (context instanceof NodeList || context instanceof HTMLCollection || Array.isArray(context)) {
+    return Array.from(context);
+  }
+  return [context];
+}
+
+// Selector string, predicate `(el, index)`, element, list or KAnime instance
+function kMatches(el, selector, index) {
+  if (typeof selector === 'string') {
+    return !!el.matches && el.matches(selector);
+  }
+  if (typeof selector === 'function') {
+    return !!selector.call(el, el, index);
+  }
+  if (selector instanceof KAnime) {
+    return selector.elements.includes(el);
+  }
+  if (selector instanceof NodeList || selector instanceof HTMLCollection || Array.isArray(selector)) {
+    return Array.from(selector).includes(el);
+  }
+  return el === selector;
+}
+
+// New selection from `step(el)` (an element, a list or null), optionally filtered by a selector
+function kTraverse(selection, step, selector) {
+  const found = selection.elements.flatMap(el => {
+    const result = step(el);
+    return result ? [].concat(result) : [];
+  });
+  return new KAnime(kUnique(found).filter((el, index) => !selector || kMatches(el, selector, index)));
+}
+
+// =========================
+// Event registry
+// =========================
+
+// element -> [{ type, namespaces, selector, handler, wrapper, capture, internal, cancel, signal, onAbort }]
+// `internal` records belong to KAnime's own features (bindings, validation, players...): kRemoveListener
+// and kRemoveAllListeners leave them alone, the feature (or kRemove) releases them.
+const kListenerRegistry = new WeakMap();
+
+// (handler, options) or (selector, handler, options)
+function kListenerArgs(handlerOrSelector, handler, options) {
+  if (typeof handlerOrSelector === 'string') {
+    return { selector: handlerOrSelector, callback: handler, listenerOptions: options || {} };
+  }
+  return { selector: null, callback: handlerOrSelector, listenerOptions: handler || options || {} };
+}
+
+// Wraps fn with the debounce/throttle listener options; the result exposes cancel().
+function kRateLimit(fn, { debounce, throttle } = {}) {
+  let timer = null;
+  let frame = null;
+  let last = 0;
+  let lastArgs;
+  let limited;
+
+  if (debounce > 0) {
+    limited = (...args) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => fn(...args), debounce);
+    };
+  } else if (throttle === 0) {
+    limited = (...args) => {
+      lastArgs = args;
+      if (frame === null) {
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          fn(...lastArgs);
+        });
+      }
+    };
+  } else if (throttle > 0) {
+    limited = (...args) => {
+      const remaining = throttle - (Date.now() - last);
+      lastArgs = args;
+      if (remaining <= 0) {
+        clearTimeout(timer);
+        timer = null;
+        last = Date.now();
+        fn(...args);
+      } else if (timer === null) {
+        timer = setTimeout(() => {
+          timer = null;
+          last = Date.now();
+          fn(...lastArgs);
+        }, remaining);
+      }
+    };
+  } else {
+    limited = (...args) => fn(...args);
+  }
+
+  limited.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (frame !== null) {
+      cancelAnimationFrame(frame);
+      frame = null;
+    }
+  };
+  return limited;
+}
+
+// 'click.menu mouseenter' -> [{ type: 'click', namespaces: ['menu'] }, { type: 'mouseenter', namespaces: [] }]
+function kParseEvents(events) {
+  return String(events)
+    .split(/[,\s]+/)
+    .filter(Boolean)
+    .map(event => {
+      const [type, ...namespaces] = event.split('.');
+      return { type, namespaces: namespaces.filter(Boolean) };
+    });
+}
+
+function kAddListener(el, { type, namespaces = [], selector = null, handler, options = {}, internal = false }) {
+  const record = { type, namespaces, selector, handler, capture: !!options.capture, internal };
+  const invoke = kRateLimit((context, e) => {
+    if (options.once) {
+      kRemoveRecord(el, record);
+    }
+    handler.call(context, e);
+  }, options);
+
+  record.cancel = invoke.cancel;
+  record.wrapper = selector
+    // Delegated event
+    ? e => {
+      if (e.target.closest && e.target.closest(selector) && el.contains(e.target)) {
+        invoke(e.target, e);
+      }
+    }
+    // Direct event
+    : e => invoke(el, e);
+
+  if (options.signal) {
+    if (options.signal.aborted) {
+      return record;
+    }
+    record.signal = options.signal;
+    record.onAbort = () => kRemoveRecord(el, record);
+    options.signal.addEventListener('abort', record.onAbort, { once: true });
+  }
+
+  const nativeOptions = { capture: record.capture };
+  if (options.passive !== undefined) {
+    nativeOptions.passive = !!options.passive;
+  }
+
+  if (!kListenerRegistry.has(el)) {
+    kListenerRegistry.set(el, []);
+  }
+  kListenerRegistry.get(el).push(record);
+  el.addEventListener(type, record.wrapper, nativeOptions);
+  return record;
+}
+
+function kRemoveRecord(el, record) {
+  const records = kListenerRegistry.get(el);
+  if (!records || !records.includes(record)) {
+    return;
+  }
+  el.removeEventListener(record.type, record.wrapper, record.capture);
+  record.cancel();
+  if (record.signal) {
+    // Removed before the signal aborted (kOff, `once`...): the signal no longer needs to hold the record
+    record.signal.removeEventListener('abort', record.onAbort);
+  }
+  records.splice(records.indexOf(record), 1);
+}
+
+// Every filter is optional: an empty filter removes all the element's public listeners, and
+// `internal: true` also matches KAnime's own.
+function kRemoveListeners(el, { type, namespaces = [], selector, handler, internal = false } = {}) {
+  const records = kListenerRegistry.get(el);
+  if (!records) {
+    return;
+  }
+  records
+    .filter(record => (internal || !record.internal)
+      && (!type || record.type === type)
+      && namespaces.every(ns => record.namespaces.includes(ns))
+      && (selector === undefined || record.selector === selector)
+      && (typeof handler !== 'function' || record.handler === handler))
+    .forEach(record => kRemoveRecord(el, record));
+}
+
+// element -> [callback] run by kCleanupElement (window listeners, observers...)
+const kCleanupRegistry = new WeakMap();
+
+function kOnCleanup(el, callback) {
+  const callbacks = kCleanupRegistry.get(el) || [];
+  callbacks.push(callback);
+  kCleanupRegistry.set(el, callbacks);
+}
+
+// Releases what KAnime attached to an element and its descendants before it leaves the DOM.
+function kCleanupElement(el) {
+  [el, ...(el.querySelectorAll ? el.querySelectorAll('*') : [])].forEach(node => {
+    if (kListenerRegistry.has(node)) {
+      kRemoveListeners(node, { internal: true });
+      kListenerRegistry.delete(node);
+    }
+    if (kCleanupRegistry.has(node)) {
+      kCleanupRegistry.get(node).forEach(callback => callback());
+      kCleanupRegistry.delete(node);
+    }
+    kUnbindElement(node);
+    kStopAnimations(node);
+  });
+}
+
+// =========================
+// Animation engine
+// =========================
+
+const kEasings = {
+  linear: t => t,
+  ease: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+  'ease-in': t => t * t,
+  'ease-out': t => t * (2 - t),
+  'ease-in-out': t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+  'cubic-in': t => t * t * t,
+  'cubic-out': t => (--t) * t * t + 1,
+  'cubic-in-out': t => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1,
+  'bounce': t => {
+    const n1 = 7.5625, d1 = 2.75;
+    if (t < 1 / d1) return n1 * t * t;
+    else if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
+    else if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
+    else return n1 * (t -= 2.625 / d1) * t + 0.984375;
+  },
+  'elastic': t => {
+    return t === 0
+      ? 0
+      : t === 1
+      ? 1
+      : -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * ((2 * Math.PI) / 3));
+  },
+  'sine-in': t => 1 - Math.cos((t * Math.PI) / 2),
+  'sine-out': t => Math.sin((t * Math.PI) / 2),
+  'sine-in-out': t => -(Math.cos(Math.PI * t) - 1) / 2,
+  'expo-in': t => t === 0 ? 0 : Math.pow(2, 10 * t - 10),
+  'expo-out': t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
+  'expo-in-out': t => t === 0
+    ? 0
+    : t === 1
+    ? 1
+    : t < 0.5
+    ? Math.pow(2, 20 * t - 10) / 2
+    : (2 - Math.pow(2, -20 * t + 10)) / 2,
+  'back-in': t => 2.70158 * t * t * t - 1.70158 * t * t,
+  'back-out': t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+  'back-in-out': t => {
+    const c2 = 1.70158 * 1.525;
+    return t < 0.5
+      ? (Math.pow(2 * t, 2) * ((c2 + 1) * 2 * t - c2)) / 2
+      : (Math.pow(2 * t - 2, 2) * ((c2 + 1) * (t * 2 - 2) + c2) + 2) / 2;
+  }
+};
+
+function kCubicBezier(x1, y1, x2, y2) {
+  const a = (p1, p2) => 1 - 3 * p2 + 3 * p1;
+  const b = (p1, p2) => 3 * p2 - 6 * p1;
+  const c = p1 => 3 * p1;
+  const curve = (t, p1, p2) => ((a(p1, p2) * t + b(p1, p2)) * t + c(p1)) * t;
+  const slope = (t, p1, p2) => 3 * a(p1, p2) * t * t + 2 * b(p1, p2) * t + c(p1);
+
+  // Finds the curve parameter for a given x: Newton-Raphson, then bisection if it does not converge
+  const solve = x => {
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+      const error = curve(t, x1, x2) - x;
+      if (Math.abs(error) < 1e-7) return t;
+      const derivative = slope(t, x1, x2);
+      if (Math.abs(derivative) < 1e-6) break;
+      t -= error / derivative;
+    }
+    let low = 0;
+    let high = 1;
+    t = x;
+    while (high - low > 1e-7) {
+      const value = curve(t, x1, x2);
+      if (Math.abs(value - x) < 1e-7) break;
+      if (x > value) low = t;
+      else high = t;
+      t = (low + high) / 2;
+    }
+    return t;
+  };
+
+  if (x1 === y1 && x2 === y2) {
+    return t => t;
+  }
+  return t => (t <= 0 ? 0 : t >= 1 ? 1 : curve(solve(t), y1, y2));
+}
+
+function kSteps(count, position = 'end') {
+  const n = Math.max(1, Math.round(count));
+  return t => {
+    if (t >= 1) return 1;
+    if (t <= 0) return position === 'start' || position === 'jump-start' ? 1 / n : 0;
+    switch (position) {
+      case 'start':
+      case 'jump-start':
+        return Math.min(1, Math.ceil(t * n) / n);
+      case 'jump-none':
+        return n > 1 ? Math.min(1, Math.floor(t * n) / (n - 1)) : 0;
+      case 'jump-both':
+        return (Math.floor(t * n) + 1) / (n + 1);
+      default:
+        return Math.floor(t * n) / n;
+    }
+  };
+}
+
+/**
+ * Damped spring from 0 to 1. The returned easing carries the settling time of the
+ * spring as `duration` (ms), which replaces the animation duration.
+ */
+function kSpring(mass = 1, stiffness = 100, damping = 10, velocity = 0) {
+  const m = Math.max(0.01, mass);
+  const k = Math.max(0.01, stiffness);
+  const w0 = Math.sqrt(k / m);
+  const zeta = damping / (2 * Math.sqrt(k * m));
+  const wd = zeta < 1 ? w0 * Math.sqrt(1 - zeta * zeta) : 0;
+  const b = zeta < 1 ? (zeta * w0 - velocity) / wd : w0 - velocity;
+
+  // Position at `time` seconds
+  const position = time => {
+    const decay = zeta < 1
+      ? Math.exp(-time * zeta * w0) * (Math.cos(wd * time) + b * Math.sin(wd * time))
+      : (1 + b * time) * Math.exp(-time * w0);
+    return 1 - decay;
+  };
+
+  // Settled once the spring stays within 0.1% of its target for 10 frames (capped at 10s)
+  const frame = 1 / 60;
+  let settledAt = 0;
+  let streak = 0;
+  for (let time = 0; time < 10 && streak < 10; time += frame) {
+    if (Math.abs(1 - position(time)) < 0.001) {
+      if (streak === 0) settledAt = time;
+      streak++;
+    } else {
+      streak = 0;
+    }
+  }
+  const seconds = streak >= 10 ? settledAt : 10;
+
+  const easing = t => (t >= 1 ? 1 : position(t * seconds));
+  easing.duration = Math.round(seconds * 1000);
+  return easing;
+}
+
+// 'mass,stiffness,damping,velocity' -> spring easing (settling time is simulated once per curve)
+const kSpringCache = new Map();
+
+// Easing name, function or definition ('cubic-bezier(...)', 'steps(...)', 'spring(...)') -> function
+function kResolveEasing(easing) {
+  if (typeof easing === 'function') {
+    return easing;
+  }
+  if (easing === undefined || easing === null) {
+    return kEasings.linear;
+  }
+  if (Object.prototype.hasOwnProperty.call(kEasings, easing)) {
+    return kEasings[easing];
+  }
+
+  const match = /^(cubic-bezier|steps|spring)\(([^)]*)\)$/.exec(String(easing).trim());
+  if (!match) {
+    throw new Error(`Unknown easing "${easing}".`);
+  }
+  const args = match[2].split(',').map(arg => arg.trim());
+  const numbers = args.map(parseFloat);
+  if (match[1] === 'cubic-bezier') {
+    return kCubicBezier(...numbers);
+  }
+  if (match[1] === 'steps') {
+    return kSteps(numbers[0], args[1]);
+  }
+  const key = numbers.join(',');
+  if (!kSpringCache.has(key)) {
+    kSpringCache.set(key, kSpring(...numbers.map(number => (isNaN(number) ? undefined : number))));
+  }
+  return kSpringCache.get(key);
+}
+
+// element -> Set of running KAnimation
+const kAnimationRegistry = new WeakMap();
+
+// element -> { inline, computed } display values it had before being hidden by KAnime
+const kDisplayRegistry = new WeakMap();
+// tag name -> default display value
+const kDefaultDisplays = {};
+
+function kDefaultDisplay(el) {
+  const tag = el.tagName;
+  if (!kDefaultDisplays[tag]) {
+    const probe = document.createElement(tag);
+    document.body.appendChild(probe);
+    const display = window.getComputedStyle(probe).display;
+    probe.parentNode.removeChild(probe);
+    kDefaultDisplays[tag] = !display || display === 'none' ? 'block' : display;
+  }
+  return kDefaultDisplays[tag];
+}
+
+function kShowElement(el) {
+  if (window.getComputedStyle(el).display !== 'none') {
+    return;
+  }
+  const previous = kDisplayRegistry.get(el) || {};
+  el.style.display = previous.inline || '';
+  if (window.getComputedStyle(el).display === 'none') {
+    // Hidden by a stylesheet: use the value it had, or the tag's default
+    el.style.display = previous.computed || kDefaultDisplay(el);
+  }
+}
+
+function kHideElement(el) {
+  const computed = window.getComputedStyle(el).display;
+  if (computed !== 'none') {
+    kDisplayRegistry.set(el, { inline: el.style.display, computed });
+  }
+  el.style.display = 'none';
+}
+
+const kSlideProps = ['height', 'paddingTop', 'paddingBottom'];
+// element -> { inline: original inline styles, direction: 'down' | 'up' } while sliding
+const kSlideRegistry = new WeakMap();
+
+// Properties of a slide from the element's current state, and the cleanup restoring `height: auto`.
+function kPrepareSlide(el, direction) {
+  kStopAnimations(el, kSlideProps);
+  const isHidden = window.getComputedStyle(el).display === 'none';
+  if (direction === 'up' && isHidden) {
+    return null;
+  }
+
+  let slide = kSlideRegistry.get(el);
+  if (!slide) {
+    slide = { inline: {} };
+    kSlideProps.concat('overflow').forEach(prop => {
+      slide.inline[prop] = el.style[prop];
+    });
+    kSlideRegistry.set(el, slide);
+  }
+  slide.direction = direction;
+
+  const current = {};
+  kSlideProps.forEach(prop => {
+    current[prop] = isHidden ? '0px' : window.getComputedStyle(el)[prop];
+  });
+  kShowElement(el);
+
+  // Natural size, measured with the original inline styles
+  const natural = {};
+  kSlideProps.forEach(prop => {
+    el.style[prop] = slide.inline[prop];
+  });
+  kSlideProps.forEach(prop => {
+    natural[prop] = window.getComputedStyle(el)[prop];
+    el.style[prop] = current[prop];
+  });
+  el.style.overflow = 'hidden';
+
+  return {
+    properties: direction === 'down' ? natural : { height: '0px', paddingTop: '0px', paddingBottom: '0px' },
+    complete: () => {
+      if (direction === 'up') {
+        kHideElement(el);
+      }
+      kRestoreSlide(el);
+    }
+  };
+}
+
+// Puts back the inline styles replaced by a slide (also when `kStop` cancels it halfway).
+function kRestoreSlide(el) {
+  const slide = kSlideRegistry.get(el);
+  if (!slide) {
+    return;
+  }
+  kSlideProps.concat('overflow').forEach(prop => {
+    el.style[prop] = slide.inline[prop];
+  });
+  kSlideRegistry.delete(el);
+}
+
+// (duration, easing, callback) or an options object, with the selection's defaults
+function kTransitionOptions(selection, duration, easing, callback) {
+  if (duration !== null && typeof duration === 'object') {
+    return { duration: selection.kDuration, easing: 'ease-in-out', ...duration };
+  }
+  return {
+    duration: duration === undefined ? selection.kDuration : duration,
+    easing: easing || 'ease-in-out',
+    callback
+  };
+}
+
+// Runs the animation returned by `prepare(el)` ({ properties, complete }) on every element.
+function kTransition(selection, args, prepare) {
+  const options = kTransitionOptions(selection, ...args);
+  const delays = kStaggerDelays(selection.elements, options.stagger, options.delay);
+  const animations = [];
+
+  selection.elements.forEach((el, index) => {
+    const transition = prepare(el);
+    if (!transition) {
+      return;
+    }
+    animations.push(new KAnimation(el, transition.properties, {
+      ...options,
+      delay: delays[index],
+      callback() {
+        if (transition.complete) {
+          transition.complete();
+        }
+        if (typeof options.callback === 'function') {
+          options.callback.call(el);
+        }
+      }
+    }).play());
+  });
+
+  selection.kAnimation = new KAnimationGroup(animations);
+  return selection;
+}
+
+/**
+ * Start delay of every element for the `stagger` option:
+ * a fixed step (`60`), `{ each, from: 'start' | 'center' | 'end' | index, grid: [rows, cols], axis: 'x' | 'y' }`,
+ * or a function `(index, el, total) => ms`.
+ */
+function kStaggerDelays(elements, stagger, delay = 0) {
+  const total = elements.length;
+  const base = delay || 0;
+  if (!stagger) {
+    return elements.map(() => base);
+  }
+  if (typeof stagger === 'function') {
+    return elements.map((el, index) => base + (Number(stagger(index, el, total)) || 0));
+  }
+
+  const { each = 0, from = 'start', grid, axis } = typeof stagger === 'number' ? { each: stagger } : stagger;
+
+  if (grid) {
+    const [rows, cols] = grid;
+    const origin = from === 'center'
+      ? [(cols - 1) / 2, (rows - 1) / 2]
+      : from === 'end'
+      ? [cols - 1, rows - 1]
+      : typeof from === 'number'
+      ? [from % cols, Math.floor(from / cols)]
+      : [0, 0];
+    return elements.map((el, index) => {
+      const dx = (index % cols) - origin[0];
+      const dy = Math.floor(index / cols) - origin[1];
+      const distance = axis === 'x' ? Math.abs(dx) : axis === 'y' ? Math.abs(dy) : Math.sqrt(dx * dx + dy * dy);
+      return base + distance * each;
+    });
+  }
+
+  const origin = from === 'center' ? (total - 1) / 2 : from === 'end' ? total - 1 : typeof from === 'number' ? from : 0;
+  return elements.map((el, index) => base + Math.abs(index - origin) * each);
+}
+
+// Cancels (or finishes) the element's running animations, optionally only those touching `props`.
+function kStopAnimations(el, props = null, jumpToEnd = false) {
+  const running = kAnimationRegistry.get(el);
+  if (!running) {
+    return;
+  }
+  Array.from(running)
+    .filter(animation => !props || animation.tweens.some(tween => props.includes(tween.prop)))
+    .forEach(animation => (jumpToEnd ? animation.finish() : animation.cancel()));
+}
+
+// Transform functions animated as individual properties, with their default unit.
+const kTransformUnits = {
+  translateX: 'px',
+  translateY: 'px',
+  translateZ: 'px',
+  rotate: 'deg',
+  rotateX: 'deg',
+  rotateY: 'deg',
+  rotateZ: 'deg',
+  skewX: 'deg',
+  skewY: 'deg',
+  scale: '',
+  scaleX: '',
+  scaleY: '',
+  scaleZ: '',
+  perspective: 'px'
+};
+
+// element -> { base, functions: { translateX: '10px', scale: '1.2', ... } }; the functions are
+// composed in insertion order after `base`, the transform the element had before
+const kTransformRegistry = new WeakMap();
+
+// Properties the browser can animate off the main thread
+const kCompositorProps = ['opacity', 'transform', 'filter'];
+
+function kTransformState(el) {
+  if (!kTransformRegistry.has(el)) {
+    // Inline or stylesheet transform, kept in front of the animated functions
+    const computed = window.getComputedStyle(el).transform;
+    const base = el.style.transform || (computed && computed !== 'none' ? computed : '');
+    kTransformRegistry.set(el, { base, functions: {} });
+  }
+  return kTransformRegistry.get(el);
+}
+
+function kComposeTransform({ base, functions }) {
+  return [base, ...Object.keys(functions).map(fn => `${fn}(${functions[fn]})`)].filter(Boolean).join(' ');
+}
+
+const kNumberPattern = /[-+]?(?:\d*\.)?\d+(?:e[-+]?\d+)?/gi;
+const kColorPattern = /#(?:[\da-f]{3,4}){1,2}\b|(?:rgba?|hsla?)\([^)]*\)/gi;
+
+function kFormatNumber(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// '12.5px' -> { number: 12.5, unit: 'px' }
+function kUnitValue(value) {
+  const match = /^([-+]?(?:\d*\.)?\d+(?:e[-+]?\d+)?)([a-z%]*)$/i.exec(String(value).trim());
+  return match ? { number: parseFloat(match[1]), unit: match[2] } : null;
+}
+
+// Hex, rgb(a) and hsl(a) colors -> [r, g, b, a]
+function kParseColor(color) {
+  const value = String(color).trim().toLowerCase();
+
+  if (value[0] === '#') {
+    let hex = value.slice(1);
+    if (hex.length <= 4) {
+      hex = hex.split('').map(char => char + char).join('');
+    }
+    const channels = hex.match(/../g).map(pair => parseInt(pair, 16));
+    return [channels[0], channels[1], channels[2], channels.length > 3 ? kFormatNumber(channels[3] / 255) : 1];
+  }
+
+  const match = /^(rgba?|hsla?)\(([^)]*)\)$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const parts = match[2].split(/[\s,/]+/).filter(Boolean);
+  const alpha = parts[3] === undefined ? 1 : parseFloat(parts[3]) / (parts[3].endsWith('%') ? 100 : 1);
+
+  if (match[1].startsWith('rgb')) {
+    const [r, g, b] = parts.slice(0, 3).map(part => (part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part)));
+    return [r, g, b, alpha];
+  }
+
+  const h = ((parseFloat(parts[0]) % 360) + 360) % 360 / 360;
+  const sat = parseFloat(parts[1]) / 100;
+  const light = parseFloat(parts[2]) / 100;
+  const q = light < 0.5 ? light * (1 + sat) : light + sat - light * sat;
+  const p = 2 * light - q;
+  const hue = t => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return [hue(h + 1 / 3), hue(h), hue(h - 1 / 3)].map(channel => Math.round(channel * 255)).concat(alpha);
+}
+
+// Splits a value into its numbers and the strings around them, colors normalized to rgba().
+function kSplitNumbers(value) {
+  const normalized = String(value).replace(kColorPattern, color => {
+    const rgba = kParseColor(color);
+    return rgba ? `rgba(${rgba.join(', ')})` : color;
+  });
+  return {
+    numbers: (normalized.match(kNumberPattern) || []).map(Number),
+    strings: normalized.split(kNumberPattern)
+  };
+}
+
+// 'translateX(20px) scale(1.5)' -> 'translateX(0px) scale(1)'
+function kIdentityTransform(transform) {
+  return transform.replace(/([a-z\d]+)\(([^)]*)\)/gi, (match, fn, args) => {
+    const identity = /^scale/i.test(fn) ? '1' : '0';
+    return `${fn}(${args.split(',').map(arg => identity + ((kUnitValue(arg) || {}).unit || '')).join(', ')})`;
+  });
+}
+
+function kReadStyle(el, prop) {
+  if (prop in kTransformUnits) {
+    const state = kTransformRegistry.get(el);
+    const value = state && state.functions[prop];
+    return value !== undefined ? value : (prop.startsWith('scale') ? '1' : `0${kTransformUnits[prop]}`);
+  }
+  if (prop.startsWith('--')) {
+    return window.getComputedStyle(el).getPropertyValue(prop).trim() || el.style.getPropertyValue(prop).trim();
+  }
+  if (prop === 'transform') {
+    // Computed transforms are matrices; the inline value keeps the functions KAnime wrote
+    return el.style.transform || 'none';
+  }
+  return window.getComputedStyle(el)[prop];
+}
+
+function kWriteStyle(el, prop, value) {
+  if (prop in kTransformUnits) {
+    const state = kTransformState(el);
+    state.functions[prop] = value;
+    el.style.transform = kComposeTransform(state);
+  } else if (prop.startsWith('--')) {
+    el.style.setProperty(prop, value);
+  } else {
+    if (prop === 'transform') {
+      // The new transform becomes the base of later transform function animations
+      kTransformRegistry.delete(el);
+    }
+    el.style[prop] = value;
+  }
+}
+
+// Computed form of a value (named colors to rgb(), shadows reordered...), read by applying it briefly.
+function kProbeStyle(el, prop, value) {
+  const inline = el.style[prop];
+  el.style[prop] = value;
+  const computed = window.getComputedStyle(el)[prop];
+  el.style[prop] = inline;
+  return computed || value;
+}
+
+// How many pixels one `unit` of the property measures on this element.
+function kUnitFactor(el, prop, unit) {
+  if (!unit || unit === 'px') {
+    return 1;
+  }
+  const measured = kUnitValue(kProbeStyle(el, prop, `100${unit}`));
+  return measured && measured.unit === 'px' && measured.number ? measured.number / 100 : 1;
+}
+
+/**
+ * Builds the interpolator of one property: single numbers (with relative `+=`, `-=`, `*=`
+ * values and unit conversion), transform functions, colors and multi-value strings.
+ */
+function kCreateTween(el, prop, target) {
+  const value = String(target).trim();
+  const relative = /^([+\-*])=\s*(.+)$/.exec(value);
+  const start = kReadStyle(el, prop);
+  const startValue = kUnitValue(start);
+  const endValue = kUnitValue(relative ? relative[2] : value);
+
+  if (endValue && (startValue || !/[a-z(#]/i.test(start) || start === 'auto')) {
+    const unit = endValue.unit || (startValue ? startValue.unit : '') || kTransformUnits[prop] || '';
+    let from = startValue ? startValue.number : 0;
+    if (startValue && from !== 0 && startValue.unit !== unit && !(prop in kTransformUnits)) {
+      from = from * kUnitFactor(el, prop, startValue.unit) / kUnitFactor(el, prop, unit);
+    }
+
+    let to = endValue.number;
+    if (relative) {
+      to = relative[1] === '+' ? from + to : relative[1] === '-' ? from - to : from * to;
+    }
+    return {
+      prop,
+      interpolate: t => kFormatNumber(from + (to - from) * t) + unit,
+      final: relative ? kFormatNumber(to) + unit : (endValue.unit || !unit ? value : to + unit)
+    };
+  }
+
+  const computedEnd = prop.startsWith('--') || prop === 'transform' ? value : kProbeStyle(el, prop, value);
+  const to = kSplitNumbers(computedEnd);
+  let from = kSplitNumbers(prop === 'transform' && start === 'none' ? kIdentityTransform(value) : start);
+  if (prop === 'transform' && from.strings.join('#') !== to.strings.join('#')) {
+    from = kSplitNumbers(kIdentityTransform(value));
+  }
+
+  if (!to.numbers.length) {
+    // Nothing to interpolate: switch at the end
+    return { prop, interpolate: t => (t < 1 ? start : value), final: value };
+  }
+
+  const fromNumbers = from.numbers.length === to.numbers.length ? from.numbers : to.numbers.map(() => 0);
+  return {
+    prop,
+    interpolate: t => to.strings.reduce((output, string, index) => {
+      const number = index < to.numbers.length
+        ? kFormatNumber(fromNumbers[index] + (to.numbers[index] - fromNumbers[index]) * t)
+        : '';
+      return output + string + number;
+    }, ''),
+    final: value
+  };
+}
+
+/**
+ * requestAnimationFrame-driven animation of a single element.
+ */
+class KAnimation {
+  constructor(el, properties, { duration = 400, easing = 'linear', callback, delay = 0 } = {}) {
+    this.el = el;
+    this.duration = Math.max(0, duration);
+    this.delay = Math.max(0, delay || 0);
+    this.easing = kResolveEasing(easing);
+    if (this.easing.duration) {
+      // Springs define their own duration
+      this.duration = this.easing.duration;
+    }
+    if (kPrefersReducedMotion()) {
+      this.duration = Math.min(this.duration, kSettings.reducedDuration);
+      this.delay = 0;
+    }
+    this.callback = callback;
+    this.progress = 0;
+    this.direction = 1;
+    this.state = 'idle';
+    this.frame = null;
+    this.lastTime = null;
+    // Part of `delay` already waited in the current run
+    this.delayElapsed = 0;
+    // Web Animations API animation, when that engine is used
+    this.native = null;
+    this.nativeDelay = 0;
+    this.tweens = Object.keys(properties).map(prop => kCreateTween(el, prop, properties[prop]));
+    this.kResetFinished();
+  }
+
+  play() {
+    if (this.state === 'running') {
+      return this;
+    }
+    if (this.state === 'finished' || this.state === 'cancelled') {
+      this.progress = this.direction > 0 ? 0 : 1;
+      this.delayElapsed = 0;
+      this.kResetFinished();
+    }
+    this.state = 'running';
+    this.lastTime = null;
+    if (!kAnimationRegistry.has(this.el)) {
+      kAnimationRegistry.set(this.el, new Set());
+    }
+    kAnimationRegistry.get(this.el).add(this);
+
+    if (this.native || this.kUsesNative()) {
+      this.kPlayNative();
+    } else {
+      this.frame = requestAnimationFrame(now => this.kTick(now));
+    }
+    return this;
+  }
+
+  pause() {
+    if (this.state === 'running') {
+      if (this.native) {
+        this.native.pause();
+        this.progress = this.kNativeProgress();
+      } else {
+        cancelAnimationFrame(this.frame);
+      }
+      this.state = 'paused';
+    }
+    return this;
+  }
+
+  resume() {
+    return this.state === 'paused' ? this.play() : this;
+  }
+
+  reverse() {
+    this.direction = -this.direction;
+    if (this.state === 'finished') {
+      this.state = 'paused';
+      this.delayElapsed = 0;
+      this.kResetFinished();
+      return this.play();
+    }
+    if (this.native) {
+      this.native.playbackRate = this.direction;
+    }
+    return this;
+  }
+
+  seek(progress) {
+    this.progress = Math.min(1, Math.max(0, progress));
+    this.lastTime = null;
+    if (this.native) {
+      this.native.currentTime = this.nativeDelay + this.progress * this.duration;
+    } else {
+      this.kRender();
+    }
+    return this;
+  }
+
+  finish() {
+    if (this.state === 'finished' || this.state === 'cancelled') {
+      return this;
+    }
+    this.progress = this.direction > 0 ? 1 : 0;
+    this.kRender();
+    this.kReleaseNative();
+    this.kComplete();
+    return this;
+  }
+
+  cancel() {
+    if (this.state === 'finished' || this.state === 'cancelled') {
+      return this;
+    }
+    if (this.native) {
+      // Keep the current values, like the requestAnimationFrame engine does
+      this.progress = this.kNativeProgress();
+      this.kRender();
+      this.kReleaseNative();
+    }
+    cancelAnimationFrame(this.frame);
+    this.state = 'cancelled';
+    this.kUnregister();
+    const error = new Error('Animation cancelled');
+    error.name = 'AbortError';
+    this.kReject(error);
+    return this;
+  }
+
+  kTick(now) {
+    if (this.lastTime === null) {
+      this.lastTime = now;
+    }
+    let elapsed = now - this.lastTime;
+    this.lastTime = now;
+
+    if (this.delayElapsed < this.delay) {
+      // Remaining delay is consumed before the animation progresses
+      const consumed = Math.min(this.delay - this.delayElapsed, elapsed);
+      this.delayElapsed += consumed;
+      elapsed -= consumed;
+      if (this.delayElapsed < this.delay) {
+        this.frame = requestAnimationFrame(next => this.kTick(next));
+        return;
+      }
+    }
+
+    const delta = this.duration > 0 ? elapsed / this.duration : 1;
+    this.progress = Math.min(1, Math.max(0, this.progress + delta * this.direction));
+    this.kRender();
+
+    const done = this.direction > 0 ? this.progress >= 1 : this.progress <= 0;
+    if (done) {
+      this.kComplete();
+    } else {
+      this.frame = requestAnimationFrame(next => this.kTick(next));
+    }
+  }
+
+  kRender() {
+    const easeT = this.easing(this.progress);
+    this.tweens.forEach(tween => {
+      kWriteStyle(this.el, tween.prop, this.progress >= 1 ? tween.final : tween.interpolate(easeT));
+    });
+  }
+
+  // Compositor-friendly properties run through the Web Animations API when available
+  // (every property except custom ones with `engine: 'waapi'`).
+  kUsesNative() {
+    if (typeof this.el.animate !== 'function' || kSettings.engine === 'raf') {
+      return false;
+    }
+    return this.tweens.every(tween => !tween.prop.startsWith('--')
+      && (kSettings.engine === 'waapi' || tween.prop in kTransformUnits || kCompositorProps.includes(tween.prop)));
+  }
+
+  kPlayNative() {
+    if (this.native) {
+      this.native.play();
+      return;
+    }
+    this.nativeDelay = this.delay - this.delayElapsed;
+    this.delayElapsed = this.delay;
+    this.native = this.el.animate(this.kKeyframes(), {
+      duration: this.duration,
+      delay: this.nativeDelay,
+      easing: 'linear',
+      fill: 'both'
+    });
+    this.native.playbackRate = this.direction;
+    if (this.progress > 0 || this.direction < 0) {
+      this.native.currentTime = this.nativeDelay + this.progress * this.duration;
+    }
+    this.native.onfinish = () => {
+      // Commit the end values inline before dropping the animation's fill
+      this.progress = this.direction > 0 ? 1 : 0;
+      this.kRender();
+      this.kReleaseNative();
+      this.kComplete();
+    };
+  }
+
+  kNativeProgress() {
+    const time = (this.native.currentTime || 0) - this.nativeDelay;
+    return this.duration > 0 ? Math.min(1, Math.max(0, time / this.duration)) : 1;
+  }
+
+  kReleaseNative() {
+    if (this.native) {
+      this.native.onfinish = null;
+      this.native.cancel();
+      this.native = null;
+    }
+  }
+
+  // The easing is sampled into keyframes, so every registered easing works with a linear timing.
+  kKeyframes() {
+    const samples = this.easing === kEasings.linear ? 1 : Math.min(100, Math.max(10, Math.ceil(this.duration / 16)));
+    const state = kTransformState(this.el);
+    const transform = { base: state.base, functions: { ...state.functions } };
+    const keyframes = [];
+
+    for (let i = 0; i <= samples; i++) {
+      const offset = i / samples;
+      const easeT = this.easing(offset);
+      const keyframe = { offset };
+      this.tweens.forEach(tween => {
+        const value = offset >= 1 ? tween.final : tween.interpolate(easeT);
+        if (tween.prop in kTransformUnits) {
+          transform.functions[tween.prop] = value;
+        } else {
+          keyframe[tween.prop] = value;
+        }
+      });
+      if (this.tweens.some(tween => tween.prop in kTransformUnits)) {
+        keyframe.transform = kComposeTransform(transform);
+      }
+      keyframes.push(keyframe);
+    }
+    return keyframes;
+  }
+
+  kComplete() {
+    cancelAnimationFrame(this.frame);
+    this.state = 'finished';
+    this.kUnregister();
+    if (typeof this.callback === 'function') {
+      this.callback.call(this.el);
+    }
+    this.kResolve(this);
+  }
+
+  kUnregister() {
+    const running = kAnimationRegistry.get(this.el);
+    if (running) {
+      running.delete(this);
+    }
+  }
+
+  kResetFinished() {
+    this.finished = new Promise((resolve, reject) => {
+      this.kResolve = resolve;
+      this.kReject = reject;
+    });
+    // Cancellation rejects `finished`; avoid unhandled rejections when nobody awaits it.
+    this.finished.catch(() => {});
+  }
+}
+
+/**
+ * Controls the animations started on every element of a selection as one.
+ */
+class KAnimationGroup {
+  constructor(animations = []) {
+    this.animations = animations;
+  }
+
+  get finished() {
+    const finished = Promise.all(this.animations.map(animation => animation.finished)).then(() => this);
+    finished.catch(() => {});
+    return finished;
+  }
+
+  pause() {
+    this.animations.forEach(animation => animation.pause());
+    return this;
+  }
+
+  resume() {
+    this.animations.forEach(animation => animation.resume());
+    return this;
+  }
+
+  reverse() {
+    this.animations.forEach(animation => animation.reverse());
+    return this;
+  }
+
+  seek(progress) {
+    this.animations.forEach(animation => animation.seek(progress));
+    return this;
+  }
+
+  cancel() {
+    this.animations.forEach(animation => animation.cancel());
+    return this;
+  }
+
+  finish() {
+    this.animations.forEach(animation => animation.finish());
+    return this;
+  }
+}
+
+/**
+ * Sequence of animation steps played, paused, seeked, reversed and looped as a whole
+ * (see `KAnime.kTimeline`). Each step is rendered through a paused `KAnimation`.
+ */
+class KTimeline {
+  constructor({ loop = false, alternate = false, duration = 400, easing = 'linear', onComplete } = {}) {
+    this.loop = loop;
+    this.alternate = alternate;
+    this.defaults = { duration, easing };
+    this.onComplete = onComplete;
+    this.steps = [];
+    this.labels = {};
+    this.cursor = 0;
+    this.time = 0;
+    this.direction = 1;
+    this.iteration = 0;
+    this.state = 'idle';
+    this.frame = null;
+    this.lastTime = null;
+    this.kResetFinished();
+  }
+
+  /**
+   * Total length of the timeline in milliseconds.
+   * @returns {number}
+   */
+  get duration() {
+    return this.steps.reduce((max, step) => Math.max(max, step.start + step.length), 0);
+  }
+
+  /**
+   * Adds an animation step.
+   * @param {string|HTMLElement|NodeList|Array|KAnime} target
+   * @param {Object} properties - CSS properties and their target values.
+   * @param {Object|number} [options] - `{ duration, easing, delay, stagger }` or the duration alone;
+   *   `delay` postpones the step (and the steps placed after it) from its offset.
+   * @param {number|string} [offset] - Absolute time in ms, `'+=200'`/`'-=100'` relative to the
+   *   previous step's end, a label name, or `'label+=100'`. Defaults to the previous step's end.
+   * @returns {KTimeline}
+   */
+  add(target, properties, options = {}, offset) {
+    const { duration, easing, delay, stagger } = typeof options === 'number'
+      ? { ...this.defaults, duration: options }
+      : { ...this.defaults, ...options };
+    const elements = target instanceof KAnime ? target.elements : new KAnime(target).elements;
+    const start = this.kResolveOffset(offset);
+    const delays = kStaggerDelays(elements, stagger, delay);
+    const easingFn = kResolveEasing(easing);
+    const stepDuration = easingFn.duration || duration;
+    const length = stepDuration + Math.max(0, ...delays);
+
+    this.steps.push({
+      elements,
+      properties,
+      duration: stepDuration,
+      easing: easingFn,
+      start,
+      delays,
+      length,
+      animations: null
+    });
+    this.cursor = start + length;
+    return this;
+  }
+
+  /**
+   * Names a position of the timeline so later steps can be placed relative to it.
+   * @param {string} name
+   * @param {number|string} [offset] - Same format as in `add`; defaults to the previous step's end.
+   * @returns {KTimeline}
+   */
+  label(name, offset) {
+    this.labels[name] = this.kResolveOffset(offset);
+    return this;
+  }
+
+  play() {
+    if (this.state === 'running') {
+      return this;
+    }
+    if (this.state === 'finished' || this.state === 'cancelled') {
+      this.time = this.direction > 0 ? 0 : this.duration;
+      this.iteration = 0;
+      this.kResetFinished();
+    }
+    this.state = 'running';
+    this.lastTime = null;
+    this.frame = requestAnimationFrame(now => this.kTick(now));
+    return this;
+  }
+
+  pause() {
+    if (this.state === 'running') {
+      cancelAnimationFrame(this.frame);
+      this.state = 'paused';
+    }
+    return this;
+  }
+
+  resume() {
+    return this.state === 'paused' ? this.play() : this;
+  }
+
+  restart() {
+    cancelAnimationFrame(this.frame);
+    this.state = 'idle';
+    this.direction = 1;
+    this.iteration = 0;
+    this.seek(0);
+    return this.play();
+  }
+
+  reverse() {
+    this.direction = -this.direction;
+    if (this.state === 'finished') {
+      this.state = 'paused';
+      this.iteration = 0;
+      this.kResetFinished();
+      return this.play();
+    }
+    return this;
+  }
+
+  /**
+   * Jumps to a position of the timeline.
+   * @param {number|string} position - Time in ms or a label name.
+   * @returns {KTimeline}
+   */
+  seek(position) {
+    const time = typeof position === 'string' ? this.kResolveOffset(position) : position;
+    this.time = Math.min(this.duration, Math.max(0, time));
+    this.lastTime = null;
+    this.kRender();
+    return this;
+  }
+
+  finish() {
+    if (this.state === 'finished') {
+      return this;
+    }
+    this.seek(this.direction > 0 ? this.duration : 0);
+    this.kComplete();
+    return this;
+  }
+
+  /**
+   * Stops the timeline and resets its steps to their start values. `finished` rejects
+   * with an `AbortError`; `play()` starts over.
+   * @returns {KTimeline}
+   */
+  cancel() {
+    if (this.state === 'finished' || this.state === 'cancelled') {
+      return this;
+    }
+    cancelAnimationFrame(this.frame);
+    this.direction = 1;
+    this.iteration = 0;
+    this.seek(0);
+    this.state = 'cancelled';
+    const error = new Error('Timeline cancelled');
+    error.name = 'AbortError';
+    this.kReject(error);
+    return this;
+  }
+
+  kResolveOffset(offset) {
+    if (offset === undefined || offset === null) {
+      return this.cursor;
+    }
+    if (typeof offset === 'number') {
+      return Math.max(0, offset);
+    }
+
+    const match = /^(.*?)\s*(?:([+-])=\s*(\d+(?:\.\d+)?))?$/.exec(String(offset).trim());
+    if (!match) {
+      throw new Error(`Invalid timeline offset "${offset}".`);
+    }
+    const [, label, sign, amount] = match;
+    if (label && !(label in this.labels)) {
+      throw new Error(`Unknown timeline label "${label}".`);
+    }
+    const base = label ? this.labels[label] : this.cursor;
+    const delta = amount ? parseFloat(amount) * (sign === '-' ? -1 : 1) : 0;
+    return Math.max(0, base + delta);
+  }
+
+  kTick(now) {
+    if (this.lastTime === null) {
+      this.lastTime = now;
+    }
+    const duration = this.duration;
+    const reduced = kPrefersReducedMotion();
+    let elapsed = now - this.lastTime;
+    if (reduced && duration > kSettings.reducedDuration) {
+      // Like single animations, the whole timeline lasts at most `reducedDuration`
+      elapsed = kSettings.reducedDuration > 0 ? elapsed * duration / kSettings.reducedDuration : duration;
+    }
+    this.time = Math.min(duration, Math.max(0, this.time + elapsed * this.direction));
+    this.lastTime = now;
+    this.kRender();
+
+    const done = this.direction > 0 ? this.time >= duration : this.time <= 0;
+    if (!done) {
+      this.frame = requestAnimationFrame(next => this.kTick(next));
+      return;
+    }
+
+    this.iteration++;
+    // Reduced motion plays a single iteration
+    const iterations = reduced ? 0 : this.loop === true ? Infinity : Number(this.loop) || 0;
+    if (this.iteration <= iterations) {
+      if (this.alternate) {
+        this.direction = -this.direction;
+      } else {
+        this.time = this.direction > 0 ? 0 : duration;
+      }
+      this.frame = requestAnimationFrame(next => this.kTick(next));
+    } else {
+      this.kComplete();
+    }
+  }
+
+  // Steps that have not started yet are rendered first (latest first), so that the
+  // started ones, rendered in order, win for properties animated by several steps.
+  kRender() {
+    const pending = this.steps.filter(step => this.time < step.start).sort((a, b) => b.start - a.start);
+    const started = this.steps.filter(step => this.time >= step.start).sort((a, b) => a.start - b.start);
+
+    pending.forEach(step => {
+      if (step.animations) {
+        step.animations.forEach(animation => animation.seek(0));
+      }
+    });
+    started.forEach(step => {
+      if (!step.animations) {
+        // Start values are read when the step is first reached
+        step.animations = step.elements.map(el => new KAnimation(el, step.properties, step));
+      }
+      step.animations.forEach((animation, index) => {
+        const elapsed = this.time - step.start - step.delays[index];
+        animation.seek(step.duration > 0 ? elapsed / step.duration : (elapsed >= 0 ? 1 : 0));
+      });
+    });
+  }
+
+  kComplete() {
+    cancelAnimationFrame(this.frame);
+    this.state = 'finished';
+    if (typeof this.onComplete === 'function') {
+      this.onComplete.call(this);
+    }
+    this.kResolve(this);
+  }
+
+  kResetFinished() {
+    this.finished = new Promise((resolve, reject) => {
+      this.kResolve = resolve;
+      this.kReject = reject;
+    });
+    this.finished.catch(() => {});
+  }
+}
+
+// =========================
+// Event bus
+// =========================
+
+/**
+ * Global publish/subscribe channel (`KAnime.kBus`) for components that do not share a DOM ancestor.
+ * Topics may contain `*` wildcards: `cart:*` receives `cart:add`, `cart:remove`, ...
+ */
+class KEventBus {
+  constructor() {
+    this.subscriptions = [];
+  }
+
+  /**
+   * Subscribes to a topic (or wildcard pattern).
+   * @param {string} topic
+   * @param {Function} handler - Called with `(payload, topic)`.
+   * @returns {Function} Unsubscribe function.
+   * @example
+   * const off = KAnime.kBus.on('cart:*', (item, topic) => console.log(topic, item));
+   */
+  on(topic, handler) {
+    const subscription = { topic, handler, matcher: kTopicMatcher(topic) };
+    this.subscriptions.push(subscription);
+    return () => this.kUnsubscribe(subscription);
+  }
+
+  /**
+   * Subscribes to the next message of a topic only.
+   * @param {string} topic
+   * @param {Function} handler
+   * @returns {Function} Unsubscribe function.
+   */
+  once(topic, handler) {
+    const off = this.on(topic, (payload, emitted) => {
+      off();
+      handler(payload, emitted);
+    });
+    return off;
+  }
+
+  /**
+   * Removes subscriptions. Without a handler every subscription of the topic is removed,
+   * without arguments the bus is cleared.
+   * @param {string} [topic]
+   * @param {Function} [handler]
+   * @returns {KEventBus}
+   */
+  off(topic, handler) {
+    this.subscriptions
+      .filter(subscription => (topic === undefined || subscription.topic === topic)
+        && (handler === undefined || subscription.handler === handler))
+      .forEach(subscription => this.kUnsubscribe(subscription));
+    return this;
+  }
+
+  /**
+   * Publishes a message to every matching subscriber. A throwing handler does not stop the
+   * others: its error is rethrown asynchronously.
+   * @param {string} topic
+   * @param {*} [payload]
+   * @returns {KEventBus}
+   * @example
+   * KAnime.kBus.emit('cart:add', { id: 42 });
+   */
+  emit(topic, payload) {
+    this.subscriptions
+      .filter(subscription => subscription.matcher.test(topic))
+      .forEach(subscription => {
+        try {
+          subscription.handler(payload, topic);
+        } catch (error) {
+          // Reported asynchronously so the remaining subscribers still run
+          setTimeout(() => {
+            throw error;
+          });
+        }
+      });
+    return this;
+  }
+
+  /**
+   * Resolves with the payload of the next matching message.
+   * @param {string} topic
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Rejects after the given milliseconds.
+   * @param {Function} [options.filter] - Only resolves for payloads accepted by `filter(payload, topic)`.
+   * @returns {Promise}
+   * @example
+   * const user = await KAnime.kBus.waitFor('auth:login', { timeout: 10000 });
+   */
+  waitFor(topic, { timeout = 0, filter } = {}) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const off = this.on(topic, (payload, emitted) => {
+        if (filter && !filter(payload, emitted)) {
+          return;
+        }
+        off();
+        clearTimeout(timer);
+        resolve(payload);
+      });
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          off();
+          reject(new Error(`kBus.waitFor timed out waiting for "${topic}"`));
+        }, timeout);
+      }
+    });
+  }
+
+  kUnsubscribe(subscription) {
+    const index = this.subscriptions.indexOf(subscription);
+    if (index !== -1) {
+      this.subscriptions.splice(index, 1);
+    }
+  }
+}
+
+function kTopicMatcher(topic) {
+  const pattern = String(topic)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${pattern}$`);
+}
+
+// =========================
+// Reactive state
+// =========================
+
+// store proxy -> KStore
+const kStores = new WeakMap();
+// element -> [binding] created by kBind
+const kBindingRegistry = new WeakMap();
+
+const kBindingTypes = ['text', 'attr', 'class', 'show', 'model'];
+const kBindingSelector = kBindingTypes.map(type => `[data-k-${type}]`).join(',');
+const kStoreMethods = ['kSubscribe', 'kFlush'];
+
+class KStore {
+  constructor(initial) {
+    this.target = initial;
+    this.proxies = new WeakMap();
+    this.targets = new WeakMap();
+    this.subscriptions = [];
+    this.bindings = [];
+    this.changed = new Set();
+    this.frame = null;
+    this.state = this.kProxy(initial, '');
+    kStores.set(this.state, this);
+  }
+
+  /**
+   * Calls `callback(state, changedPaths)` after every batch of changes, or
+   * `callback(value, path)` when `path` (or something inside it) changed.
+   * @param {string|Function} path
+   * @param {Function} [callback]
+   * @returns {Function} Unsubscribe function.
+   */
+  kSubscribe(path, callback) {
+    const subscription = typeof path === 'function'
+      ? { path: null, callback: path }
+      : { path: String(path), callback };
+    this.subscriptions.push(subscription);
+    return () => {
+      this.subscriptions = this.subscriptions.filter(item => item !== subscription);
+    };
+  }
+
+  /**
+   * Applies pending changes now instead of on the next frame.
+   */
+  kFlush() {
+    if (this.frame !== null) {
+      (window.cancelAnimationFrame || clearTimeout)(this.frame);
+      this.frame = null;
+    }
+    const paths = Array.from(this.changed);
+    this.changed.clear();
+    if (!paths.length) {
+      return;
+    }
+    this.bindings.forEach(binding => kUpdateBinding(this, binding));
+    this.subscriptions.slice().forEach(({ path, callback }) => {
+      if (path === null) {
+        callback(this.state, paths);
+      } else if (paths.some(changed => kPathsOverlap(changed, path))) {
+        callback(this.kGet(path), path);
+      }
+    });
+  }
+
+  kProxy(target, path) {
+    let byPath = this.proxies.get(target);
+    if (!byPath) {
+      byPath = new Map();
+      this.proxies.set(target, byPath);
+    }
+    if (byPath.has(path)) {
+      return byPath.get(path);
+    }
+
+    const proxy = new Proxy(target, {
+      get: (obj, prop, receiver) => {
+        // State keys win over the store methods of the same name
+        if (path === '' && kStoreMethods.includes(prop) && !Object.prototype.hasOwnProperty.call(obj, prop)) {
+          return this[prop].bind(this);
+        }
+        const value = Reflect.get(obj, prop, receiver);
+        return typeof prop === 'string' && kIsTracked(value) ? this.kProxy(value, kJoinPath(path, prop)) : value;
+      },
+      set: (obj, prop, value) => {
+        const raw = this.targets.get(value) || value;
+        if (obj[prop] !== raw) {
+          obj[prop] = raw;
+          this.kChange(kJoinPath(path, prop));
+        }
+        return true;
+      },
+      deleteProperty: (obj, prop) => {
+        if (prop in obj) {
+          delete obj[prop];
+          this.kChange(kJoinPath(path, prop));
+        }
+        return true;
+      }
+    });
+    byPath.set(path, proxy);
+    this.targets.set(proxy, target);
+    return proxy;
+  }
+
+  kChange(path) {
+    this.changed.add(path);
+    if (this.frame === null) {
+      this.frame = (window.requestAnimationFrame || (fn => setTimeout(fn, 16)))(() => {
+        this.frame = null;
+        this.kFlush();
+      });
+    }
+  }
+
+  kGet(path) {
+    const value = kGetPath(this.target, path);
+    return kIsTracked(value) ? this.kProxy(value, path) : value;
+  }
+
+  kSet(path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.length ? this.kGet(keys.join('.')) : this.state;
+    if (parent === null || typeof parent !== 'object') {
+      throw new Error(`Cannot set "${path}": "${keys.join('.')}" is not an object.`);
+    }
+    parent[last] = value;
+  }
+
+  kBindElement(el) {
+    const bindings = kBindingRegistry.get(el) || [];
+    if (bindings.some(binding => binding.store === this)) {
+      return;
+    }
+    kBindingTypes
+      .filter(type => el.hasAttribute(`data-k-${type}`))
+      .forEach(type => {
+        const binding = { store: this, el, type, parts: kParseBinding(type, el.getAttribute(`data-k-${type}`)), last: {} };
+        if (type === 'model') {
+          binding.listener = kAddListener(el, {
+            type: kModelEvent(el),
+            namespaces: ['kbind'],
+            internal: true,
+            handler: () => {
+              const value = kReadModel(el, this.kRead(binding.parts[0]));
+              binding.last[0] = value;
+              this.kSet(binding.parts[0].path, value);
+            }
+          });
+        }
+        kUpdateBinding(this, binding, true);
+        bindings.push(binding);
+        this.bindings.push(binding);
+      });
+    kBindingRegistry.set(el, bindings);
+  }
+
+  kRead({ path, negate }) {
+    const value = kGetPath(this.target, path);
+    return negate ? !value : value;
+  }
+}
+
+function kIsTracked(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return Array.isArray(value) || proto === Object.prototype || proto === null;
+}
+
+function kJoinPath(path, prop) {
+  return path ? `${path}.${prop}` : String(prop);
+}
+
+function kGetPath(obj, path) {
+  return String(path).split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+}
+
+// True when a change at `changed` affects a subscriber of `path` (same, nested or replaced parent).
+function kPathsOverlap(changed, path) {
+  return changed === path || changed.startsWith(`${path}.`) || path.startsWith(`${changed}.`);
+}
+
+function kParseRef(ref) {
+  const trimmed = ref.trim();
+  return trimmed.startsWith('!')
+    ? { path: trimmed.slice(1).trim(), negate: true }
+    : { path: trimmed, negate: false };
+}
+
+// 'name: path; other: !path' -> [{ name, path, negate }]; a bare path (class names) -> [{ path, negate }]
+function kParseBinding(type, value) {
+  const source = String(value || '');
+  if (type !== 'attr' && type !== 'class') {
+    return [kParseRef(source)];
+  }
+  return source.split(';').filter(part => part.trim()).map(part => {
+    const index = part.indexOf(':');
+    if (index < 0 && type === 'attr') {
+      throw new Error(`Invalid data-k-attr binding "${part.trim()}", expected "name: path".`);
+    }
+    return index < 0 ? kParseRef(part) : { name: part.slice(0, index).trim(), ...kParseRef(part.slice(index + 1)) };
+  });
+}
+
+function kSameValue(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => item === b[index]);
+  }
+  return Object.is(a, b);
+}
+
+// Writes the parts of a binding whose value changed since the last write.
+function kUpdateBinding(store, binding, initial = false) {
+  const { el, type, parts, last } = binding;
+  parts.forEach((part, index) => {
+    const raw = store.kRead(part);
+    const value = Array.isArray(raw) ? raw.slice() : raw;
+    const key = part.name || index;
+    if (key in last && kSameValue(last[key], value)) {
+      return;
+    }
+    const previous = last[key];
+    last[key] = value;
+
+    if (type === 'text') {
+      el.textContent = value === null || value === undefined ? '' : value;
+    } else if (type === 'attr') {
+      if (value === null || value === undefined || value === false) {
+        el.removeAttribute(part.name);
+      } else {
+        el.setAttribute(part.name, value === true ? '' : value);
+      }
+    } else if (type === 'class') {
+      if (part.name) {
+        el.classList.toggle(part.name, !!value);
+      } else {
+        kClassList(previous).forEach(name => el.classList.remove(name));
+        kClassList(value).forEach(name => el.classList.add(name));
+      }
+    } else if (type === 'show') {
+      if (initial) {
+        (value ? kShowElement : kHideElement)(el);
+      } else if (value) {
+        new KAnime(el).kShowFade();
+      } else {
+        new KAnime(el).kHideFade();
+      }
+    } else if (type === 'model') {
+      kWriteModel(el, value);
+    }
+  });
+}
+
+function kClassList(value) {
+  if (Array.isArray(value)) {
+    return value.filter(Boolean);
+  }
+  return value ? String(value).split(/\s+/).filter(Boolean) : [];
+}
+
+function kModelEvent(el) {
+  const type = (el.type || '').toLowerCase();
+  return el.tagName === 'SELECT' || ['checkbox', 'radio', 'file'].includes(type) ? 'change' : 'input';
+}
+
+// Value of a form control for the store; checkboxes bound to an array add or remove their value.
+function kReadModel(el, current) {
+  const type = (el.type || '').toLowerCase();
+  if (type === 'checkbox') {
+    if (Array.isArray(current)) {
+      const values = current.filter(item => item !== el.value);
+      return el.checked ? values.concat(el.value) : values;
+    }
+    return el.checked;
+  }
+  if (type === 'radio') {
+    return el.checked ? el.value : current;
+  }
+  if (el.tagName === 'SELECT' && el.multiple) {
+    return Array.from(el.selectedOptions).map(option => option.value);
+  }
+  if ((type === 'number' || type === 'range') && typeof el.valueAsNumber === 'number') {
+    return el.value === '' ? null : el.valueAsNumber;
+  }
+  return el.value;
+}
+
+function kWriteModel(el, value) {
+  const type = (el.type || '').toLowerCase();
+  if (type === 'checkbox') {
+    el.checked = Array.isArray(value) ? value.includes(el.value) : !!value;
+  } else if (type === 'radio') {
+    el.checked = String(value) === el.value;
+  } else if (el.tagName === 'SELECT' && el.multiple) {
+    const values = (Array.isArray(value) ? value : [value]).map(String);
+    Array.from(el.options).forEach(option => {
+      option.selected = values.includes(option.value);
+    });
+  } else if (type !== 'file') {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (el.value !== text) {
+      el.value = text;
+    }
+  }
+}
+
+// Drops the bindings of an element (from one store, or all of them).
+function kUnbindElement(el, store) {
+  const bindings = kBindingRegistry.get(el);
+  if (!bindings) {
+    return;
+  }
+  const removed = bindings.filter(binding => !store || binding.store === store);
+  removed.forEach(binding => {
+    binding.store.bindings = binding.store.bindings.filter(item => item !== binding);
+    if (binding.listener) {
+      kRemoveRecord(el, binding.listener);
+    }
+  });
+  const remaining = bindings.filter(binding => !removed.includes(binding));
+  if (remaining.length) {
+    kBindingRegistry.set(el, remaining);
+  } else {
+    kBindingRegistry.delete(el);
+  }
+}
+
+// =========================
+// Form serialization
+// =========================
+
+const kButtonTypes = ['submit', 'button', 'reset', 'image'];
+
+// Named, enabled controls that take part in serialization.
+function kFormControls(form) {
+  return Array.from(form.elements).filter(el => el.name && !el.disabled && !kButtonTypes.includes(el.type)
+    && el.tagName !== 'FIELDSET' && el.tagName !== 'OBJECT' && el.tagName !== 'OUTPUT');
+}
+
+// Successful `[name, value]` pairs, in document order: checked boxes only, one pair per
+// selected option and per chosen file (`File` objects).
+function kFormEntries(form) {
+  const entries = [];
+  kFormControls(form).forEach(el => {
+    const type = (el.type || '').toLowerCase();
+    if (type === 'checkbox' || type === 'radio') {
+      if (el.checked) entries.push([el.name, el.value]);
+    } else if (el.tagName === 'SELECT') {
+      Array.from(el.selectedOptions).forEach(option => entries.push([el.name, option.value]));
+    } else if (type === 'file') {
+      Array.from(el.files || []).forEach(file => entries.push([el.name, file]));
+    } else {
+      entries.push([el.name, el.value]);
+    }
+  });
+  return entries;
+}
+
+// 'user[address][city]' -> ['user', 'address', 'city'], 'tags[]' -> ['tags', ''], 'user.name' -> ['user', 'name']
+function kFieldPath(name) {
+  const keys = [];
+  name.replace(/\[([^\]]*)\]|([^.[\]]+)/g, (match, bracket, plain) => {
+    keys.push(bracket !== undefined ? bracket : plain);
+  });
+  return keys.length ? keys : [name];
+}
+
+function kIsIndex(key) {
+  return /^\d+$/.test(key);
+}
+
+/**
+ * Stores values at a field path. `many` collects them in an array (created even when `values`
+ * is empty); otherwise a repeated name turns the existing value into an array.
+ */
+function kAssignPath(target, keys, values, many) {
+  let path = keys;
+  if (path[path.length - 1] === '') {
+    path = path.slice(0, -1);
+    many = true;
+  }
+  let cursor = target;
+  path.forEach((key, index) => {
+    const last = index === path.length - 1;
+    const next = path[index + 1];
+    if (key === '') {
+      // 'items[][name]': a new item starts when the current one already has the key
+      const current = cursor[cursor.length - 1];
+      if (!current || typeof current !== 'object' || (next in current && index === path.length - 2)) {
+        cursor.push(kIsIndex(next) ? [] : {});
+      }
+      cursor = cursor[cursor.length - 1];
+      return;
+    }
+    if (!last) {
+      if (cursor[key] === null || typeof cursor[key] !== 'object') {
+        cursor[key] = next === '' || kIsIndex(next) ? [] : {};
+      }
+      cursor = cursor[key];
+    } else if (many) {
+      cursor[key] = (Array.isArray(cursor[key]) ? cursor[key] : []).concat(values);
+    } else if (values.length) {
+      cursor[key] = key in cursor && !Array.isArray(cursor) ? [].concat(cursor[key], values[0]) : values[0];
+    }
+  });
+}
+
+// Applies `data-type` (number, boolean, date, json; strings by default).
+function kCoerce(value, el) {
+  const type = (el.getAttribute('data-type') || '').toLowerCase();
+  if (typeof value !== 'string' || !type || type === 'string') {
+    return value;
+  }
+  if (type === 'boolean') {
+    return !['', 'false', '0', 'off', 'no'].includes(value.toLowerCase());
+  }
+  if (value === '') {
+    return null;
+  }
+  if (type === 'number') {
+    return Number(value);
+  }
+  if (type === 'date') {
+    // Date-only values ("2024-05-01", "2024-05") are local dates, like datetime-local ones
+    const match = /^(\d{4,})-(\d{2})(?:-(\d{2}))?$/.exec(value);
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3] || 1)) : new Date(value);
+  }
+  if (type === 'json') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid JSON in the "${el.name}" field.`);
+    }
+  }
+  return value;
+}
+
+function kFormObject(form, include = () => true) {
+  const data = {};
+  const controls = kFormControls(form).filter(include);
+  const count = name => controls.filter(el => el.name === name && el.type === 'checkbox').length;
+
+  controls.forEach(el => {
+    const type = (el.type || '').toLowerCase();
+    const keys = kFieldPath(el.name);
+    if (type === 'checkbox') {
+      const group = count(el.name) > 1;
+      if (!group && (el.getAttribute('data-type') || '').toLowerCase() === 'boolean') {
+        kAssignPath(data, keys, [el.checked], false);
+      } else {
+        kAssignPath(data, keys, el.checked ? [kCoerce(el.value, el)] : [], group);
+      }
+    } else if (type === 'radio') {
+      if (el.checked) kAssignPath(data, keys, [kCoerce(el.value, el)], false);
+    } else if (el.tagName === 'SELECT' && el.multiple) {
+      kAssignPath(data, keys, Array.from(el.selectedOptions).map(option => kCoerce(option.value, el)), true);
+    } else if (type === 'file') {
+      const files = Array.from(el.files || []);
+      kAssignPath(data, keys, el.multiple ? files : [files[0] || null], el.multiple);
+    } else {
+      kAssignPath(data, keys, [kCoerce(el.value, el)], false);
+    }
+  });
+  return data;
+}
+
+// Text of a value for a control (dates as the input's format, data-type="json" as JSON).
+function kControlText(value, el) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const type = (el.type || '').toLowerCase();
+  // Dates come back as ISO strings from JSON (e.g. kAutosave drafts)
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) && ['date', 'datetime-local', 'month'].includes(type)) {
+    value = new Date(value);
+  }
+  if (value instanceof Date) {
+    if (isNaN(value)) {
+      return '';
+    }
+    // Inputs show local time, so their values come from the local date components
+    const pad = (number, length = 2) => String(number).padStart(length, '0');
+    const day = `${pad(value.getFullYear(), 4)}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    if (type === 'date') return day;
+    if (type === 'datetime-local') return `${day}T${pad(value.getHours())}:${pad(value.getMinutes())}`;
+    if (type === 'month') return day.slice(0, 7);
+    return value.toISOString();
+  }
+  if (typeof value === 'object' && (el.getAttribute('data-type') || '').toLowerCase() === 'json') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function kFillForm(form, data, dispatch, include = () => true) {
+  const occurrences = {};
+  kFormControls(form).filter(include).forEach(el => {
+    const type = (el.type || '').toLowerCase();
+    const keys = kFieldPath(el.name);
+    const many = keys[keys.length - 1] === '';
+    const value = kGetPath(data, (many ? keys.slice(0, -1) : keys).join('.'));
+    if (value === undefined || type === 'file') {
+      return;
+    }
+    const values = Array.isArray(value) ? value.map(item => kControlText(item, el)) : [kControlText(value, el)];
+
+    if (type === 'checkbox') {
+      el.checked = typeof value === 'boolean' ? value : values.includes(el.value);
+    } else if (type === 'radio') {
+      el.checked = values[0] === el.value;
+    } else if (el.tagName === 'SELECT' && el.multiple) {
+      Array.from(el.options).forEach(option => {
+        option.selected = values.includes(option.value);
+      });
+    } else if (Array.isArray(value)) {
+      // Repeated text fields ('tags[]') take the array's items in order
+      const index = occurrences[el.name] = (occurrences[el.name] === undefined ? 0 : occurrences[el.name] + 1);
+      el.value = index < values.length ? values[index] : '';
+    } else {
+      el.value = values[0];
+    }
+
+    if (dispatch) {
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  });
+}
+
+// =========================
+// Form autosave
+// =========================
+
+// form -> KAutosave
+const kAutosaves = new WeakMap();
+
+function kResolveStorage(storage) {
+  try {
+    if (storage === 'session') return window.sessionStorage;
+    if (storage === 'local' || !storage) return window.localStorage;
+  } catch (error) {
+    // Storage blocked (e.g. sandboxed iframes)
+    return null;
+  }
+  return storage;
+}
+
+class KAutosave {
+  constructor(form, options) {
+    const index = Array.from(document.forms).indexOf(form);
+    this.form = form;
+    this.options = {
+      key: `kanime:draft:${window.location.pathname}:${form.id || form.getAttribute('name') || index}`,
+      storage: 'local',
+      debounce: 500,
+      exclude: [],
+      includeHidden: false,
+      expires: 7 * 24 * 60 * 60 * 1000,
+      onRestore: null,
+      ...options
+    };
+    this.storage = kResolveStorage(this.options.storage);
+    this.include = el => kAutosaveIncludes(el, this.options);
+    if (!this.storage) {
+      return;
+    }
+
+    this.restore(this.read());
+    this.listeners = ['input', 'change'].map(type => kAddListener(form, {
+      type,
+      namespaces: ['kautosave'],
+      internal: true,
+      handler: () => this.save(),
+      options: { debounce: this.options.debounce }
+    }));
+    this.onStorage = e => {
+      if (e.key === this.options.key && e.storageArea === this.storage && e.newValue) {
+        this.restore(this.read());
+      }
+    };
+    window.addEventListener('storage', this.onStorage);
+    kOnCleanup(form, () => this.stop());
+  }
+
+  read() {
+    let draft = null;
+    try {
+      draft = JSON.parse(this.storage.getItem(this.options.key));
+    } catch (error) {
+      draft = null;
+    }
+    if (!draft || typeof draft !== 'object' || !draft.data) {
+      return null;
+    }
+    if (this.options.expires > 0 && Date.now() - draft.savedAt > this.options.expires) {
+      this.clear();
+      return null;
+    }
+    return draft.data;
+  }
+
+  save() {
+    try {
+      this.storage.setItem(this.options.key, JSON.stringify({
+        savedAt: Date.now(),
+        data: kDraftObject(this.form, this.include)
+      }));
+    } catch (error) {
+      // Quota exceeded: keep the previous draft
+    }
+  }
+
+  restore(data) {
+    if (!data) {
+      return;
+    }
+    kFillForm(this.form, data, false, this.include);
+    if (typeof this.options.onRestore === 'function') {
+      this.options.onRestore(data, this.form);
+    }
+  }
+
+  clear() {
+    if (!this.storage) {
+      return;
+    }
+    // Drop a save still waiting for its debounce
+    (this.listeners || []).forEach(record => record.cancel());
+    this.storage.removeItem(this.options.key);
+  }
+
+  stop() {
+    (this.listeners || []).forEach(record => kRemoveRecord(this.form, record));
+    this.listeners = [];
+    if (this.onStorage) {
+      window.removeEventListener('storage', this.onStorage);
+    }
+  }
+}
+
+// kFormObject plus `false`/`null` for unchecked checkboxes and radio groups, so that
+// restoring a draft also clears the boxes checked since.
+function kDraftObject(form, include) {
+  const data = kFormObject(form, include);
+  kFormControls(form).filter(include).forEach(el => {
+    const type = (el.type || '').toLowerCase();
+    const keys = kFieldPath(el.name);
+    // Checkbox groups and '[]' fields already give an (empty) array
+    if ((type === 'checkbox' || type === 'radio') && !keys.includes('') && kGetPath(data, keys.join('.')) === undefined) {
+      kAssignPath(data, keys, [type === 'checkbox' ? false : null], false);
+    }
+  });
+  return data;
+}
+
+function kAutosaveIncludes(el, { exclude, includeHidden }) {
+  const type = (el.type || '').toLowerCase();
+  // Hidden inputs usually hold server state (CSRF tokens, ids) that a restored draft would make stale
+  if (type === 'password' || type === 'file' || (type === 'hidden' && !includeHidden)) {
+    return false;
+  }
+  if (Array.isArray(exclude)) {
+    return !exclude.includes(el.name);
+  }
+  return !exclude || !el.matches(exclude);
+}
+
+// =========================
+// Form validation
+// =========================
+
+// form -> KFormValidator
+const kValidators = new WeakMap();
+let kValidationId = 0;
+
+const kValidationMessages = {
+  required: 'This field is required.',
+  email: 'Please enter a valid email address.',
+  url: 'Please enter a valid URL.',
+  number: 'Please enter a number.',
+  min: 'Please enter a value greater than or equal to {min}.',
+  max: 'Please enter a value less than or equal to {max}.',
+  minLength: 'Please enter at least {minLength} characters.',
+  maxLength: 'Please enter no more than {maxLength} characters.',
+  pattern: 'Please match the requested format.',
+  match: 'The values do not match.',
+  validate: 'Please enter a valid value.'
+};
+
+const kValidationChecks = {
+  email: (value, rule) => !rule || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  url: (value, rule) => {
+    if (!rule) {
+      return true;
+    }
+    try {
+      return !!new URL(value);
+    } catch (error) {
+      return false;
+    }
+  },
+  number: (value, rule) => !rule || !isNaN(Number(value)),
+  min: (value, min) => kCompareLimit(value, min) >= 0,
+  max: (value, max) => kCompareLimit(value, max) <= 0,
+  minLength: (value, length) => value.length >= length,
+  maxLength: (value, length) => value.length <= length,
+  pattern: (value, pattern) => (pattern instanceof RegExp ? pattern : new RegExp(`^(?:${pattern})$`)).test(value),
+  match: (value, name, form) => value === kFieldValue(form, name)
+};
+
+/**
+ * Error thrown by `kSubmitForm` when the form does not pass `kValidate`.
+ * `errors` maps each invalid field name to its message.
+ */
+class KValidationError extends Error {
+  constructor(errors) {
+    super('Form validation failed');
+    this.name = 'KValidationError';
+    this.errors = errors;
+  }
+}
+
+class KFormValidator {
+  constructor(form, rules, options) {
+    this.form = form;
+    this.rules = rules;
+    this.options = {
+      on: 'blur submit',
+      debounce: 0,
+      native: true,
+      focusInvalid: true,
+      errorClass: 'k-error',
+      invalidClass: 'k-invalid',
+      ...options,
+      messages: { ...kValidationMessages, ...options.messages }
+    };
+    this.on = Array.isArray(this.options.on) ? this.options.on : String(this.options.on).split(/\s+/);
+    // field name -> { token, pending, error, element }
+    this.fields = {};
+    this.errors = {};
+    this.runs = new WeakMap();
+    // Set while the validated submit event is dispatched
+    this.resubmitting = false;
+    this.listeners = [];
+    form.noValidate = true;
+
+    const listen = (type, handler, listenerOptions = {}) => {
+      this.listeners.push(kAddListener(form, { type, namespaces: ['kvalidate'], handler, options: listenerOptions, internal: true }));
+    };
+    listen('focusout', e => {
+      if (this.on.includes('blur') && this.kOwns(e.target)) {
+        this.validateField(e.target.name);
+      }
+    });
+    listen('input', e => {
+      const name = e.target.name;
+      if (this.kOwns(e.target) && (this.on.includes('input') || this.errors[name])) {
+        this.validateField(name);
+      }
+    }, { debounce: this.options.debounce });
+    listen('change', e => {
+      const name = e.target.name;
+      if (this.kOwns(e.target) && (this.on.includes('input') || this.on.includes('blur') || this.errors[name])) {
+        this.validateField(name);
+      }
+    });
+    listen('submit', e => {
+      if (this.resubmitting) {
+        return;
+      }
+      // Held until the form is valid, then submitted again: the other submit listeners
+      // (kOnFormSubmit, kSubmitForm, fetch...) only see that second, validated event
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      this.validateEvent(e)
+        .then(valid => {
+          if (valid) {
+            this.resubmitting = true;
+            try {
+              // The same button, so its name/value and form* attributes still apply
+              form.requestSubmit(e.submitter || undefined);
+            } finally {
+              this.resubmitting = false;
+            }
+          }
+        })
+        .catch(error => {
+          // Reported asynchronously, the form stays unsubmitted
+          setTimeout(() => {
+            throw error;
+          });
+        });
+    }, { capture: true });
+  }
+
+  kOwns(el) {
+    return !!el && !!el.name && el.form === this.form && this.names().includes(el.name);
+  }
+
+  // Names of the fields with rules or (when `native`) constraint attributes.
+  names() {
+    const names = Object.keys(this.rules);
+    if (this.options.native) {
+      Array.from(this.form.elements).forEach(el => {
+        if (el.name && !names.includes(el.name) && Object.keys(kNativeRules(el)).length) {
+          names.push(el.name);
+        }
+      });
+    }
+    return names;
+  }
+
+  // Rule schema of a field: attributes first, overridden by the `rules` argument.
+  rulesFor(name) {
+    const controls = kFieldControls(this.form, name);
+    const rules = this.options.native && controls.length ? kNativeRules(controls[0], controls) : {};
+    return { ...rules, ...this.rules[name] };
+  }
+
+  /**
+   * Validates the field, renders the result and resolves to its error message (or `null`).
+   * Results of validations superseded by a newer one are discarded. A validator that throws
+   * or rejects (e.g. on a network error) fails the field with the error's message.
+   */
+  async validateField(name) {
+    const state = this.fields[name] || (this.fields[name] = { token: 0 });
+    const token = ++state.token;
+    if (!kFieldControls(this.form, name).length) {
+      // Disabled (or missing) fields are not submitted, so their rules do not apply
+      this.render(name, null);
+      return null;
+    }
+    const run = kRunRules(this.form, name, this.rulesFor(name), this.options.messages)
+      .catch(error => (error && error.message) || this.options.messages.validate);
+    state.pending = run;
+    const error = await run;
+    if (token !== state.token) {
+      return state.pending;
+    }
+    this.render(name, error);
+    return error;
+  }
+
+  /**
+   * Validates every field; resolves to `true` when they all pass.
+   */
+  async validate() {
+    const names = this.names();
+    const errors = await Promise.all(names.map(name => this.validateField(name)));
+    return errors.every(error => !error);
+  }
+
+  // One validation per submit event, shared by the submit listeners.
+  validateEvent(event) {
+    if (!this.runs.has(event)) {
+      this.runs.set(event, this.validate().then(valid => {
+        if (!valid && this.options.focusInvalid) {
+          const first = Array.from(this.form.elements).find(el => el.name && this.errors[el.name]);
+          if (first && first.focus) {
+            first.focus();
+          }
+        }
+        return valid;
+      }));
+    }
+    return this.runs.get(event);
+  }
+
+  render(name, error) {
+    const state = this.fields[name];
+    const controls = kFieldControls(this.form, name);
+    if (error) {
+      this.errors[name] = error;
+    } else {
+      delete this.errors[name];
+    }
+
+    if (!state.element) {
+      if (!error) {
+        return;
+      }
+      state.element = this.form.querySelector(`[data-k-error="${CSS.escape(name)}"]`) || kCreateErrorElement(controls);
+      state.created = !state.element.hasAttribute('data-k-error');
+      state.element.id = state.element.id || `k-error-${++kValidationId}`;
+      state.element.classList.add(this.options.errorClass);
+      state.element.setAttribute('aria-live', 'polite');
+    }
+
+    const id = state.element.id;
+    state.element.textContent = error || '';
+    state.element.hidden = !error;
+    controls.forEach(control => {
+      const described = (control.getAttribute('aria-describedby') || '').split(/\s+/).filter(item => item && item !== id);
+      if (error) {
+        control.setAttribute('aria-invalid', 'true');
+        control.setAttribute('aria-describedby', described.concat(id).join(' '));
+      } else {
+        control.removeAttribute('aria-invalid');
+        if (described.length) {
+          control.setAttribute('aria-describedby', described.join(' '));
+        } else {
+          control.removeAttribute('aria-describedby');
+        }
+      }
+      control.classList.toggle(this.options.invalidClass, !!error);
+    });
+  }
+
+  reset() {
+    Object.keys(this.fields).forEach(name => {
+      this.fields[name].token++;
+      this.render(name, null);
+    });
+  }
+
+  destroy() {
+    this.reset();
+    this.listeners.forEach(record => kRemoveRecord(this.form, record));
+    Object.values(this.fields).forEach(state => {
+      if (state.element && state.created) {
+        state.element.remove();
+      }
+    });
+    this.form.noValidate = false;
+  }
+}
+
+function kFieldControls(form, name) {
+  return Array.from(form.elements).filter(el => el.name === name && !el.disabled);
+}
+
+// Value of a named field: checkbox groups and multiple selects give arrays, files a FileList.
+function kFieldValue(form, name) {
+  const controls = kFieldControls(form, name);
+  const first = controls[0];
+  if (!first) {
+    return '';
+  }
+  const type = (first.type || '').toLowerCase();
+  if (type === 'checkbox') {
+    const checked = controls.filter(el => el.checked).map(el => el.value);
+    return controls.length > 1 ? checked : (checked[0] || '');
+  }
+  if (type === 'radio') {
+    const checked = controls.find(el => el.checked);
+    return checked ? checked.value : '';
+  }
+  if (first.tagName === 'SELECT' && first.multiple) {
+    return Array.from(first.selectedOptions).map(option => option.value);
+  }
+  if (type === 'file') {
+    return first.files;
+  }
+  return first.value;
+}
+
+function kNativeRules(el, controls = [el]) {
+  const rules = {};
+  const type = (el.type || '').toLowerCase();
+  if (controls.some(control => control.hasAttribute('required'))) {
+    rules.required = true;
+  }
+  if (type === 'email' || type === 'url' || type === 'number') {
+    rules[type] = true;
+  }
+  [['min', 'min'], ['max', 'max'], ['minlength', 'minLength'], ['maxlength', 'maxLength'], ['pattern', 'pattern']]
+    .forEach(([attribute, rule]) => {
+      if (el.hasAttribute(attribute)) {
+        const value = el.getAttribute(attribute);
+        // `min`/`max` of date and time inputs stay ISO strings
+        const numeric = rule === 'minLength' || rule === 'maxLength'
+          || ((rule === 'min' || rule === 'max') && (type === 'number' || type === 'range'));
+        rules[rule] = numeric ? Number(value) : value;
+      }
+    });
+  if (rules.pattern !== undefined && el.title) {
+    rules.pattern = { value: rules.pattern, message: el.title };
+  }
+  return rules;
+}
+
+// Numeric limits compare as numbers, string limits (dates, times, months...) as ISO strings.
+function kCompareLimit(value, limit) {
+  if (typeof limit === 'string') {
+    return value < limit ? -1 : value > limit ? 1 : 0;
+  }
+  return Number(value) - Number(limit);
+}
+
+function kIsEmptyValue(value) {
+  if (value === null || value === undefined) {
+    return true;
+  }
+  return typeof value === 'string' ? value.trim() === '' : value.length === 0;
+}
+
+// Runs a field's rules in order: `required`, the built-in checks, then custom validators.
+async function kRunRules(form, name, rules, messages) {
+  const value = kFieldValue(form, name);
+  const message = (rule, setting) => {
+    let text = messages[rule];
+    if (setting && typeof setting === 'object' && setting.message) {
+      text = setting.message;
+    } else if (rule === 'required' && typeof setting === 'string') {
+      text = setting;
+    }
+    return String(text).replace(/\{(\w+)\}/g, (match, key) => {
+      const ruleValue = kRuleValue(rules[key]);
+      return ruleValue === undefined ? match : ruleValue;
+    });
+  };
+
+  if (kIsEmptyValue(value)) {
+    return kRuleValue(rules.required) ? message('required', rules.required) : null;
+  }
+
+  const checks = Object.keys(kValidationChecks).filter(rule => rules[rule] !== undefined && rules[rule] !== false);
+  for (const rule of checks) {
+    const setting = kRuleValue(rules[rule]);
+    const values = Array.isArray(value) ? value : [value];
+    if (!values.every(item => typeof item !== 'string' || kValidationChecks[rule](item, setting, form))) {
+      return message(rule, rules[rule]);
+    }
+  }
+
+  const validators = [].concat(rules.validate || []);
+  for (const validator of validators) {
+    const result = await validator(value, form, name);
+    if (result !== true && result !== undefined) {
+      return typeof result === 'string' ? result : message('validate');
+    }
+  }
+  return null;
+}
+
+function kRuleValue(setting) {
+  return setting && typeof setting === 'object' && !(setting instanceof RegExp) ? setting.value : setting;
+}
+
+// Message element placed after the field (or the label wrapping it, or the last control of a group).
+function kCreateErrorElement(controls) {
+  const last = controls[controls.length - 1];
+  const anchor = last.closest('label') || last;
+  const element = document.createElement('span');
+  anchor.insertAdjacentElement('afterend', element);
+  return element;
+}
+
+// =========================
+// Offline queue
+// =========================
+
+const kQueueKey = 'kanime:queue';
+// Request options kept with a queued submission (functions and signals cannot be stored)
+const kQueuedOptions = ['method', 'headers', 'params', 'json', 'timeout', 'retry', 'retryDelay', 'responseType', 'credentials'];
+let kQueueCounter = 0;
+
+// Definite rejections of a queued submission: 4xx responses other than expired sessions,
+// timeouts and rate limits. Anything else (network errors, 5xx...) is worth another try.
+function kIsRejected(error) {
+  return error instanceof KHttpError && error.status >= 400 && error.status < 500
+    && ![401, 403, 408, 429].includes(error.status);
+}
+
+function kIdbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Submissions saved by `kSubmitForm({ queueOffline: true })`, replayed in order when the
+ * browser goes back online. Stored in IndexedDB, or localStorage where it is unavailable.
+ * Nothing is opened or replayed until the queue is used: entries left by a previous visit
+ * are sent by calling `replay()` (once the request interceptors are registered).
+ * Emits `queued` (entry), `replayed` ({ entry, result }) and `failed` ({ entry, error }).
+ */
+class KOfflineQueue extends KEventBus {
+  constructor() {
+    super();
+    this.database = null;
+    this.replaying = null;
+    this.onOnline = null;
+  }
+
+  // Replays on every `online` event from the first use of the queue on.
+  kWatch() {
+    if (!this.onOnline) {
+      // Storage errors leave the entries queued for the next attempt
+      this.onOnline = () => this.replay().catch(() => {});
+      window.addEventListener('online', this.onOnline);
+    }
+  }
+
+  kDatabase() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB is not available.'));
+          return;
+        }
+        const request = window.indexedDB.open('kanime', 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('queue', { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(() => null);
+    }
+    return this.database;
+  }
+
+  async kStore(mode, operation) {
+    const db = await this.kDatabase();
+    return db ? kIdbRequest(operation(db.transaction('queue', mode).objectStore('queue'))) : undefined;
+  }
+
+  kReadFallback() {
+    try {
+      return JSON.parse(localStorage.getItem(kQueueKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  kWriteFallback(entries) {
+    localStorage.setItem(kQueueKey, JSON.stringify(entries));
+  }
+
+  /**
+   * Queued submissions, oldest first.
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    const db = await this.kDatabase();
+    const entries = db ? await this.kStore('readonly', store => store.getAll()) : this.kReadFallback();
+    return entries.sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Queues a request. An entry with the same `key` is replaced.
+   * @param {string} url
+   * @param {Object} config - `KAnime.kFetch` options (FormData bodies included).
+   * @param {string} [key] - Deduplication key.
+   * @returns {Promise<Object>} The stored entry.
+   */
+  async add(url, config, key) {
+    this.kWatch();
+    const entry = {
+      id: key || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,
+      order: Date.now() * 1000 + (kQueueCounter++ % 1000),
+      createdAt: Date.now(),
+      url,
+      options: {},
+      body: null
+    };
+    kQueuedOptions.forEach(option => {
+      if (config[option] !== undefined) {
+        entry.options[option] = option === 'params' ? String(new URLSearchParams(config.params)) : config[option];
+      }
+    });
+    if (config.body instanceof FormData) {
+      entry.body = Array.from(config.body.entries());
+    } else if (config.body !== undefined) {
+      entry.body = config.body;
+    }
+
+    if (await this.kDatabase()) {
+      await this.kStore('readwrite', store => store.put(entry));
+    } else {
+      if (Array.isArray(entry.body) && entry.body.some(([, value]) => typeof value !== 'string')) {
+        throw new Error('Submissions with files can only be queued with IndexedDB.');
+      }
+      this.kWriteFallback(this.kReadFallback().filter(item => item.id !== entry.id).concat(entry));
+    }
+    this.emit('queued', entry);
+    return entry;
+  }
+
+  /**
+   * Removes a queued submission.
+   * @param {string} id
+   * @returns {Promise}
+   */
+  async remove(id) {
+    if (await this.kDatabase()) {
+      await this.kStore('readwrite', store => store.delete(id));
+    } else {
+      this.kWriteFallback(this.kReadFallback().filter(item => item.id !== id));
+    }
+  }
+
+  /**
+   * Removes every queued submission.
+   * @returns {Promise}
+   */
+  async clear() {
+    if (await this.kDatabase()) {
+      await this.kStore('readwrite', store => store.clear());
+    } else {
+      localStorage.removeItem(kQueueKey);
+    }
+  }
+
+  /**
+   * Sends the queued submissions in order, then again on every `online` event (also the case
+   * once a submission was queued). Submissions rejected with a 4xx response are dropped, except
+   * 401, 403, 408 and 429; any other failure stops the replay and keeps the remaining ones.
+   * @returns {Promise<number>} Number of submissions sent.
+   */
+  replay() {
+    this.kWatch();
+    if (!this.replaying) {
+      this.replaying = this.kReplay().finally(() => {
+        this.replaying = null;
+      });
+    }
+    return this.replaying;
+  }
+
+  async kReplay() {
+    let sent = 0;
+    for (const entry of await this.list()) {
+      const config = { ...entry.options };
+      if (Array.isArray(entry.body)) {
+        config.body = new FormData();
+        entry.body.forEach(([name, value]) => config.body.append(name, value));
+      } else if (entry.body !== null) {
+        config.body = entry.body;
+      }
+
+      try {
+        const result = await KAnime.kHttp.request(entry.url, config);
+        await this.remove(entry.id);
+        sent++;
+        this.emit('replayed', { entry, result });
+      } catch (error) {
+        if (!kIsRejected(error)) {
+          break;
+        }
+        await this.remove(entry.id);
+        this.emit('failed', { entry, error });
+      }
+    }
+    return sent;
+  }
+}
+
+// =========================
+// Media
+// =========================
+
+// media element -> stop() of its running kFadeVolume
+const kVolumeFades = new WeakMap();
+// media element -> running kLoopSection
+const kLoopSections = new WeakMap();
+
+/**
+ * Rejection of `kPlayback` (see `kPlayMedia`/`kToggleMedia`) when the browser's autoplay policy blocks playback
+ * (usually until the user interacts with the page). `element` is the media element.
+ */
+class KAutoplayError extends Error {
+  constructor(element, cause) {
+    super('Playback was blocked by the browser\'s autoplay policy.');
+    this.name = 'KAutoplayError';
+    this.element = element;
+    this.cause = cause;
+  }
+}
+
+// Media elements of a selection; other elements throw unless `strictMedia` is off.
+function kMediaElements(selection, method) {
+  return selection.elements.filter(el => {
+    if (el.tagName === 'VIDEO' || el.tagName === 'AUDIO') {
+      return true;
+    }
+    if (kSettings.strictMedia) {
+      throw new Error(`${method} can only be used on <video> or <audio> elements.`);
+    }
+    return false;
+  });
+}
+
+function kPlay(el) {
+  let result;
+  try {
+    result = el.play();
+  } catch (error) {
+    result = Promise.reject(error);
+  }
+  return Promise.resolve(result).catch(error => {
+    throw error && error.name === 'NotAllowedError' ? new KAutoplayError(el, error) : error;
+  });
+}
+
+// Exposes the playback of a selection as `selection.kPlayback`. Ignoring it is fine: a blocked
+// playback is not reported as an unhandled rejection, only to those reading `kPlayback`.
+function kTrackPlayback(selection, plays) {
+  selection.kPlayback = Promise.all(plays).then(() => selection);
+  selection.kPlayback.catch(() => {});
+  return selection;
+}
+
+// =========================
+// Media playlist
+// =========================
+
+// media element -> KPlaylist
+const kPlaylists = new WeakMap();
+const kRepeatModes = ['off', 'all', 'one'];
+
+function kPlaylistOf(el, method) {
+  const playlist = kPlaylists.get(el);
+  if (!playlist) {
+    throw new Error(`${method} requires kPlaylist to be called on the element first.`);
+  }
+  return playlist;
+}
+
+class KPlaylist {
+  constructor(el, tracks, options) {
+    this.el = el;
+    this.media = new KAnime(el);
+    this.tracks = Array.from(tracks || []).map(track => (typeof track === 'string' ? { src: track } : track));
+    if (!this.tracks.length) {
+      throw new Error('kPlaylist needs at least one track.');
+    }
+    this.options = {
+      start: 0,
+      autoplay: false,
+      shuffle: false,
+      repeat: 'off',
+      preload: true,
+      rememberPosition: true,
+      storageKey: null,
+      ...options
+    };
+    this.positions = this.kReadPositions();
+    this.index = -1;
+    this.order = this.tracks.map((track, index) => index);
+    this.preloader = null;
+
+    this.repeat(this.options.repeat);
+    if (this.options.volume !== undefined) {
+      this.media.kSetVolume(this.options.volume);
+    }
+    this.listeners = [
+      kAddListener(el, { type: 'ended', namespaces: ['kplaylist'], handler: () => this.kEnded(), internal: true }),
+      kAddListener(el, { type: 'pause', namespaces: ['kplaylist'], handler: () => this.kSavePosition(), internal: true })
+    ];
+    this.load(Math.min(Math.max(this.options.start, 0), this.tracks.length - 1), this.options.autoplay);
+    this.shuffle(this.options.shuffle);
+  }
+
+  load(index, play = true) {
+    if (index < 0 || index >= this.tracks.length) {
+      throw new Error(`Track ${index} does not exist in the playlist.`);
+    }
+    const previous = this.index;
+    const track = this.tracks[index];
+    this.kSavePosition();
+    this.index = index;
+    // A seek still pending from the previous track must not apply to this one
+    kRemoveListeners(this.el, { type: 'loadedmetadata', namespaces: ['kplaylist'], internal: true });
+
+    this.el.src = track.src;
+    if (track.poster !== undefined && this.el.tagName === 'VIDEO') {
+      this.el.poster = track.poster;
+    }
+    this.el.load();
+
+    const position = this.options.rememberPosition ? this.positions[track.src] : 0;
+    if (position > 0) {
+      // kSeekMedia clamps to the duration, which is only known once metadata is loaded
+      kAddListener(this.el, {
+        type: 'loadedmetadata',
+        namespaces: ['kplaylist'],
+        handler: () => this.media.kSeekMedia(position),
+        options: { once: true },
+        internal: true
+      });
+    }
+    if (play) {
+      // Blocked autoplay leaves the track loaded and paused
+      this.media.kPlayMedia();
+    }
+    this.kPreload();
+    if (previous !== index) {
+      new KAnime(this.el).kDispatch('trackchange', {
+        index,
+        track,
+        previous: previous < 0 ? null : previous
+      });
+    }
+  }
+
+  // Index of the track `step` positions away in the play order, or -1 past the ends without repeat.
+  kStep(step) {
+    const position = this.order.indexOf(this.index) + step;
+    if (position >= 0 && position < this.order.length) {
+      return this.order[position];
+    }
+    return this.options.repeat === 'off' ? -1 : this.order[(position + this.order.length) % this.order.length];
+  }
+
+  next() {
+    const index = this.kStep(1);
+    if (index >= 0) {
+      this.load(index, true);
+    }
+  }
+
+  previous() {
+    if (this.el.currentTime > 3) {
+      this.media.kSeekMedia(0);
+      return;
+    }
+    const index = this.kStep(-1);
+    this.load(index >= 0 ? index : this.index, true);
+  }
+
+  shuffle(enabled) {
+    this.options.shuffle = !!enabled;
+    const rest = this.tracks.map((track, index) => index).filter(index => index !== this.index);
+    if (enabled) {
+      // Fisher-Yates, the current track first
+      for (let i = rest.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [rest[i], rest[j]] = [rest[j], rest[i]];
+      }
+      this.order = [this.index, ...rest];
+    } else {
+      this.order = this.tracks.map((track, index) => index);
+    }
+    this.kPreload();
+  }
+
+  repeat(mode) {
+    if (!kRepeatModes.includes(mode)) {
+      throw new Error(`Unknown repeat mode "${mode}". Use ${kRepeatModes.join(', ')}.`);
+    }
+    this.options.repeat = mode;
+    this.el.loop = mode === 'one';
+    this.kPreload();
+  }
+
+  kEnded() {
+    delete this.positions[this.tracks[this.index].src];
+    this.kWritePositions();
+    const index = this.kStep(1);
+    if (index >= 0) {
+      this.load(index, true);
+    } else {
+      new KAnime(this.el).kDispatch('playlistend', { index: this.index });
+    }
+  }
+
+  kPreload() {
+    if (!this.options.preload || this.index < 0) {
+      return;
+    }
+    const index = this.kStep(1);
+    if (index < 0 || index === this.index) {
+      this.preloader = null;
+      return;
+    }
+    const src = this.tracks[index].src;
+    if (!this.preloader || this.preloader.getAttribute('src') !== src) {
+      this.preloader = document.createElement(this.el.tagName.toLowerCase());
+      this.preloader.preload = 'auto';
+      this.preloader.muted = true;
+      this.preloader.src = src;
+    }
+  }
+
+  kSavePosition() {
+    const track = this.tracks[this.index];
+    if (!track || !this.options.rememberPosition || this.el.ended) {
+      return;
+    }
+    if (this.el.currentTime > 0) {
+      this.positions[track.src] = this.el.currentTime;
+      this.kWritePositions();
+    }
+  }
+
+  kReadPositions() {
+    if (!this.options.storageKey) {
+      return {};
+    }
+    try {
+      return JSON.parse(localStorage.getItem(this.options.storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  kWritePositions() {
+    if (!this.options.storageKey) {
+      return;
+    }
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify(this.positions));
+    } catch (error) {
+      // Storage unavailable: positions are only kept for this page
+    }
+  }
+
+  destroy() {
+    this.kSavePosition();
+    kRemoveListeners(this.el, { namespaces: ['kplaylist'], internal: true });
+    this.preloader = null;
+  }
+}
+
+// =========================
+// Media controls
+// =========================
+
+// media element -> KMediaControls
+const kMediaControlBars = new WeakMap();
+
+const kMediaLabels = {
+  controls: 'Media controls',
+  play: 'Play',
+  pause: 'Pause',
+  seek: 'Seek',
+  mute: 'Mute',
+  unmute: 'Unmute',
+  volume: 'Volume',
+  speed: 'Playback speed',
+  fullscreen: 'Enter full screen',
+  exitFullscreen: 'Exit full screen'
+};
+
+const kMediaIcons = {
+  play: '▶',
+  pause: '❚❚',
+  mute: '🔊',
+  unmute: '🔇',
+  fullscreen: '⛶',
+  exitFullscreen: '⤫'
+};
+
+const kMediaStyles = `
+.k-media{position:relative;display:inline-block;max-width:100%;--k-media-bg:rgba(0,0,0,.65);--k-media-color:#fff;--k-media-accent:#3498db;--k-media-buffered:rgba(255,255,255,.35)}
+.k-media:focus-visible{outline:2px solid var(--k-media-accent);outline-offset:2px}
+.k-media>video{display:block;max-width:100%}
+.k-media:fullscreen>video{width:100%;height:100%}
+.k-media-controls{position:absolute;left:0;right:0;bottom:0;display:flex;align-items:center;gap:.5em;padding:.4em .6em;background:var(--k-media-bg);color:var(--k-media-color);font:13px/1 system-ui,sans-serif;transition:opacity .3s}
+.k-media-audio .k-media-controls{position:static}
+.k-media-idle{cursor:none}
+.k-media-idle .k-media-controls{opacity:0}
+.k-media-controls button,.k-media-controls select{background:none;border:0;color:inherit;font:inherit;cursor:pointer;padding:.25em}
+.k-media-controls select option{color:#000}
+.k-media-progress{position:relative;flex:1;display:flex;align-items:center;min-width:4em}
+.k-media-buffered{position:absolute;left:0;right:0;height:4px;pointer-events:none}
+.k-media-buffered span{position:absolute;top:0;bottom:0;background:var(--k-media-buffered)}
+.k-media-seek{position:relative;width:100%;margin:0;accent-color:var(--k-media-accent);background:transparent}
+.k-media-volume{width:5em;accent-color:var(--k-media-accent)}
+.k-media-time{font-variant-numeric:tabular-nums;white-space:nowrap}
+`;
+
+function kInjectMediaStyles() {
+  if (document.querySelector('style[data-kanime-media]')) {
+    return;
+  }
+  const style = document.createElement('style');
+  style.setAttribute('data-kanime-media', '');
+  style.textContent = kMediaStyles;
+  document.head.appendChild(style);
+}
+
+// 75 -> '1:15', 3725 -> '1:02:05'
+function kFormatTime(seconds) {
+  const total = isFinite(seconds) && seconds > 0 ? Math.floor(seconds) : 0;
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor(total / 60) % 60;
+  const secs = String(total % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+class KMediaControls {
+  constructor(el, options) {
+    const isVideo = el.tagName === 'VIDEO';
+    this.el = el;
+    this.media = new KAnime(el);
+    this.options = {
+      controls: ['play', 'seek', 'time', 'mute', 'volume', 'speed', 'fullscreen'],
+      speeds: [0.5, 0.75, 1, 1.25, 1.5, 2],
+      seekStep: 5,
+      volumeStep: 0.1,
+      autoHide: 2500,
+      keyboard: true,
+      styles: true,
+      ...options,
+      labels: { ...kMediaLabels, ...options.labels },
+      icons: { ...kMediaIcons, ...options.icons }
+    };
+    const { controls, labels } = this.options;
+    const has = name => controls.includes(name) && (name !== 'fullscreen' || isVideo);
+
+    if (this.options.styles) {
+      kInjectMediaStyles();
+    }
+    this.nativeControls = el.controls;
+    el.controls = false;
+
+    this.wrapper = document.createElement('div');
+    this.wrapper.className = `k-media k-media-${isVideo ? 'video' : 'audio'}`;
+    this.wrapper.tabIndex = 0;
+    // A detached element is wrapped all the same: the wrapper is what gets inserted
+    if (el.parentNode) {
+      el.parentNode.insertBefore(this.wrapper, el);
+    }
+    this.wrapper.appendChild(el);
+
+    this.bar = document.createElement('div');
+    this.bar.className = 'k-media-controls';
+    this.bar.setAttribute('role', 'group');
+    this.bar.setAttribute('aria-label', labels.controls);
+    this.wrapper.appendChild(this.bar);
+
+    this.parts = {};
+    controls.filter(has).forEach(name => {
+      this.parts[name] = this.kCreate(name);
+      this.bar.appendChild(this.parts[name].root || this.parts[name]);
+    });
+
+    this.records = [];
+    const on = (target, type, handler, listenerOptions) => {
+      this.records.push({
+        target,
+        record: kAddListener(target, { type, namespaces: ['kcontrols'], handler, options: listenerOptions, internal: true })
+      });
+    };
+    ['play', 'pause', 'ended', 'timeupdate', 'durationchange', 'loadedmetadata', 'progress', 'volumechange', 'ratechange']
+      .forEach(type => on(el, type, () => this.update()));
+    on(el, 'play', () => this.kActivity());
+    on(el, 'pause', () => this.kActivity());
+    on(this.wrapper, 'pointermove', () => this.kActivity(), { throttle: 200 });
+    on(this.wrapper, 'focusin', () => this.kActivity());
+    if (this.options.keyboard) {
+      on(this.wrapper, 'keydown', e => this.kKeydown(e));
+    }
+    if (isVideo) {
+      on(el, 'click', () => this.kToggle());
+      on(document, 'fullscreenchange', () => this.update());
+    }
+    // kRemove() of the media element takes the generated wrapper and bar with it
+    kOnCleanup(el, () => {
+      this.kRelease();
+      this.wrapper.remove();
+    });
+
+    this.update();
+  }
+
+  kCreate(name) {
+    const { labels, speeds } = this.options;
+    const button = (className, handler) => {
+      const element = document.createElement('button');
+      element.type = 'button';
+      element.className = className;
+      element.addEventListener('click', handler);
+      return element;
+    };
+    const range = (className, label, max, step) => {
+      const element = document.createElement('input');
+      element.type = 'range';
+      element.className = className;
+      element.min = '0';
+      element.max = String(max);
+      element.step = String(step);
+      element.setAttribute('aria-label', label);
+      return element;
+    };
+
+    if (name === 'play') {
+      return button('k-media-play', () => this.kToggle());
+    }
+    if (name === 'mute') {
+      return button('k-media-mute', () => (this.el.muted ? this.media.kUnmuteMedia() : this.media.kMuteMedia()));
+    }
+    if (name === 'fullscreen') {
+      return button('k-media-fullscreen', () => this.toggleFullscreen());
+    }
+    if (name === 'time') {
+      const element = document.createElement('span');
+      element.className = 'k-media-time';
+      return element;
+    }
+    if (name === 'volume') {
+      const element = range('k-media-volume', labels.volume, 1, 0.05);
+      element.addEventListener('input', () => {
+        this.media.kSetVolume(Number(element.value));
+        this.media.kUnmuteMedia();
+      });
+      return element;
+    }
+    if (name === 'speed') {
+      const element = document.createElement('select');
+      element.className = 'k-media-speed';
+      element.setAttribute('aria-label', labels.speed);
+      speeds.forEach(speed => element.add(new Option(`${speed}×`, String(speed))));
+      element.addEventListener('change', () => this.media.kPlaybackRate(element.value));
+      return element;
+    }
+    if (name === 'seek') {
+      const root = document.createElement('div');
+      root.className = 'k-media-progress';
+      const buffered = document.createElement('div');
+      buffered.className = 'k-media-buffered';
+      buffered.setAttribute('aria-hidden', 'true');
+      const input = range('k-media-seek', labels.seek, 1000, 1);
+      input.addEventListener('input', () => {
+        this.scrubbing = true;
+        this.media.kSeekMedia(Number(input.value) / 1000 * this.kDuration());
+      });
+      input.addEventListener('change', () => {
+        this.scrubbing = false;
+      });
+      root.append(buffered, input);
+      return { root, buffered, input };
+    }
+    throw new Error(`Unknown media control "${name}".`);
+  }
+
+  kToggle() {
+    // The bar stays on "Play" when playback is blocked
+    this.media.kToggleMedia();
+  }
+
+  kDuration() {
+    const duration = this.media.kGetMediaDuration();
+    return isFinite(duration) ? duration : 0;
+  }
+
+  update() {
+    const { labels, icons } = this.options;
+    const { play, mute, fullscreen, time, volume, speed, seek } = this.parts;
+    const el = this.el;
+    const current = this.media.kGetMediaTime();
+    const duration = this.kDuration();
+    const label = (element, text, icon) => {
+      element.setAttribute('aria-label', text);
+      element.title = text;
+      element.textContent = icon;
+    };
+
+    if (play) {
+      label(play, el.paused ? labels.play : labels.pause, el.paused ? icons.play : icons.pause);
+    }
+    if (mute) {
+      const muted = el.muted || el.volume === 0;
+      label(mute, muted ? labels.unmute : labels.mute, muted ? icons.unmute : icons.mute);
+      mute.setAttribute('aria-pressed', String(muted));
+    }
+    if (fullscreen) {
+      const active = document.fullscreenElement === this.wrapper;
+      label(fullscreen, active ? labels.exitFullscreen : labels.fullscreen, active ? icons.exitFullscreen : icons.fullscreen);
+    }
+    if (time) {
+      time.textContent = `${kFormatTime(current)} / ${kFormatTime(duration)}`;
+    }
+    if (volume) {
+      volume.value = String(el.muted ? 0 : el.volume);
+      volume.setAttribute('aria-valuetext', `${Math.round((el.muted ? 0 : el.volume) * 100)}%`);
+    }
+    if (speed && Number(speed.value) !== el.playbackRate) {
+      if (!Array.from(speed.options).some(option => Number(option.value) === el.playbackRate)) {
+        speed.add(new Option(`${el.playbackRate}×`, String(el.playbackRate)));
+      }
+      speed.value = String(el.playbackRate);
+    }
+    if (seek) {
+      if (!this.scrubbing) {
+        seek.input.value = String(duration ? Math.round(current / duration * 1000) : 0);
+      }
+      seek.input.setAttribute('aria-valuetext', `${kFormatTime(current)} of ${kFormatTime(duration)}`);
+      this.kRenderBuffered(duration);
+    }
+  }
+
+  // Redraws the buffered ranges only when they (or the duration) changed since the last update.
+  kRenderBuffered(duration) {
+    const ranges = this.el.buffered || { length: 0 };
+    const spans = [];
+    for (let i = 0; duration && i < ranges.length; i++) {
+      spans.push([ranges.start(i) / duration * 100, (ranges.end(i) - ranges.start(i)) / duration * 100]);
+    }
+    const key = spans.join(';');
+    if (key === this.bufferedKey) {
+      return;
+    }
+    this.bufferedKey = key;
+    this.parts.seek.buffered.replaceChildren(...spans.map(([left, width]) => {
+      const span = document.createElement('span');
+      span.style.left = `${left}%`;
+      span.style.width = `${width}%`;
+      return span;
+    }));
+  }
+
+  toggleFullscreen() {
+    if (document.fullscreenElement === this.wrapper) {
+      document.exitFullscreen();
+    } else if (this.wrapper.requestFullscreen) {
+      this.wrapper.requestFullscreen();
+    }
+  }
+
+  // Shows the bar, and hides it again after `autoHide` ms of inactivity while playing.
+  kActivity() {
+    clearTimeout(this.idleTimer);
+    this.wrapper.classList.remove('k-media-idle');
+    if (this.options.autoHide > 0 && !this.el.paused) {
+      this.idleTimer = setTimeout(() => {
+        if (!this.el.paused && !this.bar.contains(document.activeElement)) {
+          this.wrapper.classList.add('k-media-idle');
+        }
+      }, this.options.autoHide);
+    }
+  }
+
+  kKeydown(e) {
+    const target = e.target;
+    const tag = target.tagName;
+    // Let form controls handle their own keys
+    const isField = tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA';
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    if (isField || e.ctrlKey || e.metaKey || e.altKey) {
+      return;
+    }
+
+    let handled = true;
+    if ((key === ' ' && tag !== 'BUTTON') || key === 'k') {
+      this.kToggle();
+    } else if (key === 'ArrowLeft' || key === 'ArrowRight') {
+      const step = key === 'ArrowLeft' ? -this.options.seekStep : this.options.seekStep;
+      this.media.kSeekMedia(this.media.kGetMediaTime() + step);
+    } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+      const step = key === 'ArrowDown' ? -this.options.volumeStep : this.options.volumeStep;
+      this.media.kSetVolume(this.el.volume + step).kUnmuteMedia();
+    } else if (key === 'm') {
+      if (this.el.muted) {
+        this.media.kUnmuteMedia();
+      } else {
+        this.media.kMuteMedia();
+      }
+    } else if (key === 'f' && this.parts.fullscreen) {
+      this.toggleFullscreen();
+    } else if (/^[0-9]$/.test(key)) {
+      this.media.kSeekMedia(this.kDuration() * Number(key) / 10);
+    } else {
+      handled = false;
+    }
+
+    if (handled) {
+      e.preventDefault();
+      this.kActivity();
+    }
+  }
+
+  kRelease() {
+    clearTimeout(this.idleTimer);
+    this.records.forEach(({ target, record }) => kRemoveRecord(target, record));
+    this.records = [];
+  }
+
+  destroy() {
+    this.kRelease();
+    this.el.controls = this.nativeControls;
+    if (this.wrapper.parentNode) {
+      this.wrapper.parentNode.insertBefore(this.el, this.wrapper);
+      this.wrapper.remove();
+    }
+  }
+}
+
+// =========================
+// Subtitles
+// =========================
+
+// media element -> KSubtitles
+const kSubtitleRegistry = new WeakMap();
+const kCueTiming = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})(.*)$/;
+
+const kSubtitleStyles = `
+.k-subtitles{position:absolute;display:flex;flex-direction:column;justify-content:flex-end;align-items:center;text-align:center;pointer-events:none}
+.k-subtitles::after{content:'';flex:0 0 var(--k-subtitles-bottom,12%)}
+.k-subtitles>span{display:inline-block;margin:.1em;padding:.1em .4em;white-space:pre-line;background:var(--k-subtitles-bg,rgba(0,0,0,.75));color:var(--k-subtitles-color,#fff);font:var(--k-subtitles-font,600 1.25em/1.3 system-ui,sans-serif)}
+`;
+
+// '01:02:03,500' / '02:03.5' -> seconds
+function kParseCueTime(time) {
+  const parts = time.replace(',', '.').split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function kFormatCueTime(seconds) {
+  const ms = Math.round(Math.max(0, seconds) * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+function kParseSubtitles(text) {
+  const cues = [];
+  String(text || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n[ \t]*\n/)
+    .forEach(block => {
+      const lines = block.trim().split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex < 0 || timingIndex > 1 || /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) {
+        return;
+      }
+      const timing = lines[timingIndex].trim().match(kCueTiming);
+      if (!timing) {
+        return;
+      }
+      cues.push({
+        id: timingIndex === 1 ? lines[0].trim() : '',
+        start: kParseCueTime(timing[1]),
+        end: kParseCueTime(timing[2]),
+        text: lines.slice(timingIndex + 1).join('\n').trim(),
+        // SRT coordinates (X1:...) are not WebVTT settings
+        settings: /\bX1:/.test(timing[3]) ? '' : timing[3].trim()
+      });
+    });
+  return cues;
+}
+
+function kSerializeVtt(cues) {
+  return 'WEBVTT\n\n' + cues.map(cue => [
+    cue.id,
+    `${kFormatCueTime(cue.start)} --> ${kFormatCueTime(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`,
+    cue.text
+  ].filter(Boolean).join('\n')).join('\n\n') + '\n';
+}
+
+// Cue text as DOM nodes (no HTML parsing): <b>, <i> and <u> are kept, other tags are dropped.
+function kCueNodes(text) {
+  const fragment = document.createDocumentFragment();
+  const open = [fragment];
+  // Odd items are the tags
+  text.split(/(<[^>\n]*>)/).forEach((part, index) => {
+    if (index % 2 === 0) {
+      if (part) {
+        open[open.length - 1].appendChild(document.createTextNode(part));
+      }
+      return;
+    }
+    const match = /^<(\/?)([biu])>$/.exec(part);
+    if (!match) {
+      return;
+    }
+    if (!match[1]) {
+      const element = document.createElement(match[2]);
+      open[open.length - 1].appendChild(element);
+      open.push(element);
+    } else if (open.length > 1 && open[open.length - 1].tagName.toLowerCase() === match[2]) {
+      open.pop();
+    }
+  });
+  return fragment;
+}
+
+// Places `overlay` right after `el`, over its box: both share the same offset parent, so the
+// page layout is left untouched. Also called when the media moves (kMediaControls wrapping it).
+function kPlaceOverlay(el, overlay) {
+  if (el.nextElementSibling !== overlay && el.parentNode) {
+    el.insertAdjacentElement('afterend', overlay);
+  }
+  overlay.style.left = `${el.offsetLeft}px`;
+  overlay.style.top = `${el.offsetTop}px`;
+  overlay.style.width = `${el.offsetWidth}px`;
+  overlay.style.height = `${el.offsetHeight}px`;
+}
+
+function kSubtitlesOf(el, create = false) {
+  let subtitles = kSubtitleRegistry.get(el);
+  if (!subtitles && create) {
+    if (el.tagName !== 'VIDEO' && el.tagName !== 'AUDIO') {
+      throw new Error('Subtitles can only be used on <video> or <audio> elements.');
+    }
+    subtitles = new KSubtitles(el);
+    kSubtitleRegistry.set(el, subtitles);
+  }
+  return subtitles;
+}
+
+class KSubtitles {
+  constructor(el) {
+    this.el = el;
+    this.tracks = [];
+    this.active = -1;
+    this.overlay = null;
+    this.shown = '';
+    this.records = ['timeupdate', 'seeked', 'loadedmetadata'].map(type => kAddListener(el, {
+      type,
+      namespaces: ['ksubtitles'],
+      handler: () => this.render(),
+      internal: true
+    }));
+    kOnCleanup(el, () => {
+      // Also removes the overlay created next to the media element
+      this.setOverlay(false);
+      kSubtitleRegistry.delete(el);
+    });
+  }
+
+  add(cues, { language = '', label, kind = 'subtitles', offset = 0, default: isDefault = false } = {}) {
+    const track = { language, label: label || language, kind, cues, offset, textTrack: null };
+    if (this.el.addTextTrack && window.VTTCue) {
+      track.textTrack = this.el.addTextTrack(kind, track.label, language);
+      track.textTrack.mode = 'disabled';
+      this.kSyncNative(track);
+    }
+    this.tracks.push(track);
+    if (isDefault || this.active < 0) {
+      this.select(this.tracks.length - 1);
+    }
+  }
+
+  kTrackIndex(language) {
+    if (typeof language === 'number') {
+      return this.tracks[language] ? language : -1;
+    }
+    const exact = this.tracks.findIndex(track => track.language === language);
+    // 'pt' also matches 'pt-BR'
+    return exact >= 0 ? exact : this.tracks.findIndex(track => track.language.split('-')[0] === String(language).split('-')[0]);
+  }
+
+  select(language) {
+    const index = language === null || language === false ? -1 : this.kTrackIndex(language);
+    if (index < 0 && language !== null && language !== false) {
+      throw new Error(`No subtitle track for "${language}".`);
+    }
+    this.active = index;
+    this.kUpdateModes();
+    this.render();
+  }
+
+  setOffset(seconds, language) {
+    const index = language === undefined ? this.active : this.kTrackIndex(language);
+    const track = this.tracks[index];
+    if (!track) {
+      throw new Error('No subtitle track to offset.');
+    }
+    track.offset = seconds;
+    this.kSyncNative(track);
+    this.render();
+  }
+
+  // Cues of the active track with the offset applied.
+  kCues() {
+    const track = this.tracks[this.active];
+    return track ? track.cues.map(cue => ({ ...cue, start: cue.start + track.offset, end: cue.end + track.offset })) : [];
+  }
+
+  find(query) {
+    const matcher = query instanceof RegExp ? query : new RegExp(String(query).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    return this.kCues().filter(cue => matcher.test(cue.text));
+  }
+
+  kSyncNative(track) {
+    const textTrack = track.textTrack;
+    if (!textTrack) {
+      return;
+    }
+    Array.from(textTrack.cues || []).forEach(cue => textTrack.removeCue(cue));
+    track.cues.forEach(cue => {
+      textTrack.addCue(new window.VTTCue(Math.max(0, cue.start + track.offset), Math.max(0, cue.end + track.offset), cue.text));
+    });
+  }
+
+  kUpdateModes() {
+    this.tracks.forEach((track, index) => {
+      if (track.textTrack) {
+        track.textTrack.mode = index !== this.active ? 'disabled' : (this.overlay ? 'hidden' : 'showing');
+      }
+    });
+  }
+
+  setOverlay(options) {
+    if (this.overlay) {
+      const { element, created, place } = this.overlay;
+      if (created) {
+        element.remove();
+        window.removeEventListener('resize', place);
+        this.el.removeEventListener('loadedmetadata', place);
+        if (this.overlay.observer) {
+          this.overlay.observer.disconnect();
+        }
+      } else {
+        element.textContent = '';
+      }
+      this.overlay = null;
+    }
+    if (options !== false) {
+      const container = typeof options.container === 'string'
+        ? document.querySelector(options.container)
+        : options.container;
+      let element = container;
+      let place = null;
+      let observer = null;
+      if (!element) {
+        if (!document.querySelector('style[data-kanime-subtitles]')) {
+          const style = document.createElement('style');
+          style.setAttribute('data-kanime-subtitles', '');
+          style.textContent = kSubtitleStyles;
+          document.head.appendChild(style);
+        }
+        element = document.createElement('div');
+        place = () => kPlaceOverlay(this.el, element);
+        place();
+        // Follows the media's size; its position is checked again whenever the cues change
+        window.addEventListener('resize', place);
+        this.el.addEventListener('loadedmetadata', place);
+        if (typeof window.ResizeObserver === 'function') {
+          observer = new window.ResizeObserver(place);
+          observer.observe(this.el);
+        }
+      }
+      element.classList.add(options.className || 'k-subtitles');
+      element.setAttribute('aria-live', 'off');
+      this.overlay = { element, created: !container, place, observer };
+    }
+    this.shown = null;
+    this.kUpdateModes();
+    this.render();
+  }
+
+  render() {
+    const time = this.el.currentTime;
+    const cues = this.kCues().filter(cue => time >= cue.start && time < cue.end);
+    const key = cues.map(cue => `${cue.start}:${cue.text}`).join('|');
+    if (key === this.shown) {
+      return;
+    }
+    this.shown = key;
+    if (this.overlay) {
+      const element = this.overlay.element;
+      if (this.overlay.place) {
+        this.overlay.place();
+      }
+      element.textContent = '';
+      cues.forEach(cue => {
+        const line = document.createElement('span');
+        line.appendChild(kCueNodes(cue.text));
+        element.appendChild(line);
+        element.appendChild(document.createElement('br'));
+      });
+    }
+    new KAnime(this.el).kDispatch('subtitlechange', { cues });
+  }
+}
+
+// =========================
+// Viewport visibility
+// =========================
+
+// `${threshold}|${rootMargin}` -> { observer, targets: Map(element -> Set(watcher)) }
+const kViewportObservers = new Map();
+// element -> Set of the functions that stop its watchers
+const kViewportWatchers = new WeakMap();
+
+/**
+ * Calls `watcher(entry)` on every intersection change of `el`, through the IntersectionObserver
+ * shared by the elements watched with the same threshold and root margin. Returns the function
+ * that stops watching; the observer is disconnected when its last element is released.
+ * Without IntersectionObserver support the element is reported visible right away.
+ */
+function kObserveViewport(el, { threshold = 0, rootMargin = '0px' }, watcher) {
+  let active = true;
+  let shared = null;
+  const key = `${[].concat(threshold).join(',')}|${rootMargin}`;
+
+  if (typeof window.IntersectionObserver === 'function') {
+    shared = kViewportObservers.get(key);
+    if (!shared) {
+      const targets = new Map();
+      const observer = new window.IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          const watchers = targets.get(entry.target);
+          if (watchers) {
+            [...watchers].forEach(fn => fn(entry));
+          }
+        });
+      }, { threshold, rootMargin });
+      shared = { observer, targets };
+      kViewportObservers.set(key, shared);
+    }
+    if (!shared.targets.has(el)) {
+      shared.targets.set(el, new Set());
+      shared.observer.observe(el);
+    }
+    shared.targets.get(el).add(watcher);
+  } else {
+    Promise.resolve().then(() => {
+      if (active) {
+        watcher({ target: el, isIntersecting: true, intersectionRatio: 1 });
+      }
+    });
+  }
+
+  if (!kViewportWatchers.has(el)) {
+    kViewportWatchers.set(el, new Set());
+    kOnCleanup(el, () => {
+      kUnobserveViewport(el);
+      kViewportWatchers.delete(el);
+    });
+  }
+  const unobserve = () => {
+    if (!active) {
+      return;
+    }
+    active = false;
+    kViewportWatchers.get(el).delete(unobserve);
+    if (!shared) {
+      return;
+    }
+    const watchers = shared.targets.get(el);
+    watchers.delete(watcher);
+    if (!watchers.size) {
+      shared.targets.delete(el);
+      shared.observer.unobserve(el);
+      if (!shared.targets.size) {
+        shared.observer.disconnect();
+        kViewportObservers.delete(key);
+      }
+    }
+  };
+  kViewportWatchers.get(el).add(unobserve);
+  return unobserve;
+}
+
+function kUnobserveViewport(el) {
+  if (kViewportWatchers.has(el)) {
+    [...kViewportWatchers.get(el)].forEach(unobserve => unobserve());
+  }
+}
+
+// Calls `callback(entry)` when `el` becomes visible (`visible` true) or hidden again (false).
+function kWatchViewport(el, { threshold = 0, rootMargin = '0px', once = false }, visible, callback) {
+  const ratio = Math.min(...[].concat(threshold));
+  let inView = false;
+  const unobserve = kObserveViewport(el, { threshold, rootMargin }, entry => {
+    const now = entry.isIntersecting && entry.intersectionRatio >= ratio;
+    if (now === inView) {
+      return;
+    }
+    inView = now;
+    if (now === visible) {
+      if (once) {
+        unobserve();
+      }
+      callback(entry);
+    }
+  });
+  return unobserve;
+}
+
+const kLazyAttributes = ['src', 'srcset', 'sizes', 'poster'];
+
+// Moves the `data-*` lazy attributes of `el` (and of its <source> siblings or children) into place.
+function kLoadLazy(el) {
+  const isMedia = el.tagName === 'VIDEO' || el.tagName === 'AUDIO';
+  const picture = el.tagName === 'IMG' && el.parentNode && el.parentNode.tagName === 'PICTURE'
+    ? el.parentNode
+    : null;
+  const sources = isMedia || picture ? [...(picture || el).querySelectorAll('source')] : [];
+
+  [...sources, el].forEach(node => {
+    kLazyAttributes.forEach(name => {
+      const value = node.getAttribute(`data-${name}`);
+      if (value !== null) {
+        node.setAttribute(name, value);
+        node.removeAttribute(`data-${name}`);
+      }
+    });
+  });
+  const background = el.getAttribute('data-bg');
+  if (background !== null) {
+    el.style.backgroundImage = `url("${background.replace(/["\\]/g, '\\$&')}")`;
+    el.removeAttribute('data-bg');
+  }
+  if (isMedia && sources.length && typeof el.load === 'function') {
+    // <source> changes only apply after load()
+    el.load();
+  }
+}
+
+// =========================
+// HTTP client
+// =========================
+
+/**
+ * Error thrown by the HTTP client for non-2xx responses, timeouts and network failures.
+ * `status` is 0 when no response was received; `timedOut` tells timeouts (the server may
+ * have received the request) from network failures.
+ */
+class KHttpError extends Error {
+  constructor(message, { status = 0, statusText = '', data = null, response = null, config = null, timedOut = false } = {}) {
+    super(message);
+    this.name = 'KHttpError';
+    this.status = status;
+    this.timedOut = timedOut;
+    this.statusText = statusText;
+    this.data = data;
+    this.response = response;
+    this.config = config;
+  }
+}
+
+/**
+ * Ordered list of interceptor handlers (`use` returns an id for `eject`).
+ */
+class KInterceptors {
+  constructor() {
+    this.handlers = [];
+  }
+
+  use(fulfilled, rejected) {
+    this.handlers.push({ fulfilled, rejected });
+    return this.handlers.length - 1;
+  }
+
+  eject(id) {
+    if (this.handlers[id]) {
+      this.handlers[id] = null;
+    }
+  }
+
+  clear() {
+    this.handlers = [];
+  }
+
+  forEach(callback) {
+    this.handlers.forEach(handler => handler && callback(handler));
+  }
+}
+
+/**
+ * Minimal fetch wrapper behind `KAnime.kFetch`, `k.http` and `kSubmitForm`.
+ */
+class KHttpClient {
+  constructor(defaults = {}) {
+    this.defaults = {
+      baseURL: '',
+      headers: {},
+      timeout: 0,
+      retry: 0,
+      retryDelay: 300,
+      ...defaults
+    };
+    this.interceptors = {
+      request: new KInterceptors(),
+      response: new KInterceptors()
+    };
+  }
+
+  /**
+   * Creates a new client with its own defaults and interceptors.
+   * @param {Object} defaults
+   * @returns {KHttpClient}
+   * @example
+   * const api = k.http.create({ baseURL: '/api', headers: { 'X-Requested-With': 'KAnime' } });
+   */
+  create(defaults = {}) {
+    return new KHttpClient({
+      ...this.defaults,
+      ...defaults,
+      headers: { ...this.defaults.headers, ...defaults.headers }
+    });
+  }
+
+  request(url, options = {}) {
+    const config = {
+      ...this.defaults,
+      ...options,
+      url,
+      method: (options.method || 'GET').toUpperCase(),
+      headers: { ...this.defaults.headers, ...options.headers }
+    };
+
+    const chain = (promise, handler) => promise.then(
+      handler.fulfilled && (value => Promise.resolve(handler.fulfilled(value)).then(next => next === undefined ? value : next)),
+      handler.rejected
+    );
+
+    let promise = Promise.resolve(config);
+    this.interceptors.request.forEach(handler => {
+      promise = chain(promise, handler);
+    });
+    promise = promise.then(finalConfig => kSendRequest(finalConfig));
+    this.interceptors.response.forEach(handler => {
+      promise = chain(promise, handler);
+    });
+
+    // Response interceptors may already have unwrapped the response: other values are returned as-is
+    return promise.then(result => (kIsResponse(result) && !result.config.fullResponse ? result.data : result));
+  }
+
+  get(url, options = {}) {
+    return this.request(url, { ...options, method: 'GET' });
+  }
+
+  delete(url, options = {}) {
+    return this.request(url, { ...options, method: 'DELETE' });
+  }
+
+  post(url, data, options = {}) {
+    return this.request(url, { ...options, method: 'POST', ...kBodyOption(data) });
+  }
+
+  put(url, data, options = {}) {
+    return this.request(url, { ...options, method: 'PUT', ...kBodyOption(data) });
+  }
+
+  patch(url, data, options = {}) {
+    return this.request(url, { ...options, method: 'PATCH', ...kBodyOption(data) });
+  }
+}
+
+// Response object resolved by `kSendRequest` (or a copy of it made by an interceptor).
+function kIsResponse(value) {
+  return Boolean(value && value.config && value.response instanceof Response && 'data' in value);
+}
+
+// Raw bodies are sent as-is, anything else is serialized as JSON.
+function kBodyOption(data) {
+  if (data === undefined) {
+    return {};
+  }
+  const isRaw = typeof data === 'string'
+    || data instanceof FormData
+    || data instanceof URLSearchParams
+    || data instanceof Blob
+    || data instanceof ArrayBuffer;
+  return isRaw ? { body: data } : { json: data };
+}
+
+function kBuildURL(baseURL, url, params) {
+  let fullURL = url || '';
+  if (baseURL && !/^([a-z][a-z\d+.-]*:)?\/\//i.test(fullURL)) {
+    fullURL = baseURL.replace(/\/+$/, '') + '/' + fullURL.replace(/^\/+/, '');
+  }
+
+  if (params) {
+    const search = params instanceof URLSearchParams ? new URLSearchParams(params) : new URLSearchParams();
+    if (!(params instanceof URLSearchParams)) {
+      Object.keys(params).forEach(key => {
+        const value = params[key];
+        if (value === undefined || value === null) return;
+        (Array.isArray(value) ? value : [value]).forEach(item => {
+          search.append(key, item instanceof Date ? item.toISOString() : item);
+        });
+      });
+    }
+    const query = search.toString();
+    if (query) {
+      fullURL += (fullURL.includes('?') ? '&' : '?') + query;
+    }
+  }
+
+  return fullURL;
+}
+
+async function kParseResponse(response, responseType) {
+  if (response.status === 204 || response.status === 205) {
+    return null;
+  }
+  if (responseType === 'blob') return response.blob();
+  if (responseType === 'arrayBuffer') return response.arrayBuffer();
+  if (responseType === 'text') return response.text();
+
+  const text = await response.text();
+  const contentType = response.headers.get('Content-Type');
+  if (responseType === 'json' || (contentType && contentType.includes('json'))) {
+    try {
+      return text ? JSON.parse(text) : null;
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+}
+
+const kWait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Progress payload of `onUploadProgress` / `onDownloadProgress`.
+function kProgress(loaded, total, event) {
+  return { loaded, total, progress: total ? Math.min(1, loaded / total) : null, event };
+}
+
+function kParseHeaders(raw) {
+  const headers = new Headers();
+  raw.trim().split(/[\r\n]+/).filter(Boolean).forEach(line => {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+    }
+  });
+  return headers;
+}
+
+// XMLHttpRequest transport resolving to a `Response`, used when progress callbacks are set.
+function kXhrFetch(url, init, { onUploadProgress, onDownloadProgress }) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    const abort = () => xhr.abort();
+    const done = () => init.signal && init.signal.removeEventListener('abort', abort);
+
+    xhr.open(init.method, url);
+    xhr.responseType = 'arraybuffer';
+    xhr.withCredentials = init.credentials === 'include';
+    Object.keys(init.headers || {}).forEach(name => xhr.setRequestHeader(name, init.headers[name]));
+
+    if (onUploadProgress && xhr.upload) {
+      xhr.upload.onprogress = e => onUploadProgress(kProgress(e.loaded, e.lengthComputable ? e.total : 0, e));
+    }
+    if (onDownloadProgress) {
+      xhr.onprogress = e => onDownloadProgress(kProgress(e.loaded, e.lengthComputable ? e.total : 0, e));
+    }
+    xhr.onload = () => {
+      done();
+      const empty = [101, 204, 205, 304].includes(xhr.status);
+      resolve(new Response(empty ? null : xhr.response, {
+        status: xhr.status,
+        statusText: xhr.statusText,
+        headers: kParseHeaders(xhr.getAllResponseHeaders())
+      }));
+    };
+    xhr.onerror = () => {
+      done();
+      reject(new TypeError('Network error'));
+    };
+    xhr.onabort = () => {
+      done();
+      reject(new DOMException('The request was aborted.', 'AbortError'));
+    };
+
+    if (init.signal) {
+      if (init.signal.aborted) {
+        reject(new DOMException('The request was aborted.', 'AbortError'));
+        return;
+      }
+      init.signal.addEventListener('abort', abort);
+    }
+    xhr.send(init.body);
+  });
+}
+
+// Storage of resumable uploads (next byte per upload id); failures mean no resume.
+function kUploadOffset(id, offset) {
+  const key = `kanime:upload:${id}`;
+  try {
+    if (offset === undefined) {
+      return Number(localStorage.getItem(key)) || 0;
+    }
+    if (offset === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, String(offset));
+    }
+  } catch (error) {
+    // Storage unavailable (private mode, quota...)
+  }
+  return 0;
+}
+
+/**
+ * Uploads the form's files larger than `settings.size` chunk by chunk, then swaps them
+ * for their upload id in `config.body` / `config.json`.
+ */
+async function kUploadChunks(form, config, settings) {
+  const { size = 5 * 1024 * 1024, retry = 3, resume = true, url } = settings;
+  const files = [];
+  kFormControls(form)
+    .filter(el => el.type === 'file')
+    .forEach(el => Array.from(el.files || []).forEach(file => file.size > size && files.push(file)));
+  if (!files.length) {
+    return;
+  }
+
+  const { onUploadProgress } = config;
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+  const ids = new Map();
+  let uploaded = 0;
+
+  for (const file of files) {
+    const id = [url, file.name, file.size, file.lastModified].map(encodeURIComponent).join(':');
+    let start = resume ? Math.min(kUploadOffset(id), file.size) : 0;
+    uploaded += start;
+
+    while (start < file.size) {
+      const end = Math.min(start + size, file.size);
+      const sent = uploaded;
+      await KAnime.kHttp.request(url, {
+        method: 'POST',
+        body: file.slice(start, end),
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Content-Range': `bytes ${start}-${end - 1}/${file.size}`,
+          'X-Upload-Id': id,
+          'X-File-Name': encodeURIComponent(file.name)
+        },
+        retry,
+        timeout: config.timeout,
+        signal: config.signal,
+        onUploadProgress: onUploadProgress && (({ loaded, event }) => onUploadProgress(kProgress(sent + loaded, total, event)))
+      });
+      uploaded += end - start;
+      start = end;
+      if (resume) {
+        kUploadOffset(id, start);
+      }
+    }
+    kUploadOffset(id, null);
+    ids.set(file, id);
+  }
+
+  if (config.body instanceof FormData) {
+    const body = new FormData();
+    config.body.forEach((value, name) => body.append(name, ids.has(value) ? ids.get(value) : value));
+    config.body = body;
+  } else if (config.json !== undefined) {
+    config.json = kReplaceFiles(config.json, ids);
+  }
+  // The remaining request is tiny: progress was already reported for the files
+  delete config.onUploadProgress;
+}
+
+function kReplaceFiles(value, ids) {
+  if (ids.has(value)) {
+    return ids.get(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => kReplaceFiles(item, ids));
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = kReplaceFiles(value[key], ids);
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+async function kSendRequest(config) {
+  const headers = { ...config.headers };
+  let body = config.body === undefined ? null : config.body;
+
+  if (config.json !== undefined) {
+    body = JSON.stringify(config.json);
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const url = kBuildURL(config.baseURL, config.url, config.params);
+  const retries = Math.max(0, config.retry || 0);
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+    const abort = () => controller.abort();
+
+    if (config.signal) {
+      if (config.signal.aborted) controller.abort();
+      config.signal.addEventListener('abort', abort);
+    }
+    if (config.timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, config.timeout);
+    }
+
+    let error;
+    try {
+      const init = {
+        method: config.method,
+        headers,
+        body: config.method === 'GET' || config.method === 'HEAD' ? null : body,
+        credentials: config.credentials,
+        mode: config.mode,
+        cache: config.cache,
+        signal: controller.signal
+      };
+      const response = config.onUploadProgress || config.onDownloadProgress
+        ? await kXhrFetch(url, init, config)
+        : await fetch(url, init);
+      const data = await kParseResponse(response, config.responseType);
+      const result = {
+        data,
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        config,
+        response
+      };
+
+      if (response.ok) {
+        return result;
+      }
+      error = new KHttpError(`HTTP error! status: ${response.status}`, result);
+    } catch (caught) {
+      if (timedOut) {
+        // Timeouts are retried like network errors, cancellations are not
+        error = new KHttpError('Request timed out', { config, timedOut: true });
+      } else if (caught.name === 'AbortError') {
+        throw new KHttpError('Request aborted', { config });
+      } else {
+        error = caught instanceof KHttpError ? caught : new KHttpError(caught.message || 'Network error', { config });
+      }
+    } finally {
+      clearTimeout(timer);
+      if (config.signal) {
+        config.signal.removeEventListener('abort', abort);
+      }
+    }
+
+    const retryable = error.status === 0 || error.status >= 500;
+    if (!retryable || attempt >= retries) {
+      throw error;
+    }
+    await kWait(config.retryDelay * Math.pow(2, attempt));
+  }
+}
+
+KAnime.kHttp = new KHttpClient();
+KAnime.HttpError = KHttpError;
+KAnime.ValidationError = KValidationError;
+KAnime.AutoplayError = KAutoplayError;
+KAnime.kBus = new KEventBus();
+KAnime.kQueue = new KOfflineQueue();
+
+// Global shortcut
+const k = (selector, context = document) => new KAnime(selector, context);
+
+if (typeof window !== 'undefined') {
+  window.k = k;
+}
+
+k.http = KAnime.kHttp;
 
 window.KAnime = KAnime;
 window.k = k;
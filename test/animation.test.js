@@ -0,0 +1,142 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/index.js';
+
+const k = window.k;
+
+let box;
+
+beforeEach(() => {
+  document.body.innerHTML = '<div id="box" style="left: 0px; opacity: 1"></div><div id="other" style="left: 0px"></div>';
+  box = document.getElementById('box');
+});
+
+test('kanime exposes a handle whose finished promise resolves at the end values', async () => {
+  let called = 0;
+  const { kAnimation } = k(box).kanime({ left: '100px' }, 30, 'linear', () => called++);
+  await kAnimation.finished;
+  assert.equal(box.style.left, '100px');
+  assert.equal(called, 1);
+});
+
+test('seek renders a given progress and finish jumps to the end', async () => {
+  const { kAnimation } = k(box).kanime({ left: '100px' }, 10000);
+  kAnimation.pause().seek(0.25);
+  assert.equal(box.style.left, '25px');
+  kAnimation.finish();
+  assert.equal(box.style.left, '100px');
+  await kAnimation.finished;
+});
+
+test('pause holds the animation until resume', async () => {
+  const { kAnimation } = k(box).kanime({ left: '100px' }, 40);
+  kAnimation.pause();
+  await new Promise(resolve => setTimeout(resolve, 80));
+  assert.notEqual(box.style.left, '100px');
+  kAnimation.resume();
+  await kAnimation.finished;
+  assert.equal(box.style.left, '100px');
+});
+
+test('reverse on a finished animation plays it back to the start', async () => {
+  const { kAnimation } = k(box).kanime({ left: '100px' }, 20);
+  await kAnimation.finished;
+  kAnimation.reverse();
+  await kAnimation.finished;
+  assert.equal(box.style.left, '0px');
+});
+
+test('cancel keeps the current values and rejects finished with an AbortError', async () => {
+  const { kAnimation } = k(box).kanime({ left: '100px' }, 10000);
+  kAnimation.pause().seek(0.5).cancel();
+  await assert.rejects(kAnimation.finished, { name: 'AbortError' });
+  assert.equal(box.style.left, '50px');
+});
+
+test('a new animation cancels the running one on the same property only', async () => {
+  const first = k(box).kanime({ left: '100px', opacity: 0 }, 10000).kAnimation;
+  const other = k('#other').kanime({ left: '100px' }, 10000).kAnimation;
+  k(box).kanime({ left: '50px' }, 10000);
+  await assert.rejects(first.finished, { name: 'AbortError' });
+  k(box).kStop();
+  other.finish();
+  await other.finished;
+});
+
+test('kStop(true) finishes the running animations', async () => {
+  const { kAnimation } = k(box).kanime({ left: '100px' }, 10000);
+  k(box).kStop(true);
+  await kAnimation.finished;
+  assert.equal(box.style.left, '100px');
+});
+
+test('the fades expose their animation', async () => {
+  await k(box).kHideFade(20).kAnimation.finished;
+  assert.equal(box.style.display, 'none');
+  await k(box).kShowFade(20).kAnimation.finished;
+  assert.notEqual(box.style.display, 'none');
+  assert.equal(box.style.opacity, '1');
+});
+
+test('delay postpones the start and is kept when the animation is replayed', async () => {
+  const { kAnimation } = k(box).kanime({ left: '100px' }, { duration: 20, delay: 60 });
+  const animation = kAnimation.animations[0];
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(box.style.left, '0px');
+  await kAnimation.finished;
+  assert.equal(box.style.left, '100px');
+
+  animation.reverse();
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(box.style.left, '100px');
+  await animation.finished;
+  assert.equal(box.style.left, '0px');
+});
+
+test('stagger spreads the delays from a position, a grid or a function', () => {
+  document.body.innerHTML = '<i></i><i></i><i></i><i></i><i></i><i></i>';
+  const delays = options => k('i').kanime({ opacity: 0 }, options).kStop().kAnimation.animations.map(a => a.delay);
+  assert.deepEqual(delays({ stagger: 10, delay: 5 }), [5, 15, 25, 35, 45, 55]);
+  assert.deepEqual(delays({ stagger: { each: 10, from: 'end' } }), [50, 40, 30, 20, 10, 0]);
+  assert.deepEqual(delays({ stagger: { each: 10, from: 'center' } }), [25, 15, 5, 5, 15, 25]);
+  assert.deepEqual(delays({ stagger: { each: 10, grid: [2, 3], from: 0, axis: 'x' } }), [0, 10, 20, 0, 10, 20]);
+  assert.deepEqual(delays({ stagger: (index, el, total) => (total - index) * 2 }), [12, 10, 8, 6, 4, 2]);
+});
+
+test('the fades accept delay and stagger options', () => {
+  document.body.innerHTML = '<i></i><i></i><i></i>';
+  const { animations } = k('i').kHideFade({ duration: 10, delay: 20, stagger: 30 }).kStop().kAnimation;
+  assert.deepEqual(animations.map(a => a.delay), [20, 50, 80]);
+});
+
+test('colors, multi-value strings and relative values are interpolated', () => {
+  box.setAttribute('style', 'color: #000000; left: 10px; margin: 0px 0px; width: 10px');
+  const { kAnimation } = k(box).kanime({ color: '#ffffff', left: '+=20px', margin: '10px 20px', width: '*=3' }, 10000);
+  kAnimation.pause().seek(0.5);
+  assert.equal(box.style.color, 'rgb(128, 128, 128)');
+  assert.equal(box.style.left, '20px');
+  assert.equal(box.style.margin, '5px 10px');
+  assert.equal(box.style.width, '20px');
+  kAnimation.finish();
+  assert.equal(box.style.left, '30px');
+  assert.equal(box.style.width, '30px');
+});
+
+test('transform functions are composed after the existing transform', () => {
+  box.style.transform = 'rotate(45deg)';
+  const { kAnimation } = k(box).kanime({ translateX: '100px', scale: 2 }, 10000);
+  kAnimation.pause().seek(0.5);
+  assert.equal(box.style.transform, 'rotate(45deg) translateX(50px) scale(1.5)');
+  kAnimation.finish();
+  k(box).kanime({ translateX: '0px' }, 10000).kAnimation.finish();
+  assert.equal(box.style.transform, 'rotate(45deg) translateX(0px) scale(2)');
+});
+
+test('animating the full transform resets the composed functions', () => {
+  k(box).kanime({ translateX: '10px' }, 10000).kAnimation.finish();
+  k(box).kanime({ transform: 'rotate(90deg)' }, 10000).kAnimation.finish();
+  assert.equal(box.style.transform, 'rotate(90deg)');
+  k(box).kanime({ scale: 2 }, 10000).kAnimation.finish();
+  assert.equal(box.style.transform, 'rotate(90deg) scale(2)');
+});
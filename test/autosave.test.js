@@ -0,0 +1,109 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/index.js';
+
+const k = window.k;
+const key = 'ticket-draft';
+
+let form;
+
+beforeEach(() => {
+  localStorage.clear();
+  document.body.innerHTML = `
+    <form id="ticket" action="/tickets">
+      <input name="subject">
+      <input type="hidden" name="csrf" value="token-1">
+      <input type="password" name="pin">
+      <input type="file" name="attachment">
+      <input name="captcha">
+      <input type="checkbox" name="urgent" data-type="boolean">
+      <textarea name="body"></textarea>
+    </form>`;
+  form = document.getElementById('ticket');
+});
+
+const type = (name, value) => {
+  const el = form.elements[name];
+  el.value = value;
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+};
+const draft = () => JSON.parse(localStorage.getItem(key));
+
+test('changes are saved without password, file and hidden fields', () => {
+  k(form).kAutosave({ key, debounce: 0 });
+  form.elements.pin.value = '1234';
+  type('subject', 'Broken login');
+  assert.deepEqual(draft().data, { subject: 'Broken login', captcha: '', urgent: false, body: '' });
+  assert.equal(typeof draft().savedAt, 'number');
+});
+
+test('hidden inputs are saved with includeHidden, excluded fields never', () => {
+  k(form).kAutosave({ key, debounce: 0, includeHidden: true, exclude: ['captcha'] });
+  type('subject', 'a');
+  assert.equal(draft().data.csrf, 'token-1');
+  assert.equal('captcha' in draft().data, false);
+
+  k(form).kAutosave({ key, debounce: 0, exclude: '[name="body"], [name="urgent"]' });
+  type('subject', 'b');
+  assert.deepEqual(draft().data, { subject: 'b', captcha: '' });
+});
+
+test('a saved draft is restored, unchecking the boxes checked since', () => {
+  localStorage.setItem(key, JSON.stringify({ savedAt: Date.now(), data: { subject: 'Draft', urgent: false, csrf: 'old-token' } }));
+  form.elements.urgent.checked = true;
+  const restored = [];
+  k(form).kAutosave({ key, onRestore: (data, el) => restored.push([data.subject, el]) });
+  assert.equal(form.elements.subject.value, 'Draft');
+  assert.equal(form.elements.urgent.checked, false);
+  assert.equal(form.elements.csrf.value, 'token-1', 'the page\'s token is kept');
+  assert.deepEqual(restored, [['Draft', form]]);
+});
+
+test('expired drafts are discarded', () => {
+  localStorage.setItem(key, JSON.stringify({ savedAt: Date.now() - 2000, data: { subject: 'Old' } }));
+  k(form).kAutosave({ key, expires: 1000 });
+  assert.equal(form.elements.subject.value, '');
+  assert.equal(localStorage.getItem(key), null);
+});
+
+test('saves are debounced and a pending save is dropped by kClearDraft', async () => {
+  k(form).kAutosave({ key, debounce: 20 });
+  type('subject', 'a');
+  type('subject', 'ab');
+  assert.equal(draft(), null);
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(draft().data.subject, 'ab');
+
+  type('subject', 'abc');
+  k(form).kClearDraft();
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(localStorage.getItem(key), null);
+});
+
+test('drafts saved by another tab are picked up', () => {
+  k(form).kAutosave({ key });
+  const newValue = JSON.stringify({ savedAt: Date.now(), data: { subject: 'From the other tab' } });
+  localStorage.setItem(key, newValue);
+  window.dispatchEvent(new StorageEvent('storage', { key, newValue, storageArea: localStorage }));
+  assert.equal(form.elements.subject.value, 'From the other tab');
+});
+
+test('a successful kSubmitForm clears the draft', async () => {
+  window.fetch = () => Promise.resolve(new Response('{}', { headers: { 'Content-Type': 'application/json' } }));
+  k(form).kAutosave({ key, debounce: 0 });
+  type('subject', 'Sent');
+  await k(form).kSubmitForm();
+  assert.equal(localStorage.getItem(key), null);
+});
+
+test('kRemoveAllListeners keeps saving, kAutosave(false) stops', () => {
+  k(form).kAutosave({ key, debounce: 0 });
+  k(form).kRemoveAllListeners();
+  type('subject', 'still saved');
+  assert.equal(draft().data.subject, 'still saved');
+
+  k(form).kAutosave(false);
+  type('subject', 'not saved');
+  assert.equal(draft().data.subject, 'still saved');
+});
@@ -0,0 +1,91 @@
+import './setup.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KAnime from '../src/index.js';
+
+const k = window.k;
+const bus = KAnime.kBus;
+
+afterEach(() => {
+  bus.off();
+});
+
+test('kDispatch sends a CustomEvent with its detail', () => {
+  document.body.innerHTML = '<div class="cart"></div>';
+  const events = [];
+  document.body.addEventListener('cart:add', e => events.push(e));
+  k('.cart').kDispatch('cart:add', { id: 42 });
+  k('.cart').kDispatch('cart:add', null, { bubbles: false });
+  assert.equal(events.length, 1);
+  assert.ok(events[0] instanceof CustomEvent);
+  assert.deepEqual(events[0].detail, { id: 42 });
+  assert.equal(events[0].cancelable, true);
+});
+
+test('on receives the payload and topic of matching messages, including wildcards', () => {
+  const seen = [];
+  bus.on('cart:add', payload => seen.push(['exact', payload]));
+  bus.on('cart:*', (payload, topic) => seen.push(['wildcard', topic]));
+  bus.emit('cart:add', 1);
+  bus.emit('cart:remove', 2);
+  bus.emit('user:login', 3);
+  assert.deepEqual(seen, [['exact', 1], ['wildcard', 'cart:add'], ['wildcard', 'cart:remove']]);
+});
+
+test('topics are matched literally apart from the wildcard', () => {
+  const seen = [];
+  bus.on('a.b', payload => seen.push(payload));
+  bus.emit('aXb', 1);
+  bus.emit('a.b', 2);
+  assert.deepEqual(seen, [2]);
+});
+
+test('unsubscribe functions, once and off remove subscriptions', () => {
+  let count = 0;
+  const handler = () => count++;
+  const unsubscribe = bus.on('x', handler);
+  bus.once('x', handler);
+  bus.emit('x');
+  bus.emit('x');
+  assert.equal(count, 3);
+  unsubscribe();
+  bus.emit('x');
+  assert.equal(count, 3);
+
+  bus.on('y', handler);
+  bus.on('z', handler);
+  bus.off('y');
+  bus.emit('y');
+  bus.emit('z');
+  assert.equal(count, 4);
+});
+
+test('a throwing handler does not stop the other subscribers', () => {
+  const reported = [];
+  const seen = [];
+  const { setTimeout } = globalThis;
+  globalThis.setTimeout = callback => reported.push(callback);
+  try {
+    bus.on('x', () => {
+      throw new Error('boom');
+    });
+    bus.on('x', payload => seen.push(payload));
+    bus.emit('x', 1);
+  } finally {
+    globalThis.setTimeout = setTimeout;
+  }
+  assert.deepEqual(seen, [1]);
+  assert.equal(reported.length, 1);
+  assert.throws(reported[0], { message: 'boom' });
+});
+
+test('waitFor resolves with the next accepted payload or rejects after the timeout', async () => {
+  const next = bus.waitFor('auth:login', { filter: user => user.admin });
+  bus.emit('auth:login', { admin: false });
+  bus.emit('auth:login', { admin: true });
+  assert.deepEqual(await next, { admin: true });
+  assert.equal(bus.subscriptions.length, 0);
+
+  await assert.rejects(bus.waitFor('never', { timeout: 5 }), /timed out/);
+  assert.equal(bus.subscriptions.length, 0);
+});
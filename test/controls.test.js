@@ -0,0 +1,126 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/index.js';
+
+const k = window.k;
+
+let video;
+let buffered;
+
+// jsdom does not play media: playback state is kept on the element and driven by the tests
+function fakeMedia(el) {
+  const state = { currentTime: 0, duration: 100, paused: true };
+  ['currentTime', 'duration', 'paused'].forEach(name => Object.defineProperty(el, name, {
+    configurable: true,
+    get: () => state[name],
+    set: value => {
+      state[name] = value;
+    }
+  }));
+  Object.defineProperty(el, 'buffered', {
+    get: () => ({ length: buffered.length, start: i => buffered[i][0], end: i => buffered[i][1] })
+  });
+  el.play = () => {
+    state.paused = false;
+    el.dispatchEvent(new Event('play'));
+    return Promise.resolve();
+  };
+  el.pause = () => {
+    state.paused = true;
+    el.dispatchEvent(new Event('pause'));
+  };
+  return el;
+}
+
+const press = (target, key) => target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+const bar = () => video.parentNode;
+const part = name => bar().querySelector(`.k-media-${name}`);
+
+beforeEach(() => {
+  buffered = [];
+  document.body.innerHTML = '<main><video controls></video></main>';
+  video = fakeMedia(document.querySelector('video'));
+});
+
+test('the element is wrapped with an accessible control bar', () => {
+  k(video).kMediaControls({ autoHide: 0 });
+  assert.equal(bar().className, 'k-media k-media-video');
+  assert.equal(bar().parentNode, document.querySelector('main'));
+  assert.equal(video.controls, false);
+  assert.equal(bar().querySelector('.k-media-controls').getAttribute('role'), 'group');
+  assert.equal(part('play').getAttribute('aria-label'), 'Play');
+  assert.equal(part('time').textContent, '0:00 / 1:40');
+  assert.ok(document.querySelector('style[data-kanime-media]'));
+
+  part('play').click();
+  assert.equal(video.paused, false);
+  assert.equal(part('play').getAttribute('aria-label'), 'Pause');
+});
+
+test('detached elements are wrapped too', () => {
+  const detached = fakeMedia(document.createElement('audio'));
+  k(detached).kMediaControls({ controls: ['play', 'time'] });
+  assert.equal(detached.parentNode.className, 'k-media k-media-audio');
+  assert.equal(detached.parentNode.parentNode, null);
+  assert.equal(detached.parentNode.querySelectorAll('button').length, 1);
+});
+
+test('keyboard shortcuts drive the player, but not from form fields', () => {
+  k(video).kMediaControls({ autoHide: 0 });
+  const wrapper = bar();
+  press(wrapper, 'k');
+  assert.equal(video.paused, false);
+  press(wrapper, 'ArrowRight');
+  assert.equal(video.currentTime, 5);
+  press(wrapper, '5');
+  assert.equal(video.currentTime, 50);
+  press(wrapper, 'm');
+  assert.equal(video.muted, true);
+
+  ['k', 'm', 'f', ' ', 'ArrowLeft', '0'].forEach(key => {
+    assert.equal(press(part('speed'), key), true, `${key} is left to the field`);
+    assert.equal(press(part('volume'), key), true, `${key} is left to the field`);
+  });
+  assert.equal(video.paused, false);
+  assert.equal(video.muted, true);
+  assert.equal(video.currentTime, 50);
+});
+
+test('the speed menu sets the playback rate', () => {
+  k(video).kMediaControls({ speeds: [1, 2] });
+  part('speed').value = '2';
+  part('speed').dispatchEvent(new Event('change'));
+  assert.equal(video.playbackRate, 2);
+});
+
+test('buffered ranges are redrawn only when they change', () => {
+  k(video).kMediaControls();
+  buffered = [[0, 25]];
+  video.dispatchEvent(new Event('progress'));
+  const [span] = bar().querySelectorAll('.k-media-buffered span');
+  assert.equal(span.style.width, '25%');
+
+  video.currentTime = 10;
+  video.dispatchEvent(new Event('timeupdate'));
+  assert.equal(bar().querySelector('.k-media-buffered span'), span);
+
+  buffered = [[0, 25], [50, 60]];
+  video.dispatchEvent(new Event('progress'));
+  const spans = bar().querySelectorAll('.k-media-buffered span');
+  assert.equal(spans.length, 2);
+  assert.deepEqual([spans[1].style.left, spans[1].style.width], ['50%', '10%']);
+});
+
+test('kRemoveAllListeners keeps the bar working, kMediaControls(false) restores the element', () => {
+  k(video).kMediaControls({ autoHide: 0 });
+  k(video).kRemoveAllListeners();
+  press(bar(), 'k');
+  assert.equal(part('play').getAttribute('aria-label'), 'Pause');
+
+  k(video).kMediaControls(false);
+  assert.equal(video.parentNode, document.querySelector('main'));
+  assert.equal(video.controls, true);
+  assert.equal(document.querySelector('.k-media'), null);
+  assert.throws(() => k('main').kMediaControls(), /kMediaControls can only be used on <video> or <audio> elements/);
+});
@@ -0,0 +1,61 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import KAnime from '../src/index.js';
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-3, `${actual} is not close to ${expected}`);
+
+test('cubic-bezier follows the curve and keeps its end points', () => {
+  const ease = KAnime.kEasing('cubic-bezier(0.42, 0, 0.58, 1)');
+  assert.equal(ease(0), 0);
+  assert.equal(ease(1), 1);
+  near(ease(0.5), 0.5);
+  assert.ok(ease(0.25) < 0.25);
+  assert.ok(ease(0.75) > 0.75);
+  near(KAnime.kEasing('cubic-bezier(0, 0, 1, 1)')(0.3), 0.3);
+});
+
+test('steps jump at the start or the end of each interval', () => {
+  const end = KAnime.kEasing('steps(4)');
+  const start = KAnime.kEasing('steps(4, start)');
+  assert.deepEqual([0, 0.2, 0.5, 0.99, 1].map(end), [0, 0, 0.5, 0.75, 1]);
+  assert.deepEqual([0, 0.2, 0.5, 0.99, 1].map(start), [0.25, 0.25, 0.5, 1, 1]);
+});
+
+test('springs settle on 1, carry their duration and are cached by their parameters', () => {
+  const spring = KAnime.kEasing('spring(1, 100, 10)');
+  assert.equal(spring(0), 0);
+  assert.equal(spring(1), 1);
+  assert.ok(spring.duration > 0 && spring.duration < 10000);
+  assert.ok(Math.max(...Array.from({ length: 50 }, (_, i) => spring(i / 50))) > 1, 'an underdamped spring overshoots');
+  assert.equal(KAnime.kEasing('spring(1, 100, 10)'), spring);
+  assert.notEqual(KAnime.kEasing('spring(1, 200, 10)'), spring);
+});
+
+test('a spring easing sets the animation duration', () => {
+  document.body.innerHTML = '<div style="left: 0px"></div>';
+  const spring = KAnime.kEasing('spring(1, 100, 10)');
+  const { animations } = window.k('div').kanime({ left: '10px' }, 100, 'spring(1, 100, 10)').kStop().kAnimation;
+  assert.equal(animations[0].duration, spring.duration);
+});
+
+test('kEasing registers named easings usable by animations', () => {
+  KAnime.kEasing('half', t => t / 2);
+  KAnime.kEasing('brand', 'cubic-bezier(0.2, 0.8, 0.2, 1)');
+  assert.equal(KAnime.kEasing('half')(1), 0.5);
+  assert.equal(typeof KAnime.kEasing('brand'), 'function');
+  assert.throws(() => KAnime.kEasing('bad', 42), /expects a function/);
+
+  document.body.innerHTML = '<div style="left: 0px"></div>';
+  const { kAnimation } = window.k('div').kanime({ left: '100px' }, 10000, 'half');
+  kAnimation.pause().seek(0.5);
+  assert.equal(document.querySelector('div').style.left, '25px');
+  kAnimation.cancel();
+});
+
+test('unknown easing names throw', () => {
+  assert.throws(() => KAnime.kEasing('wobble'), /Unknown easing "wobble"/);
+  assert.throws(() => KAnime.kEasing('constructor'), /Unknown easing "constructor"/);
+  document.body.innerHTML = '<div style="left: 0px"></div>';
+  assert.throws(() => window.k('div').kanime({ left: '10px' }, 100, 'cubic'), /Unknown easing "cubic"/);
+});
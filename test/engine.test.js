@@ -0,0 +1,120 @@
+import './setup.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KAnime from '../src/index.js';
+
+const k = window.k;
+const defaults = KAnime.kConfig();
+
+let box;
+let animations;
+
+// Minimal Web Animations API: records the keyframes and lets tests finish the animation
+function installAnimate(el) {
+  el.animate = (keyframes, options) => {
+    const animation = {
+      keyframes,
+      options,
+      currentTime: 0,
+      playbackRate: 1,
+      cancelled: false,
+      onfinish: null,
+      play() {},
+      pause() {},
+      cancel() {
+        this.cancelled = true;
+      },
+      end() {
+        this.onfinish();
+      }
+    };
+    animations.push(animation);
+    return animation;
+  };
+}
+
+beforeEach(() => {
+  animations = [];
+  document.body.innerHTML = '<div id="box" style="left: 0px; opacity: 1"></div>';
+  box = document.getElementById('box');
+  installAnimate(box);
+});
+
+afterEach(() => {
+  KAnime.kConfig(defaults);
+});
+
+test('compositor-friendly properties run through the Web Animations API', async () => {
+  const { kAnimation } = k(box).kanime({ opacity: 0 }, { duration: 200, delay: 50 });
+  assert.equal(animations.length, 1);
+  const [native] = animations;
+  assert.deepEqual(native.options, { duration: 200, delay: 50, easing: 'linear', fill: 'both' });
+  assert.deepEqual(native.keyframes.map(frame => [frame.offset, frame.opacity]), [[0, '1'], [1, '0']]);
+
+  native.end();
+  await kAnimation.finished;
+  assert.equal(box.style.opacity, '0');
+  assert.ok(native.cancelled, 'the fill is dropped once the end values are inline');
+});
+
+test('easings are sampled into the keyframes', () => {
+  k(box).kanime({ opacity: 0 }, 160, 'ease-in').kStop();
+  const { keyframes } = animations[0];
+  assert.equal(keyframes.length, 11);
+  assert.equal(keyframes[5].opacity, '0.75');
+});
+
+test('transform function keyframes keep the element\'s own transform', () => {
+  box.style.transform = 'rotate(45deg)';
+  k(box).kanime({ translateX: '100px' }, 100).kStop();
+  const { keyframes } = animations[0];
+  assert.equal(keyframes[0].transform, 'rotate(45deg) translateX(0px)');
+  assert.equal(keyframes[keyframes.length - 1].transform, 'rotate(45deg) translateX(100px)');
+});
+
+test('other properties, custom properties and engine: raf use requestAnimationFrame', () => {
+  k(box).kanime({ left: '10px' }, 100).kStop();
+  k(box).kanime({ '--progress': '1' }, 100).kStop();
+  KAnime.kConfig({ engine: 'raf' });
+  k(box).kanime({ opacity: 0 }, 100).kStop();
+  assert.equal(animations.length, 0);
+
+  KAnime.kConfig({ engine: 'waapi' });
+  k(box).kanime({ left: '10px' }, 100).kStop();
+  assert.equal(animations.length, 1);
+});
+
+test('cancelling a native animation keeps its current values', async () => {
+  const { kAnimation } = k(box).kanime({ opacity: 0 }, 100);
+  animations[0].currentTime = 50;
+  kAnimation.cancel();
+  await assert.rejects(kAnimation.finished, { name: 'AbortError' });
+  assert.equal(box.style.opacity, '0.5');
+  assert.ok(animations[0].cancelled);
+});
+
+test('reduced motion makes animations jump to their end state', async () => {
+  KAnime.kConfig({ reducedMotion: 'always', engine: 'raf' });
+  const { kAnimation } = k(box).kanime({ left: '100px' }, { duration: 5000, delay: 5000 });
+  await kAnimation.finished;
+  assert.equal(box.style.left, '100px');
+
+  KAnime.kConfig({ reducedDuration: 150 });
+  const [animation] = k(box).kanime({ left: '0px' }, 5000).kStop().kAnimation.animations;
+  assert.equal(animation.duration, 150);
+});
+
+test('reduced motion plays timelines once and quickly', async () => {
+  KAnime.kConfig({ reducedMotion: 'always' });
+  const tl = KAnime.kTimeline({ loop: true }).add('#box', { left: '100px' }, 60000).play();
+  await tl.finished;
+  assert.equal(box.style.left, '100px');
+  assert.equal(tl.iteration, 1);
+});
+
+test('kConfig validates the engine and reducedMotion values', () => {
+  assert.throws(() => KAnime.kConfig({ engine: 'css' }), /Invalid engine/);
+  assert.throws(() => KAnime.kConfig({ reducedMotion: 'sometimes' }), /Invalid reducedMotion/);
+  assert.equal(KAnime.kConfig({ reducedMotion: 'never' }), KAnime);
+  assert.equal(KAnime.kConfig().reducedMotion, 'never');
+});
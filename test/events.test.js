@@ -0,0 +1,148 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/index.js';
+
+const k = window.k;
+
+function fire(el, type) {
+  el.dispatchEvent(new Event(type, { bubbles: true }));
+}
+
+beforeEach(() => {
+  document.body.innerHTML = '<div id="box"><button class="a">A</button><span>S</span></div>';
+});
+
+test('kRemoveListener removes a direct listener by its handler', () => {
+  const box = document.getElementById('box');
+  let count = 0;
+  const handler = () => count++;
+  k(box).kListen('click', handler);
+  fire(box, 'click');
+  k(box).kRemoveListener('click', handler);
+  fire(box, 'click');
+  assert.equal(count, 1);
+});
+
+test('namespaces remove only the listeners they tag', () => {
+  const box = document.getElementById('box');
+  const calls = [];
+  k(box).kListen('click.menu keydown.menu', e => calls.push(`menu:${e.type}`));
+  k(box).kListen('click', () => calls.push('plain'));
+  k(box).kRemoveListener('.menu');
+  fire(box, 'click');
+  fire(box, 'keydown');
+  assert.deepEqual(calls, ['plain']);
+});
+
+test('delegated listeners run for matching descendants with the match as this', () => {
+  const box = document.getElementById('box');
+  const seen = [];
+  const handler = function () {
+    seen.push(this.tagName);
+  };
+  k(box).kListen('click', 'button', handler);
+  fire(box.querySelector('span'), 'click');
+  fire(box.querySelector('button'), 'click');
+  assert.deepEqual(seen, ['BUTTON']);
+
+  k(box).kRemoveListener('click', 'button', handler);
+  fire(box.querySelector('button'), 'click');
+  assert.deepEqual(seen, ['BUTTON']);
+});
+
+test('kRemoveAllListeners removes every listener added through KAnime', () => {
+  const box = document.getElementById('box');
+  let count = 0;
+  k(box).kListen('click', () => count++).kOnce('keydown', () => count++).kHover(() => count++, () => count++);
+  k(box).kRemoveAllListeners();
+  ['click', 'keydown', 'mouseenter', 'mouseleave'].forEach(type => fire(box, type));
+  assert.equal(count, 0);
+});
+
+test('kRemove releases the listeners of removed elements', () => {
+  const box = document.getElementById('box');
+  const button = box.querySelector('button');
+  let count = 0;
+  k(button).kListen('click', () => count++);
+  k(box).kRemove();
+  fire(button, 'click');
+  assert.equal(count, 0);
+});
+
+test('kOnce runs its handler a single time', () => {
+  const box = document.getElementById('box');
+  let count = 0;
+  k(box).kOnce('click', () => count++);
+  fire(box, 'click');
+  fire(box, 'click');
+  assert.equal(count, 1);
+});
+
+test('debounce waits for a pause and throttle limits the call rate', async () => {
+  const box = document.getElementById('box');
+  let debounced = 0;
+  let throttled = 0;
+  k(box).kListen('input', () => debounced++, { debounce: 20 });
+  k(box).kListen('input', () => throttled++, { throttle: 1000 });
+  fire(box, 'input');
+  fire(box, 'input');
+  fire(box, 'input');
+  assert.equal(debounced, 0);
+  assert.equal(throttled, 1);
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(debounced, 1);
+  k(box).kRemoveAllListeners();
+});
+
+test('removing a listener cancels its pending debounced call', async () => {
+  const box = document.getElementById('box');
+  let count = 0;
+  const handler = () => count++;
+  k(box).kListen('input', handler, { debounce: 10 });
+  fire(box, 'input');
+  k(box).kRemoveListener('input', handler);
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(count, 0);
+});
+
+test('capture listeners run before bubbling ones', () => {
+  const box = document.getElementById('box');
+  const order = [];
+  k(box).kListen('click', () => order.push('bubble'));
+  k(box).kListen('click', () => order.push('capture'), { capture: true });
+  fire(box.querySelector('span'), 'click');
+  assert.deepEqual(order, ['capture', 'bubble']);
+});
+
+test('an aborted signal removes the listener', () => {
+  const box = document.getElementById('box');
+  const controller = new AbortController();
+  let count = 0;
+  k(box).kListen('click', () => count++, { signal: controller.signal });
+  fire(box, 'click');
+  controller.abort();
+  fire(box, 'click');
+  assert.equal(count, 1);
+
+  k(box).kListen('click', () => count++, { signal: controller.signal });
+  fire(box, 'click');
+  assert.equal(count, 1);
+});
+
+test('removing a listener detaches it from its signal', () => {
+  const box = document.getElementById('box');
+  const controller = new AbortController();
+  const removed = [];
+  const remove = controller.signal.removeEventListener;
+  controller.signal.removeEventListener = function (type, listener) {
+    removed.push(type);
+    return remove.apply(this, arguments);
+  };
+  const handler = () => {};
+  k(box).kListen('click', handler, { signal: controller.signal });
+  k(box).kOnce('keydown', handler, { signal: controller.signal });
+  k(box).kRemoveListener('click', handler);
+  fire(box, 'keydown');
+  assert.deepEqual(removed, ['abort', 'abort']);
+});
@@ -0,0 +1,127 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/index.js';
+
+const k = window.k;
+
+let form;
+
+beforeEach(() => {
+  document.body.innerHTML = `
+    <form id="profile">
+      <input name="user[name]" value="Ana">
+      <input name="user.age" data-type="number" value="31">
+      <input name="user[address][city]" value="Porto">
+      <input type="checkbox" name="roles" value="admin" checked>
+      <input type="checkbox" name="roles" value="editor">
+      <input type="checkbox" name="newsletter" data-type="boolean">
+      <input type="radio" name="plan" value="free">
+      <input type="radio" name="plan" value="pro" checked>
+      <select name="tags[]" multiple>
+        <option value="js" selected>JS</option>
+        <option value="css">CSS</option>
+        <option value="html" selected>HTML</option>
+      </select>
+      <input name="items[0][sku]" value="a1">
+      <input name="items[1][sku]" value="b2">
+      <input name="born" type="date" data-type="date" value="1990-05-01">
+      <input name="meta" data-type="json" value='{"theme":"dark"}'>
+      <input name="avatar" type="file">
+      <input name="disabled" value="x" disabled>
+      <button name="send" value="1">Send</button>
+    </form>`;
+  form = document.getElementById('profile');
+});
+
+test('kFormObject builds nested objects and arrays with coerced values', () => {
+  assert.deepEqual(k(form).kFormObject(), {
+    user: { name: 'Ana', age: 31, address: { city: 'Porto' } },
+    roles: ['admin'],
+    newsletter: false,
+    plan: 'pro',
+    tags: ['js', 'html'],
+    items: [{ sku: 'a1' }, { sku: 'b2' }],
+    born: new Date(1990, 4, 1),
+    meta: { theme: 'dark' },
+    avatar: null
+  });
+});
+
+test('files are serialized as File objects, or as their names in kFormData', () => {
+  const file = new File(['hi'], 'me.png', { type: 'image/png' });
+  Object.defineProperty(form.elements.avatar, 'files', { value: [file] });
+  assert.equal(k(form).kFormObject().avatar, file);
+  assert.deepEqual(k(form).kFormArray().find(entry => entry.name === 'avatar'), { name: 'avatar', value: file });
+  assert.match(k(form).kFormData(), /&avatar=me.png/);
+});
+
+test('kFormData and kFormArray keep every checked value and selected option', () => {
+  form.elements.roles[1].checked = true;
+  const entries = k(form).kFormArray().filter(entry => ['roles', 'tags[]'].includes(entry.name));
+  assert.deepEqual(entries.map(entry => entry.value), ['admin', 'editor', 'js', 'html']);
+  assert.match(k(form).kFormData(), /^user%5Bname%5D=Ana&user.age=31&.*roles=admin&roles=editor&plan=pro&tags%5B%5D=js&tags%5B%5D=html/);
+  assert.doesNotMatch(k(form).kFormData(), /disabled|send/);
+});
+
+test('repeated names and [] suffixes collect arrays', () => {
+  document.body.innerHTML = `
+    <form id="list">
+      <input name="tag" value="a"><input name="tag" value="b">
+      <input name="ids[]" value="1" data-type="number">
+      <input name="rows[][name]" value="x"><input name="rows[][qty]" value="1">
+      <input name="rows[][name]" value="y"><input name="rows[][qty]" value="2">
+      <input type="checkbox" name="empty[]" value="z">
+    </form>`;
+  assert.deepEqual(k('#list').kFormObject(), {
+    tag: ['a', 'b'],
+    ids: [1],
+    rows: [{ name: 'x', qty: '1' }, { name: 'y', qty: '2' }],
+    empty: []
+  });
+});
+
+test('invalid JSON fields throw with the field name', () => {
+  form.elements.meta.value = '{oops';
+  assert.throws(() => k(form).kFormObject(), /Invalid JSON in the "meta" field/);
+  assert.throws(() => k('input').kFormObject(), /kFormObject can only be used on form elements/);
+});
+
+test('kFillForm populates every control type and round-trips kFormObject', () => {
+  const data = k(form).kFormObject();
+  form.reset();
+  form.elements['user[name]'].value = '';
+  k(form).kFillForm({
+    user: { name: 'Eva', address: { city: 'Lisboa' } },
+    roles: ['editor'],
+    newsletter: true,
+    plan: 'free',
+    tags: ['css'],
+    born: new Date(2001, 11, 24),
+    meta: { theme: 'light' }
+  });
+  assert.deepEqual(k(form).kFormObject(), {
+    ...data,
+    user: { name: 'Eva', age: 31, address: { city: 'Lisboa' } },
+    roles: ['editor'],
+    newsletter: true,
+    plan: 'free',
+    tags: ['css'],
+    born: new Date(2001, 11, 24),
+    meta: { theme: 'light' }
+  });
+  assert.equal(form.elements.born.value, '2001-12-24', 'dates are written in local time');
+
+  k(form).kFillForm(data);
+  assert.deepEqual(k(form).kFormObject(), data);
+});
+
+test('kFillForm with dispatch fires input and change on the filled controls', () => {
+  const events = [];
+  form.addEventListener('input', e => events.push(`input:${e.target.name}`));
+  form.addEventListener('change', e => events.push(`change:${e.target.name}`));
+  k(form).kFillForm({ user: { name: 'Rui' } });
+  assert.deepEqual(events, []);
+  k(form).kFillForm({ user: { name: 'Rui' } }, { dispatch: true });
+  assert.deepEqual(events, ['input:user[name]', 'change:user[name]']);
+});
@@ -0,0 +1,143 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KAnime from '../src/index.js';
+
+const calls = [];
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// Replaces fetch with `handler(url, init, attempt)` and records every call
+function stubFetch(handler) {
+  window.fetch = (url, init) => {
+    calls.push({ url, init });
+    return Promise.resolve().then(() => handler(url, init, calls.length));
+  };
+}
+
+// A fetch that only settles when its signal aborts
+function hang(url, init) {
+  return new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  });
+}
+
+beforeEach(() => {
+  calls.length = 0;
+  KAnime.kHttp.interceptors.request.clear();
+  KAnime.kHttp.interceptors.response.clear();
+  document.body.innerHTML = '';
+});
+
+test('kFetch resolves with the parsed JSON body and appends params', async () => {
+  stubFetch(() => json({ ok: 1 }));
+  const data = await KAnime.kFetch('/api/users', { params: { page: 2, tag: ['a', 'b'] } });
+  assert.deepEqual(data, { ok: 1 });
+  assert.equal(calls[0].url, '/api/users?page=2&tag=a&tag=b');
+  assert.equal(calls[0].init.method, 'GET');
+});
+
+test('post serializes objects as JSON', async () => {
+  stubFetch(() => json(null, 201));
+  await KAnime.kHttp.post('/api/users', { name: 'Ana' });
+  assert.equal(calls[0].init.method, 'POST');
+  assert.equal(calls[0].init.body, '{"name":"Ana"}');
+  assert.equal(calls[0].init.headers['Content-Type'], 'application/json');
+});
+
+test('non-2xx responses reject with an HttpError carrying the status and data', async () => {
+  stubFetch(() => json({ message: 'Invalid' }, 422));
+  await assert.rejects(KAnime.kFetch('/api'), error => {
+    assert.ok(error instanceof KAnime.HttpError);
+    assert.equal(error.status, 422);
+    assert.deepEqual(error.data, { message: 'Invalid' });
+    return true;
+  });
+});
+
+test('fullResponse resolves with the response object', async () => {
+  stubFetch(() => json([1], 200));
+  const result = await KAnime.kFetch('/api', { fullResponse: true });
+  assert.equal(result.status, 200);
+  assert.deepEqual(result.data, [1]);
+});
+
+test('request interceptors can change the config', async () => {
+  stubFetch(() => json({}));
+  KAnime.kHttp.interceptors.request.use(config => {
+    config.headers['X-Token'] = 'abc';
+    return config;
+  });
+  await KAnime.kFetch('/api');
+  assert.equal(calls[0].init.headers['X-Token'], 'abc');
+});
+
+test('a response interceptor that unwraps the response resolves with its value', async () => {
+  stubFetch(() => json({ data: [1, 2], total: 2 }));
+  KAnime.kHttp.interceptors.response.use(response => response.data);
+  assert.deepEqual(await KAnime.kFetch('/api'), { data: [1, 2], total: 2 });
+});
+
+test('a response interceptor returning a copy of the response is still unwrapped', async () => {
+  stubFetch(() => json({ id: 1 }));
+  KAnime.kHttp.interceptors.response.use(response => ({ ...response, data: { ...response.data, seen: true } }));
+  assert.deepEqual(await KAnime.kFetch('/api'), { id: 1, seen: true });
+});
+
+test('retries 5xx responses but not 4xx ones', async () => {
+  stubFetch((url, init, attempt) => (attempt < 3 ? json({}, 503) : json({ ok: true })));
+  assert.deepEqual(await KAnime.kFetch('/api', { retry: 2, retryDelay: 0 }), { ok: true });
+  assert.equal(calls.length, 3);
+
+  calls.length = 0;
+  stubFetch(() => json({}, 404));
+  await assert.rejects(KAnime.kFetch('/api', { retry: 2, retryDelay: 0 }), { status: 404 });
+  assert.equal(calls.length, 1);
+});
+
+test('timeouts reject with status 0 and are retried', async () => {
+  stubFetch((url, init, attempt) => (attempt < 2 ? hang(url, init) : json({ ok: true })));
+  assert.deepEqual(await KAnime.kFetch('/api', { timeout: 5, retry: 1, retryDelay: 0 }), { ok: true });
+  assert.equal(calls.length, 2);
+
+  calls.length = 0;
+  stubFetch(hang);
+  await assert.rejects(KAnime.kFetch('/api', { timeout: 5 }), { message: 'Request timed out', status: 0 });
+});
+
+test('aborting through the signal rejects without retrying', async () => {
+  stubFetch(hang);
+  const controller = new AbortController();
+  const request = KAnime.kFetch('/api', { signal: controller.signal, retry: 3, retryDelay: 0 });
+  setTimeout(() => controller.abort());
+  await assert.rejects(request, { message: 'Request aborted' });
+  assert.equal(calls.length, 1);
+});
+
+test('create() returns a client with its own defaults and interceptors', async () => {
+  stubFetch(() => json({}));
+  const api = KAnime.kHttp.create({ baseURL: 'https://example.com/api/', headers: { 'X-App': '1' } });
+  api.interceptors.request.use(config => {
+    config.headers['X-Own'] = '1';
+  });
+  await api.get('/users');
+  await KAnime.kFetch('/plain');
+  assert.equal(calls[0].url, 'https://example.com/api/users');
+  assert.equal(calls[0].init.headers['X-Own'], '1');
+  assert.equal(calls[1].init.headers['X-Own'], undefined);
+});
+
+test('kSubmitForm posts the form fields to its action through the shared client', async () => {
+  stubFetch(() => json({ saved: true }));
+  document.body.innerHTML = '<form action="/save"><input name="title" value="Hi"></form>';
+  KAnime.kHttp.interceptors.request.use(config => {
+    config.headers['X-CSRF'] = 't';
+    return config;
+  });
+  assert.deepEqual(await window.k('form').kSubmitForm(), { saved: true });
+  assert.equal(calls[0].url, 'http://localhost/save');
+  assert.equal(calls[0].init.body.get('title'), 'Hi');
+  assert.equal(calls[0].init.headers['X-CSRF'], 't');
+});
@@ -0,0 +1,124 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KAnime from '../src/index.js';
+
+const k = window.k;
+
+let video;
+let blocked;
+
+// jsdom does not play media: playback state is kept on the element and driven by the tests
+function fakeMedia(el) {
+  const state = { currentTime: 0, duration: 60, paused: true };
+  ['currentTime', 'duration', 'paused'].forEach(name => Object.defineProperty(el, name, {
+    configurable: true,
+    get: () => state[name],
+    set: value => {
+      state[name] = value;
+    }
+  }));
+  el.play = () => {
+    if (blocked) {
+      return Promise.reject(new DOMException('play() needs a user gesture', 'NotAllowedError'));
+    }
+    state.paused = false;
+    return Promise.resolve();
+  };
+  el.pause = () => {
+    state.paused = true;
+  };
+  return el;
+}
+
+const timeupdate = time => {
+  video.currentTime = time;
+  video.dispatchEvent(new Event('timeupdate'));
+};
+
+beforeEach(() => {
+  blocked = false;
+  document.body.innerHTML = '<video></video><p id="caption"></p>';
+  video = fakeMedia(document.querySelector('video'));
+});
+
+test('kPlayMedia and kToggleMedia chain and expose their playback as kPlayback', async () => {
+  const media = k(video).kPlayMedia();
+  assert.ok(media instanceof KAnime);
+  assert.equal(await media.kPlayback, media);
+  assert.equal(video.paused, false);
+
+  assert.equal(k(video).kToggleMedia().kSetVolume(0.5).kPlayback instanceof Promise, true);
+  assert.equal(video.paused, true);
+  assert.equal(video.volume, 0.5);
+  await k(video).kToggleMedia().kPlayback;
+  assert.equal(video.paused, false);
+});
+
+test('blocked playback rejects kPlayback with an AutoplayError', async () => {
+  blocked = true;
+  const { kPlayback } = k(video).kPlayMedia();
+  await assert.rejects(kPlayback, error => error instanceof KAnime.AutoplayError && error.element === video);
+  await assert.rejects(k(video).kToggleMedia().kPlayback, KAnime.AutoplayError);
+  // Left unread: no unhandled rejection
+  k(video).kPlayMedia();
+  await new Promise(resolve => setTimeout(resolve));
+});
+
+test('media methods throw right away on other elements unless strictMedia is off', () => {
+  ['kPlayMedia', 'kToggleMedia', 'kPauseMedia'].forEach(method => {
+    assert.throws(() => k('video, #caption')[method](), new RegExp(`${method} can only be used on <video> or <audio> elements`));
+  });
+  KAnime.kConfig({ strictMedia: false });
+  try {
+    assert.equal(k('video, #caption').kPlayMedia().kSeekMedia(10).kGetMediaTime(), 10);
+  } finally {
+    KAnime.kConfig({ strictMedia: true });
+  }
+});
+
+test('seeking and the playback rate are clamped', () => {
+  k(video).kSeekMedia(90);
+  assert.equal(k(video).kGetMediaTime(), 60);
+  k(video).kSeekMedia(-5);
+  assert.equal(k(video).kGetMediaTime(), 0);
+
+  assert.equal(k(video).kPlaybackRate(32).kPlaybackRate(), 16);
+  assert.equal(k(video).kPlaybackRate('0.5').kPlaybackRate(), 0.5);
+  assert.throws(() => k(video).kPlaybackRate(0), /kPlaybackRate needs a positive number/);
+  assert.equal(k([]).kPlaybackRate(), 1);
+});
+
+test('kLoopSection jumps back to the start and survives kRemoveAllListeners', () => {
+  k(video).kLoopSection(10, 20);
+  assert.equal(video.currentTime, 10, 'playback moves into the section');
+  k(video).kRemoveAllListeners();
+  timeupdate(15);
+  assert.equal(video.currentTime, 15);
+  timeupdate(20);
+  assert.equal(video.currentTime, 10);
+
+  k(video).kLoopSection(null);
+  timeupdate(30);
+  assert.equal(video.currentTime, 30);
+  assert.throws(() => k(video).kLoopSection(20, 10), /kLoopSection needs an end time after the start time/);
+});
+
+test('kOnMediaTime fires when playback passes a time, not when seeking past it', () => {
+  const fired = [];
+  k(video).kOnMediaTime(30, el => fired.push(el.currentTime));
+  timeupdate(29.8);
+  timeupdate(30.1);
+  timeupdate(10);
+  timeupdate(45);
+  assert.deepEqual(fired, [30.1]);
+});
+
+test('kFadeVolume eases to the target and a new fade replaces the running one', async () => {
+  video.volume = 1;
+  const first = k(video).kFadeVolume(0, 1000);
+  const second = k(video).kFadeVolume(0.2, 30);
+  await first;
+  assert.equal(await second instanceof KAnime, true);
+  assert.ok(Math.abs(video.volume - 0.2) < 1e-9);
+});
@@ -0,0 +1,139 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/index.js';
+
+const k = window.k;
+
+let audio;
+let plays;
+
+// jsdom does not play media: playback state is kept on the element and driven by the tests
+function fakeMedia(el) {
+  const state = { currentTime: 0, duration: 120, paused: true, ended: false };
+  ['currentTime', 'duration', 'paused', 'ended'].forEach(name => Object.defineProperty(el, name, {
+    configurable: true,
+    get: () => state[name],
+    set: value => {
+      state[name] = value;
+    }
+  }));
+  el.load = () => Object.assign(state, { currentTime: 0, paused: true, ended: false });
+  el.play = () => {
+    plays.push(el.getAttribute('src'));
+    state.paused = false;
+    return Promise.resolve();
+  };
+  el.pause = () => {
+    state.paused = true;
+    el.dispatchEvent(new Event('pause'));
+  };
+  return el;
+}
+
+const end = () => {
+  audio.ended = true;
+  audio.dispatchEvent(new Event('ended'));
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  plays = [];
+  document.body.innerHTML = '<audio id="podcast"></audio>';
+  audio = fakeMedia(document.getElementById('podcast'));
+});
+
+test('the first track is loaded and tracks advance on ended', () => {
+  const changes = [];
+  audio.addEventListener('trackchange', e => changes.push([e.detail.index, e.detail.track.title, e.detail.previous]));
+  k(audio).kPlaylist(['/a.mp3', { src: '/b.mp3', title: 'B' }]);
+  assert.equal(audio.getAttribute('src'), '/a.mp3');
+  assert.deepEqual(plays, [], 'no autoplay by default');
+  assert.deepEqual(k(audio).kGetTrack(), { index: 0, track: { src: '/a.mp3' } });
+
+  end();
+  assert.equal(audio.getAttribute('src'), '/b.mp3');
+  assert.deepEqual(plays, ['/b.mp3']);
+  assert.deepEqual(changes, [[0, undefined, null], [1, 'B', 0]]);
+});
+
+test('repeat off ends the playlist, all wraps around and one loops the track', () => {
+  let ended = 0;
+  audio.addEventListener('playlistend', () => ended++);
+  k(audio).kPlaylist(['/a.mp3', '/b.mp3'], { start: 1 });
+  end();
+  assert.equal(ended, 1);
+  assert.equal(audio.getAttribute('src'), '/b.mp3');
+  k(audio).kNextTrack();
+  assert.equal(audio.getAttribute('src'), '/b.mp3');
+
+  k(audio).kRepeat('all');
+  end();
+  assert.equal(audio.getAttribute('src'), '/a.mp3');
+  k(audio).kPrevTrack();
+  assert.equal(audio.getAttribute('src'), '/b.mp3');
+
+  k(audio).kRepeat('one');
+  assert.equal(audio.loop, true);
+  k(audio).kRepeat('off');
+  assert.equal(audio.loop, false);
+  assert.throws(() => k(audio).kRepeat('twice'), /Unknown repeat mode "twice"/);
+});
+
+test('kPrevTrack restarts a track played for more than 3 seconds', () => {
+  k(audio).kPlaylist(['/a.mp3', '/b.mp3'], { start: 1 });
+  audio.currentTime = 10;
+  k(audio).kPrevTrack();
+  assert.equal(audio.getAttribute('src'), '/b.mp3');
+  assert.equal(audio.currentTime, 0);
+  k(audio).kPrevTrack();
+  assert.equal(audio.getAttribute('src'), '/a.mp3');
+});
+
+test('shuffle keeps the current track and plays every other one once', () => {
+  const tracks = ['/a.mp3', '/b.mp3', '/c.mp3', '/d.mp3'];
+  k(audio).kPlaylist(tracks, { autoplay: true, start: 2, shuffle: true });
+  for (let i = 0; i < tracks.length; i++) {
+    end();
+  }
+  assert.equal(plays[0], '/c.mp3');
+  assert.deepEqual([...plays].sort(), tracks);
+});
+
+test('positions are remembered per track and restored once metadata is loaded', () => {
+  k(audio).kPlaylist(['/a.mp3', '/b.mp3'], { storageKey: 'podcast' });
+  audio.currentTime = 42;
+  audio.pause();
+  assert.deepEqual(JSON.parse(localStorage.getItem('podcast')), { '/a.mp3': 42 });
+
+  k(audio).kPlayTrack(1);
+  k(audio).kPlayTrack(0);
+  assert.equal(audio.currentTime, 0);
+  audio.dispatchEvent(new Event('loadedmetadata'));
+  assert.equal(audio.currentTime, 42);
+
+  // A new page: the position comes from localStorage, and is forgotten once the track ends
+  document.body.innerHTML = '<audio id="podcast"></audio>';
+  audio = fakeMedia(document.getElementById('podcast'));
+  k(audio).kPlaylist(['/a.mp3', '/b.mp3'], { storageKey: 'podcast' });
+  audio.dispatchEvent(new Event('loadedmetadata'));
+  assert.equal(audio.currentTime, 42);
+  end();
+  assert.deepEqual(JSON.parse(localStorage.getItem('podcast')), {});
+});
+
+test('kRemoveAllListeners keeps the playlist advancing', () => {
+  k(audio).kPlaylist(['/a.mp3', '/b.mp3']);
+  k(audio).kRemoveAllListeners();
+  end();
+  assert.equal(audio.getAttribute('src'), '/b.mp3');
+});
+
+test('a playlist needs media elements, tracks and a kPlaylist call first', () => {
+  assert.throws(() => k(document.body).kPlaylist(['/a.mp3']), /kPlaylist can only be used on <video> or <audio> elements/);
+  assert.throws(() => k(audio).kPlaylist([]), /kPlaylist needs at least one track/);
+  assert.throws(() => k(audio).kNextTrack(), /kNextTrack/);
+  assert.equal(k(audio).kGetTrack(), null);
+  k(audio).kPlaylist(['/a.mp3']);
+  assert.throws(() => k(audio).kPlayTrack(3), /Track 3 does not exist/);
+});
@@ -0,0 +1,130 @@
+import './setup.js';
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Left by a "previous visit" before the library loads (jsdom has no IndexedDB: localStorage is used)
+localStorage.setItem('kanime:queue', JSON.stringify([
+  { id: 'old', order: 1, createdAt: 1, url: '/old', options: { method: 'POST' }, body: null }
+]));
+let requests = [];
+window.fetch = (url, init) => {
+  requests.push(url);
+  return Promise.resolve(new Response('{}', { headers: { 'Content-Type': 'application/json' } }));
+};
+const { default: KAnime } = await import('../src/index.js');
+
+const k = window.k;
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+let online = true;
+Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => online });
+
+// Answers each request with `statuses[url]` (200 by default, 0 for a network error)
+function respond(statuses) {
+  window.fetch = (url, init) => {
+    requests.push(url);
+    const status = statuses[url] === undefined ? 200 : statuses[url];
+    if (status === 0) {
+      return Promise.reject(new TypeError('Failed to fetch'));
+    }
+    return Promise.resolve(new Response('{}', { status, headers: { 'Content-Type': 'application/json' } }));
+  };
+}
+
+let form;
+
+test('loading the library replays nothing and listens to nothing', async () => {
+  await tick(20);
+  assert.deepEqual(requests, []);
+  window.dispatchEvent(new Event('online'));
+  await tick(20);
+  assert.deepEqual(requests, []);
+  assert.deepEqual((await KAnime.kQueue.list()).map(entry => entry.id), ['old']);
+
+  assert.equal(await KAnime.kQueue.replay(), 1);
+  assert.deepEqual(requests, ['/old']);
+});
+
+describe('once the queue is used', () => {
+  beforeEach(async () => {
+    online = true;
+    requests = [];
+    respond({});
+    await KAnime.kQueue.clear();
+    document.body.innerHTML = '<form id="report" action="/reports"><input name="title" value="Leak"></form>';
+    form = document.getElementById('report');
+  });
+
+  test('offline submissions are queued and sent in order once back online', async () => {
+    const queued = [];
+    const replayed = [];
+    KAnime.kQueue.on('queued', entry => queued.push(entry.url));
+    KAnime.kQueue.on('replayed', ({ entry }) => replayed.push(entry.url));
+
+    online = false;
+    const first = await k(form).kSubmitForm({ queueOffline: true });
+    const second = await k(form).kSubmitForm({ url: '/notes', queueOffline: true, json: true });
+    assert.equal(first.queued, true);
+    assert.equal(second.entry.options.json.title, 'Leak');
+    assert.deepEqual(queued, ['http://localhost/reports', '/notes']);
+    assert.deepEqual(requests, []);
+
+    online = true;
+    window.dispatchEvent(new Event('online'));
+    await tick(20);
+    assert.deepEqual(requests, ['http://localhost/reports', '/notes']);
+    assert.deepEqual(replayed, requests);
+    assert.deepEqual(await KAnime.kQueue.list(), []);
+    KAnime.kQueue.off('queued');
+    KAnime.kQueue.off('replayed');
+  });
+
+  test('network errors are queued, timeouts are not', async () => {
+    respond({ 'http://localhost/reports': 0 });
+    const result = await k(form).kSubmitForm({ queueOffline: true, dedupeKey: 'report' });
+    assert.equal(result.entry.id, 'report');
+
+    window.fetch = (url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    });
+    await assert.rejects(k(form).kSubmitForm({ queueOffline: true, timeout: 10 }), { timedOut: true, status: 0 });
+    assert.deepEqual((await KAnime.kQueue.list()).map(entry => entry.id), ['report']);
+  });
+
+  test('definite 4xx rejections are dropped, other failures stop the replay', async () => {
+    const add = url => KAnime.kQueue.add(url, { method: 'POST' });
+    await add('/rejected');
+    await add('/unauthorized');
+    await add('/later');
+    const failed = [];
+    KAnime.kQueue.on('failed', ({ entry, error }) => failed.push([entry.url, error.status]));
+
+    respond({ '/rejected': 422, '/unauthorized': 401 });
+    assert.equal(await KAnime.kQueue.replay(), 0);
+    assert.deepEqual(failed, [['/rejected', 422]]);
+    assert.deepEqual((await KAnime.kQueue.list()).map(entry => entry.url), ['/unauthorized', '/later']);
+
+    for (const status of [403, 408, 429, 503, 0]) {
+      respond({ '/unauthorized': status });
+      await KAnime.kQueue.replay();
+      assert.equal((await KAnime.kQueue.list()).length, 2, `kept on ${status}`);
+    }
+
+    KAnime.kHttp.interceptors.request.use(() => {
+      throw new Error('No token yet');
+    });
+    respond({});
+    await KAnime.kQueue.replay();
+    assert.equal((await KAnime.kQueue.list()).length, 2, 'kept on errors without a response');
+    KAnime.kHttp.interceptors.request.clear();
+
+    assert.equal(await KAnime.kQueue.replay(), 2);
+    assert.deepEqual(await KAnime.kQueue.list(), []);
+    KAnime.kQueue.off('failed');
+  });
+
+  test('files cannot be queued without IndexedDB', async () => {
+    const body = new FormData();
+    body.append('file', new File(['x'], 'x.txt'));
+    await assert.rejects(KAnime.kQueue.add('/upload', { body }), /can only be queued with IndexedDB/);
+  });
+});
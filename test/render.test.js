@@ -0,0 +1,59 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KAnime from '../src/index.js';
+
+const k = window.k;
+const item = (user, index, html) => html`<li class="user">${user.name}</li>`;
+
+let list;
+
+beforeEach(() => {
+  document.body.innerHTML = '<ul id="list"></ul>';
+  list = document.getElementById('list');
+});
+
+const names = () => Array.from(list.children).map(li => li.textContent);
+
+test('kRender escapes values and keys the rendered elements', () => {
+  k(list).kRender(item, [{ id: 1, name: '<b>Ana</b>' }, { id: 2, name: 'Luis' }], { key: 'id' });
+  assert.equal(list.innerHTML, '<li class="user" data-k-key="1">&lt;b&gt;Ana&lt;/b&gt;</li><li class="user" data-k-key="2">Luis</li>');
+
+  k(list).kRender((user, index, html) => html`<li>${KAnime.kRaw('<b>raw</b>')}${html`<i>${index}</i>`}</li>`, [{}]);
+  assert.equal(list.innerHTML, '<li data-k-key="0"><b>raw</b><i>0</i></li>');
+});
+
+test('re-rendering keeps, moves, replaces and removes the keyed elements', () => {
+  const users = [{ id: 1, name: 'Ana' }, { id: 2, name: 'Luis' }, { id: 3, name: 'Eva' }];
+  k(list).kRender(item, users, { key: 'id' });
+  const [ana, luis, eva] = list.children;
+  const removed = [];
+  eva.removeEventListener = type => removed.push(type);
+  k(eva).kListen('click', () => {});
+
+  k(list).kRender(item, [{ id: 2, name: 'Luis' }, { id: 1, name: 'Ana M.' }, { id: 4, name: 'Rui' }], { key: 'id' });
+  assert.deepEqual(names(), ['Luis', 'Ana M.', 'Rui']);
+  assert.equal(list.children[0], luis);
+  assert.notEqual(list.children[1], ana);
+  assert.equal(eva.parentNode, null);
+  assert.deepEqual(removed, ['click'], 'removed elements are cleaned up like kRemove()');
+});
+
+test('keys named like Object.prototype members are ordinary keys', () => {
+  const keys = ['constructor', 'toString', '__proto__', 'hasOwnProperty'];
+  k(list).kRender(item, keys.map(name => ({ name })), { key: 'name' });
+  const nodes = Array.from(list.children);
+  assert.deepEqual(names(), keys);
+
+  k(list).kRender(item, keys.slice().reverse().map(name => ({ name })), { key: 'name' });
+  assert.deepEqual(names(), keys.slice().reverse());
+  assert.deepEqual(Array.from(list.children), nodes.reverse());
+});
+
+test('invalid templates and duplicate keys throw without touching the DOM', () => {
+  k(list).kRender(item, [{ name: 'Ana' }]);
+  assert.throws(() => k(list).kRender(() => '<li>plain</li>', [{}]), /must return markup built with the html tag/);
+  assert.throws(() => k(list).kRender(item, [{ id: 1 }, { id: 1 }], { key: 'id' }), /duplicate key "1"/);
+  assert.throws(() => k(list).kRender((user, index, html) => html`<li></li><li></li>`, [{}]), /single root element/);
+  assert.deepEqual(names(), ['Ana']);
+});
@@ -0,0 +1,87 @@
+import './setup.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KAnime from '../src/index.js';
+
+const k = window.k;
+const defaults = KAnime.kConfig();
+
+let box;
+
+beforeEach(() => {
+  document.body.innerHTML = '<div id="box"><p id="first">first</p></div>';
+  box = document.getElementById('box');
+});
+
+afterEach(() => {
+  KAnime.kConfig(defaults);
+  delete window.trustedTypes;
+});
+
+test('scripts, event handlers and javascript: URLs are removed', () => {
+  assert.equal(KAnime.kSanitize('<img src=x onerror=alert(1)><b>Hi</b><script>alert(1)</script>'), '<img src="x"><b>Hi</b>');
+  assert.equal(KAnime.kSanitize('<a href=" java\tscript:alert(1)">x</a>'), '<a>x</a>');
+  assert.equal(KAnime.kSanitize('<a href="/page" title="t">x</a>'), '<a href="/page" title="t">x</a>');
+  assert.equal(KAnime.kSanitize('<img src="data:image/png;base64,AA=="><a href="data:text/html,x">x</a>'), '<img src="data:image/png;base64,AA=="><a>x</a>');
+});
+
+test('unknown tags are unwrapped and svg or math subtrees are dropped', () => {
+  assert.equal(KAnime.kSanitize('<custom-tag><b>kept</b></custom-tag>'), '<b>kept</b>');
+  assert.equal(KAnime.kSanitize('<p>a<svg><a href="#"><text>b</text></a></svg><math><mi>c</mi></math></p>'), '<p>a</p>');
+});
+
+test('id and name are not allowed by default, data-* and aria-* always are', () => {
+  assert.equal(KAnime.kSanitize('<p id="x" name="y" data-id="1" aria-label="l">t</p>'), '<p data-id="1" aria-label="l">t</p>');
+  KAnime.kConfig({ allowedAttributes: ['id'] });
+  assert.equal(KAnime.kSanitize('<p id="x" class="c">t</p>'), '<p id="x">t</p>');
+});
+
+test('links keeping a target open without access to the page', () => {
+  assert.equal(
+    KAnime.kSanitize('<a href="/x" target="_blank" rel="opener">x</a>'),
+    '<a href="/x" target="_blank" rel="noopener noreferrer">x</a>'
+  );
+});
+
+test('the Safe methods insert the cleaned nodes at each position', () => {
+  const first = document.getElementById('first');
+  k(box).kAddSafe('<i onclick="x()">end</i>').kAddFirstSafe('<i>start</i>');
+  k(first).kInsertBeforeSafe('<b>before</b>').kInsertAfterSafe('<b>after</b><script></script>');
+  assert.equal(box.innerHTML, '<i>start</i><b>before</b><p id="first">first</p><b>after</b><i>end</i>');
+});
+
+test('the sanitize setting applies to kAdd and kWrapWith, kText never parses', () => {
+  k(box).kAdd('<b onclick="x()">raw</b>');
+  assert.equal(box.lastElementChild.getAttribute('onclick'), 'x()');
+
+  KAnime.kConfig({ sanitize: true });
+  k(box).kAdd('<b onclick="x()">clean</b>');
+  assert.equal(box.lastElementChild.outerHTML, '<b>clean</b>');
+  k('#first').kWrapWith('<div class="wrap" onmouseover="x()"></div>');
+  assert.equal(document.getElementById('first').parentNode.outerHTML, '<div class="wrap"><p id="first">first</p></div>');
+
+  k(box).kText('<b>text</b>');
+  assert.equal(box.innerHTML, '&lt;b&gt;text&lt;/b&gt;');
+  assert.equal(k(box).kText(), '<b>text</b>');
+});
+
+test('the Trusted Types policy only creates values from sanitized HTML', () => {
+  const policies = [];
+  window.trustedTypes = {
+    createPolicy(name, rules) {
+      const policy = { name, createHTML: value => ({ trusted: rules.createHTML(value) }) };
+      policies.push(policy);
+      return policy;
+    }
+  };
+  assert.deepEqual(KAnime.kSanitize('<b onclick="x()">a</b>'), { trusted: '<b>a</b>' });
+  assert.deepEqual(KAnime.kSanitize('<i>b</i>'), { trusted: '<i>b</i>' });
+  assert.deepEqual(policies.map(policy => policy.name), ['kanime']);
+
+  // Sanitized insertions never go through the policy
+  k(box).kAddSafe('<b>c</b>');
+  assert.equal(box.lastElementChild.outerHTML, '<b>c</b>');
+
+  KAnime.kConfig({ trustedTypesPolicy: null });
+  assert.equal(KAnime.kSanitize('<i>d</i>'), '<i>d</i>');
+});
@@ -0,0 +1,34 @@
+// Installs a jsdom window as the global environment; import it before the library.
+import { JSDOM } from 'jsdom';
+
+const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+  url: 'http://localhost/',
+  pretendToBeVisual: true
+});
+const { window } = dom;
+
+// jsdom lacks CSS.escape (set before the globals are installed, as `CSS` is one of them)
+window.CSS = window.CSS || {};
+window.CSS.escape = window.CSS.escape || (value => String(value).replace(/[^\w-]/g, char => `\\${char}`));
+
+// Requests go through `window.fetch`, which tests replace with their own stubs
+window.fetch = () => Promise.reject(new TypeError('fetch is not stubbed'));
+
+// DOM classes the library creates and dispatches must come from the same realm as the elements
+const shared = ['Event', 'CustomEvent', 'EventTarget', 'AbortController', 'AbortSignal', 'FormData', 'Blob', 'File', 'fetch'];
+
+Object.getOwnPropertyNames(window).forEach(name => {
+  if (name === 'window' || (name in globalThis && !shared.includes(name))) {
+    return;
+  }
+  Object.defineProperty(globalThis, name, {
+    configurable: true,
+    get: () => window[name],
+    set: value => {
+      window[name] = value;
+    }
+  });
+});
+globalThis.window = window;
+
+export { dom, window };
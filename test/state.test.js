@@ -0,0 +1,120 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KAnime from '../src/index.js';
+
+const k = window.k;
+
+let app;
+
+beforeEach(() => {
+  document.body.innerHTML = `
+    <div id="app">
+      <h2 data-k-text="user.name"></h2>
+      <a data-k-attr="href: user.url; title: !user.name">Profile</a>
+      <button data-k-class="active: open; theme">Menu</button>
+      <input id="name" data-k-model="user.name">
+      <input type="checkbox" value="news" data-k-model="topics">
+      <input type="checkbox" value="tips" data-k-model="topics">
+    </div>`;
+  app = document.getElementById('app');
+});
+
+const input = (el, value) => {
+  el.value = value;
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+};
+
+test('changes are batched and reported once per flush', () => {
+  const state = KAnime.kState({ user: { name: 'Ana' }, items: [] });
+  const batches = [];
+  const names = [];
+  state.kSubscribe((current, paths) => batches.push(paths));
+  const off = state.kSubscribe('user', user => names.push(user.name));
+
+  state.user.name = 'Eva';
+  state.items.push(1);
+  state.items.push(2);
+  state.kFlush();
+  assert.deepEqual(batches, [['user.name', 'items.0', 'items.1']]);
+  assert.deepEqual(names, ['Eva']);
+
+  off();
+  state.user = { name: 'Rui' };
+  state.items.length = 0;
+  state.kFlush();
+  assert.deepEqual(names, ['Eva']);
+  assert.equal(batches.length, 2);
+  state.kFlush();
+  assert.equal(batches.length, 2, 'nothing pending, nothing reported');
+});
+
+test('state keys named like the store methods are not hidden by them', () => {
+  const state = KAnime.kState({ kSubscribe: 'newsletter', nested: { kFlush: 1 } });
+  assert.equal(state.kSubscribe, 'newsletter');
+  assert.equal(state.nested.kFlush, 1);
+  assert.equal(typeof KAnime.kState({}).kFlush, 'function');
+});
+
+test('kBind writes the bound elements and updates them after changes', () => {
+  const state = KAnime.kState({ user: { name: 'Ana', url: '/ana' }, open: false, theme: 'dark', topics: ['tips'] });
+  k(app).kBind(state);
+  const [title, link, button, , news, tips] = app.querySelectorAll('[data-k-text], a, button, input');
+  assert.equal(title.textContent, 'Ana');
+  assert.equal(link.getAttribute('href'), '/ana');
+  assert.equal(link.hasAttribute('title'), false);
+  assert.equal(button.className, 'dark');
+  assert.equal(document.getElementById('name').value, 'Ana');
+  assert.deepEqual([news.checked, tips.checked], [false, true]);
+
+  state.open = true;
+  state.theme = 'light';
+  state.user.name = '';
+  state.kFlush();
+  assert.equal(button.className, 'active light');
+  assert.equal(link.getAttribute('title'), '', 'true sets an empty attribute');
+  assert.equal(title.textContent, '');
+});
+
+test('data-k-model writes the inputs back to the store', () => {
+  const state = KAnime.kState({ user: { name: 'Ana' }, topics: [] });
+  k(app).kBind(state);
+  input(document.getElementById('name'), 'Luis');
+  assert.equal(state.user.name, 'Luis');
+
+  const news = app.querySelector('[value="news"]');
+  news.click();
+  assert.deepEqual(Array.from(state.topics), ['news']);
+  news.click();
+  assert.deepEqual(Array.from(state.topics), []);
+});
+
+test('kRemoveAllListeners keeps the model bindings, kUnbind releases them', () => {
+  const state = KAnime.kState({ user: { name: 'Ana' }, topics: [] });
+  const name = document.getElementById('name');
+  k(app).kBind(state);
+  let inputs = 0;
+  k(name).kListen('input', () => inputs++);
+
+  k('input').kRemoveAllListeners();
+  input(name, 'Luis');
+  assert.equal(state.user.name, 'Luis');
+  assert.equal(inputs, 0);
+
+  k(app).kUnbind(state);
+  input(name, 'Eva');
+  assert.equal(state.user.name, 'Luis');
+  state.user.name = 'Rui';
+  state.kFlush();
+  assert.equal(name.value, 'Eva');
+});
+
+test('kRemove drops the bindings of the removed elements', () => {
+  const state = KAnime.kState({ user: { name: 'Ana' }, topics: [] });
+  const name = document.getElementById('name');
+  k(app).kBind(state);
+  k(name).kRemove();
+  input(name, 'Luis');
+  assert.equal(state.user.name, 'Ana');
+  assert.throws(() => k(app).kBind({}), /kBind expects a store/);
+});
@@ -0,0 +1,142 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KAnime from '../src/index.js';
+
+const k = window.k;
+
+const vtt = [
+  '\uFEFFWEBVTT - Episode 1',
+  '',
+  'NOTE Translated by Ana,',
+  'reviewed by Rui',
+  '',
+  'STYLE',
+  '::cue { color: yellow }',
+  '',
+  'intro',
+  '00:01.000 --> 00:03.500 align:start line:90%',
+  '<v Narrator>Long ago</v>',
+  '',
+  '01:00:04.250 --> 01:00:06.000',
+  'In a <b>distant</b> land',
+  'far away',
+  ''
+].join('\r\n');
+
+const srt = [
+  '1',
+  '00:00:01,000 --> 00:00:02,000 X1:100 X2:200 Y1:10 Y2:20',
+  'Hello',
+  '',
+  '2',
+  '00:00:02,500 --> 00:00:04,000',
+  '<i>World</i>',
+  ''
+].join('\n');
+
+test('kParseSubtitles reads WebVTT with a BOM, CRLF, hour-less times and skipped blocks', () => {
+  assert.deepEqual(KAnime.kParseSubtitles(vtt), [
+    { id: 'intro', start: 1, end: 3.5, text: '<v Narrator>Long ago</v>', settings: 'align:start line:90%' },
+    { id: '', start: 3604.25, end: 3606, text: 'In a <b>distant</b> land\nfar away', settings: '' }
+  ]);
+});
+
+test('kParseSubtitles reads SRT and drops its X1: coordinates', () => {
+  const cues = KAnime.kParseSubtitles(srt);
+  assert.deepEqual(cues.map(cue => [cue.id, cue.start, cue.end, cue.text, cue.settings]), [
+    ['1', 1, 2, 'Hello', ''],
+    ['2', 2.5, 4, '<i>World</i>', '']
+  ]);
+  assert.deepEqual(KAnime.kParseSubtitles('00:00:01,000 --> 00:00:02,000\nNo id'), [
+    { id: '', start: 1, end: 2, text: 'No id', settings: '' }
+  ]);
+  assert.deepEqual(KAnime.kParseSubtitles('1\nnot a timing --> at all\nText'), []);
+  assert.deepEqual(KAnime.kParseSubtitles(null), []);
+});
+
+test('kSrtToVtt writes WebVTT with full timestamps, keeping ids and settings', () => {
+  assert.equal(KAnime.kSrtToVtt(srt), [
+    'WEBVTT',
+    '',
+    '1',
+    '00:00:01.000 --> 00:00:02.000',
+    'Hello',
+    '',
+    '2',
+    '00:00:02.500 --> 00:00:04.000',
+    '<i>World</i>',
+    ''
+  ].join('\n'));
+  assert.equal(KAnime.kSrtToVtt(vtt), [
+    'WEBVTT',
+    '',
+    'intro',
+    '00:00:01.000 --> 00:00:03.500 align:start line:90%',
+    '<v Narrator>Long ago</v>',
+    '',
+    '01:00:04.250 --> 01:00:06.000',
+    'In a <b>distant</b> land',
+    'far away',
+    ''
+  ].join('\n'));
+});
+
+let video;
+
+beforeEach(() => {
+  document.body.innerHTML = '<main><video></video><p>Transcript</p></main>';
+  video = document.querySelector('video');
+  const box = { offsetLeft: 20, offsetTop: 10, offsetWidth: 640, offsetHeight: 360 };
+  Object.keys(box).forEach(name => Object.defineProperty(video, name, { configurable: true, get: () => box[name] }));
+  Object.defineProperty(video, 'currentTime', { configurable: true, writable: true, value: 0 });
+});
+
+const seek = time => {
+  video.currentTime = time;
+  video.dispatchEvent(new Event('timeupdate'));
+};
+
+test('the overlay is placed over the media without wrapping it', async () => {
+  await k(video).kAddSubtitles(srt, { language: 'en' });
+  k(video).kSubtitleOverlay();
+  const overlay = video.nextElementSibling;
+  assert.equal(video.parentNode, document.querySelector('main'));
+  assert.equal(overlay.className, 'k-subtitles');
+  assert.deepEqual([overlay.style.left, overlay.style.top, overlay.style.width, overlay.style.height], ['20px', '10px', '640px', '360px']);
+  assert.doesNotMatch(document.querySelector('style[data-kanime-subtitles]').textContent, /video|host/);
+
+  seek(3);
+  assert.equal(overlay.innerHTML, '<span><i>World</i></span><br>');
+
+  // Wrapped by kMediaControls since: the overlay follows the media on the next cue
+  k(video).kMediaControls({ autoHide: 0 });
+  seek(1);
+  assert.equal(video.nextElementSibling, overlay);
+  assert.equal(overlay.textContent, 'Hello');
+
+  k(video).kSubtitleOverlay(false);
+  assert.equal(document.querySelector('.k-subtitles'), null);
+});
+
+test('cues render into a container of your own', async () => {
+  document.body.insertAdjacentHTML('beforeend', '<div id="captions">old</div>');
+  await k(video).kAddSubtitles(vtt, { language: 'pt-BR' });
+  k(video).kSubtitleOverlay({ container: '#captions' });
+  const captions = document.getElementById('captions');
+  assert.equal(captions.textContent, '');
+  seek(3604.5);
+  assert.equal(captions.querySelector('span').innerHTML, 'In a <b>distant</b> land\nfar away');
+  assert.equal(captions.style.top, '');
+});
+
+test('kRemoveAllListeners keeps the subtitles in sync', async () => {
+  const changes = [];
+  await k(video).kAddSubtitles(srt, { language: 'en' });
+  k(video).kSubtitleOverlay();
+  video.addEventListener('subtitlechange', e => changes.push(e.detail.cues.map(cue => cue.text)));
+  k(video).kRemoveAllListeners();
+  seek(1.5);
+  assert.equal(video.nextElementSibling.textContent, 'Hello');
+  assert.deepEqual(changes, [['Hello']]);
+});
@@ -0,0 +1,92 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KAnime from '../src/index.js';
+
+let a;
+let b;
+
+beforeEach(() => {
+  document.body.innerHTML = '<div id="a" style="left: 0px"></div><div id="b" style="left: 0px"></div>';
+  a = document.getElementById('a');
+  b = document.getElementById('b');
+});
+
+test('steps follow each other and seek renders every step at that time', () => {
+  const tl = KAnime.kTimeline()
+    .add('#a', { left: '100px' }, 100)
+    .add('#b', { left: '200px' }, 100);
+  assert.equal(tl.duration, 200);
+
+  tl.seek(50);
+  assert.equal(a.style.left, '50px');
+  tl.seek(150);
+  assert.equal(a.style.left, '100px');
+  assert.equal(b.style.left, '100px');
+  tl.seek(0);
+  assert.equal(a.style.left, '0px');
+  assert.equal(b.style.left, '0px');
+});
+
+test('offsets place steps absolutely, relatively or from labels', () => {
+  const tl = KAnime.kTimeline({ duration: 100 })
+    .add('#a', { left: '100px' })
+    .add('#b', { left: '100px' }, {}, '-=50')
+    .label('end')
+    .add('#a', { top: '10px' }, 100, 'end+=25')
+    .add('#b', { top: '10px' }, 100, 10);
+  assert.deepEqual(tl.steps.map(step => step.start), [0, 50, 175, 10]);
+  assert.equal(tl.labels.end, 150);
+  assert.equal(tl.duration, 275);
+  assert.throws(() => tl.add('#a', { left: '0px' }, 100, 'missing'), /Unknown timeline label "missing"/);
+});
+
+test('later steps win for properties animated by several steps', () => {
+  const tl = KAnime.kTimeline()
+    .add('#a', { left: '100px' }, 100)
+    .add('#a', { left: '300px' }, 100);
+  tl.seek(150);
+  assert.equal(a.style.left, '200px');
+  tl.seek(50);
+  assert.equal(a.style.left, '50px');
+});
+
+test('play resolves finished at the end and calls onComplete', async () => {
+  let completed = 0;
+  const tl = KAnime.kTimeline({ onComplete: () => completed++ }).add('#a', { left: '100px' }, 30).play();
+  assert.equal(await tl.finished, tl);
+  assert.equal(a.style.left, '100px');
+  assert.equal(completed, 1);
+});
+
+test('loop and alternate replay the timeline', async () => {
+  const tl = KAnime.kTimeline({ loop: 1, alternate: true }).add('#a', { left: '100px' }, 20).play();
+  await tl.finished;
+  assert.equal(tl.iteration, 2);
+  assert.equal(a.style.left, '0px');
+});
+
+test('cancel resets the steps and rejects finished', async () => {
+  const tl = KAnime.kTimeline().add('#a', { left: '100px' }, 10000).play();
+  tl.pause().seek(5000);
+  assert.equal(a.style.left, '50px');
+  tl.cancel();
+  assert.equal(a.style.left, '0px');
+  await assert.rejects(tl.finished, { name: 'AbortError' });
+});
+
+test('step delays and staggers push the step and the following ones back', () => {
+  document.body.innerHTML = '<i style="left: 0px"></i><i style="left: 0px"></i>';
+  const tl = KAnime.kTimeline()
+    .add('i', { left: '100px' }, { duration: 100, delay: 50, stagger: 20 })
+    .add('#a', { left: '100px' }, 100);
+  assert.deepEqual(tl.steps[0].delays, [50, 70]);
+  assert.equal(tl.steps[1].start, 170);
+
+  const [first, second] = document.querySelectorAll('i');
+  tl.seek(40);
+  assert.equal(first.style.left, '0px');
+  tl.seek(100);
+  assert.equal(first.style.left, '50px');
+  assert.equal(second.style.left, '30px');
+});
@@ -0,0 +1,74 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/index.js';
+
+const k = window.k;
+
+let panel;
+let hidden;
+
+beforeEach(() => {
+  document.head.innerHTML = '<style>.panel { height: 40px; padding-top: 4px; padding-bottom: 4px } .hidden { display: none }</style>';
+  document.body.innerHTML = '<div class="panel" id="panel" style="color: red"></div><div class="panel hidden" id="hidden"></div>';
+  panel = document.getElementById('panel');
+  hidden = document.getElementById('hidden');
+});
+
+test('kSlideUp shrinks the element, hides it and restores its inline styles', async () => {
+  const { kAnimation } = k(panel).kSlideUp(10000);
+  kAnimation.pause().seek(0.5);
+  assert.equal(panel.style.height, '20px');
+  assert.equal(panel.style.paddingTop, '2px');
+  assert.equal(panel.style.overflow, 'hidden');
+  kAnimation.finish();
+  assert.equal(panel.getAttribute('style'), 'color: red; display: none;');
+});
+
+test('kSlideDown reveals an element hidden by a stylesheet at its natural height', async () => {
+  const { kAnimation } = k(hidden).kSlideDown(10000);
+  assert.equal(hidden.style.display, 'block');
+  kAnimation.pause().seek(0.5);
+  assert.equal(hidden.style.height, '20px');
+  kAnimation.finish();
+  assert.equal(hidden.getAttribute('style'), 'display: block;');
+});
+
+test('kSlideToggle reverses a running slide from its current height', () => {
+  k(panel).kSlideUp(10000).kAnimation.pause().seek(0.5);
+  const { kAnimation } = k(panel).kSlideToggle(10000);
+  kAnimation.pause().seek(0);
+  assert.equal(panel.style.height, '20px');
+  kAnimation.finish();
+  assert.equal(panel.getAttribute('style'), 'color: red;');
+});
+
+test('kStop cancels a slide and gives the element its own styles back', () => {
+  k(panel).kSlideUp(10000).kAnimation.pause().seek(0.5);
+  k(panel).kStop();
+  assert.equal(panel.getAttribute('style'), 'color: red;');
+
+  k(panel).kSlideUp(10000);
+  k(panel).kStop(true);
+  assert.equal(panel.style.display, 'none');
+  assert.equal(panel.style.overflow, '');
+});
+
+test('hiding and showing again restores the original display value', async () => {
+  panel.style.display = 'inline-flex';
+  await k(panel).kHideFade(10).kAnimation.finished;
+  assert.equal(panel.style.display, 'none');
+  await k(panel).kShowFade(10).kAnimation.finished;
+  assert.equal(panel.style.display, 'inline-flex');
+});
+
+test('kScaleIn and kScaleOut scale and fade the elements', async () => {
+  await k(hidden).kScaleIn(10).kAnimation.finished;
+  assert.equal(hidden.style.display, 'block');
+  assert.equal(hidden.style.transform, 'scale(1)');
+  assert.equal(hidden.style.opacity, '1');
+
+  await k(hidden).kScaleOut(10).kAnimation.finished;
+  assert.equal(hidden.style.display, 'none');
+  assert.equal(hidden.style.transform, 'scale(1)');
+});
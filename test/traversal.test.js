@@ -0,0 +1,66 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/index.js';
+
+const k = window.k;
+const ids = selection => selection.elements.map(el => el.id);
+
+beforeEach(() => {
+  document.body.innerHTML = `
+    <div id="panel" class="panel">
+      <ul id="menu">
+        <li id="one" class="item"><a id="a1" href="#">1</a></li>
+        <li id="two" class="item active"><a id="a2" href="#">2</a></li>
+        <li id="three" class="item disabled"></li>
+      </ul>
+    </div>
+    <ul id="other"><li id="four" class="item"></li></ul>`;
+});
+
+test('a context scopes selector queries', () => {
+  assert.deepEqual(ids(k('li', '#menu')), ['one', 'two', 'three']);
+  assert.deepEqual(ids(k('li', document.getElementById('other'))), ['four']);
+  assert.deepEqual(ids(k('li', k('ul'))), ['one', 'two', 'three', 'four']);
+  assert.deepEqual(ids(k('li', '#missing')), []);
+});
+
+test('kFind returns unique descendants in document order', () => {
+  assert.deepEqual(ids(k('ul').kFind('li')), ['one', 'two', 'three', 'four']);
+  assert.deepEqual(ids(k('#panel, #menu').kFind('a')), ['a1', 'a2']);
+});
+
+test('kParent, kParents and kClosest walk up the tree', () => {
+  assert.deepEqual(ids(k('#a1, #a2').kParent()), ['one', 'two']);
+  assert.deepEqual(ids(k('#a1').kParents()).slice(0, 3), ['one', 'menu', 'panel']);
+  assert.deepEqual(ids(k('#a1, #a2').kParents('.panel')), ['panel']);
+  assert.deepEqual(ids(k('#a1, #four').kClosest('li')), ['one', 'four']);
+  assert.deepEqual(ids(k('#one').kClosest('.item')), ['one']);
+});
+
+test('kChildren, kSiblings, kNext and kPrev walk sideways and down', () => {
+  assert.deepEqual(ids(k('#menu').kChildren('.active')), ['two']);
+  assert.deepEqual(ids(k('#two').kSiblings()), ['one', 'three']);
+  assert.deepEqual(ids(k('#one, #three').kSiblings()), ['one', 'two', 'three']);
+  assert.deepEqual(ids(k('#one').kNext()), ['two']);
+  assert.deepEqual(ids(k('#one').kNext('.disabled')), []);
+  assert.deepEqual(ids(k('#three').kPrev()), ['two']);
+});
+
+test('kFilter, kNot and kIs accept selectors, predicates and elements', () => {
+  assert.deepEqual(ids(k('li').kFilter('.active, .disabled')), ['two', 'three']);
+  assert.deepEqual(ids(k('li').kFilter((el, index) => index % 2 === 0)), ['one', 'three']);
+  assert.deepEqual(ids(k('li').kNot('.disabled')), ['one', 'two', 'four']);
+  assert.deepEqual(ids(k('li').kNot(k('#menu li'))), ['four']);
+  assert.equal(k('li').kIs('.active'), true);
+  assert.equal(k('li').kIs(document.getElementById('four')), true);
+  assert.equal(k('#one').kIs(el => el.id === 'two'), false);
+});
+
+test('kEq, kFirst and kLast pick by position', () => {
+  assert.deepEqual(ids(k('li').kEq(1)), ['two']);
+  assert.deepEqual(ids(k('li').kEq(-1)), ['four']);
+  assert.deepEqual(ids(k('li').kEq(10)), []);
+  assert.deepEqual(ids(k('li').kFirst()), ['one']);
+  assert.deepEqual(ids(k('li').kLast()), ['four']);
+});
@@ -0,0 +1,165 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KAnime from '../src/index.js';
+
+const k = window.k;
+
+let form;
+let requests;
+
+// XMLHttpRequest stand-in: tests drive upload progress and completion by hand
+class FakeXHR {
+  constructor() {
+    this.upload = {};
+    this.headers = {};
+    requests.push(this);
+  }
+
+  open(method, url) {
+    Object.assign(this, { method, url });
+  }
+
+  setRequestHeader(name, value) {
+    this.headers[name] = value;
+  }
+
+  send(body) {
+    this.body = body;
+  }
+
+  abort() {
+    this.onabort();
+  }
+
+  getAllResponseHeaders() {
+    return 'Content-Type: application/json\r\n';
+  }
+
+  respond(status, text) {
+    this.status = status;
+    this.statusText = 'OK';
+    this.response = new TextEncoder().encode(text).buffer;
+    this.onload();
+  }
+}
+
+// A fetch that records the requests and answers with `handler(init, index)`
+function stubFetch(handler) {
+  window.fetch = (url, init) => {
+    requests.push({ url, init });
+    return Promise.resolve().then(() => handler(init, requests.length - 1));
+  };
+}
+
+// A response that never comes: settles only when the request is aborted
+function hang(init) {
+  return new Promise((resolve, reject) => {
+    const abort = () => reject(new DOMException('Aborted', 'AbortError'));
+    if (init.signal.aborted) abort();
+    init.signal.addEventListener('abort', abort);
+  });
+}
+
+function attach(files) {
+  Object.defineProperty(form.elements.file, 'files', { configurable: true, value: files });
+}
+
+beforeEach(() => {
+  requests = [];
+  window.XMLHttpRequest = FakeXHR;
+  localStorage.clear();
+  document.body.innerHTML = '<form id="upload" action="/upload"><input name="title" value="Doc"><input type="file" name="file"></form>';
+  form = document.getElementById('upload');
+});
+
+test('progress callbacks switch the request to XMLHttpRequest', async () => {
+  const progress = [];
+  const promise = k(form).kSubmitForm({ onUploadProgress: ({ loaded, total, progress: ratio }) => progress.push([loaded, total, ratio]) });
+  await Promise.resolve();
+  const [xhr] = requests;
+  assert.equal(xhr.method, 'POST');
+  assert.equal(xhr.url, 'http://localhost/upload');
+  assert.ok(xhr.body instanceof FormData);
+
+  xhr.upload.onprogress({ loaded: 50, total: 200, lengthComputable: true });
+  xhr.upload.onprogress({ loaded: 200, total: 200, lengthComputable: true });
+  xhr.respond(200, '{"id":7}');
+  assert.deepEqual(await promise, { id: 7 });
+  assert.deepEqual(progress, [[50, 200, 0.25], [200, 200, 1]]);
+});
+
+test('cancel() and a caller signal abort the submission', async () => {
+  stubFetch(hang);
+  const submission = k(form).kSubmitForm();
+  await Promise.resolve();
+  submission.cancel();
+  await assert.rejects(submission, { message: 'Request aborted' });
+
+  const controller = new AbortController();
+  const withSignal = k(form).kSubmitForm({ signal: controller.signal });
+  await Promise.resolve();
+  controller.abort();
+  await assert.rejects(withSignal, { message: 'Request aborted' });
+
+  const xhrSubmission = k(form).kSubmitForm({ onUploadProgress() {} });
+  await Promise.resolve();
+  xhrSubmission.cancel();
+  await assert.rejects(xhrSubmission, { message: 'Request aborted' });
+});
+
+test('large files are uploaded in chunks and replaced by their upload id', async () => {
+  // Chunks report their progress through XMLHttpRequest, the final request goes through fetch
+  window.XMLHttpRequest = class extends FakeXHR {
+    send(body) {
+      super.send(body);
+      Promise.resolve().then(() => {
+        this.upload.onprogress({ loaded: body.size, total: body.size, lengthComputable: true });
+        this.respond(200, '{}');
+      });
+    }
+  };
+  stubFetch(() => new Response('{}', { headers: { 'Content-Type': 'application/json' } }));
+  const file = new File(['0123456789'], 'notes.txt', { lastModified: 1 });
+  attach([file]);
+  const progress = [];
+  // JSON body: jsdom's FormData does not see files attached by the test
+  await k(form).kSubmitForm({ json: true, chunked: { size: 4 }, onUploadProgress: ({ loaded, total }) => progress.push([loaded, total]) });
+
+  const chunks = requests.filter(request => request instanceof FakeXHR);
+  assert.deepEqual(chunks.map(xhr => xhr.headers['Content-Range']), ['bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10']);
+  const id = chunks[0].headers['X-Upload-Id'];
+  assert.ok(chunks.every(xhr => xhr.url === 'http://localhost/upload' && xhr.headers['X-Upload-Id'] === id));
+  assert.deepEqual(chunks.map(xhr => xhr.body.size), [4, 4, 2]);
+  assert.deepEqual(progress, [[4, 10], [8, 10], [10, 10]]);
+
+  const { init } = requests[requests.length - 1];
+  assert.deepEqual(JSON.parse(init.body), { title: 'Doc', file: id });
+  assert.equal(localStorage.length, 0, 'finished uploads forget their offset');
+});
+
+test('interrupted uploads resume after the stored chunks and failed chunks are retried', async () => {
+  let failures = 1;
+  stubFetch(init => {
+    if (init.headers['Content-Range'] === 'bytes 8-9/10' && failures-- > 0) {
+      throw new TypeError('Failed to fetch');
+    }
+    return new Response('{}', { headers: { 'Content-Type': 'application/json' } });
+  });
+  attach([new File(['0123456789'], 'notes.txt', { lastModified: 1 })]);
+  const ranges = () => requests.map(request => request.init.headers['Content-Range']);
+
+  await assert.rejects(k(form).kSubmitForm({ chunked: { size: 4, retry: 0 } }), { status: 0 });
+  assert.deepEqual(ranges(), ['bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10']);
+  requests = [];
+  await k(form).kSubmitForm({ chunked: { size: 4, retry: 0 } });
+  assert.deepEqual(ranges(), ['bytes 8-9/10', undefined]);
+
+  requests = [];
+  failures = 1;
+  stubFetch(init => (init.headers['Content-Range'] === 'bytes 4-7/10' && failures-- > 0
+    ? new Response('', { status: 503 })
+    : new Response('{}', { headers: { 'Content-Type': 'application/json' } })));
+  await k(form).kSubmitForm({ chunked: { size: 4, retry: 1 } });
+  assert.deepEqual(ranges(), ['bytes 0-3/10', 'bytes 4-7/10', 'bytes 4-7/10', 'bytes 8-9/10', undefined]);
+});
@@ -0,0 +1,164 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KAnime from '../src/index.js';
+
+const k = window.k;
+const tick = () => new Promise(resolve => setTimeout(resolve));
+
+let form;
+let submits;
+
+beforeEach(() => {
+  document.body.innerHTML = `
+    <form id="signup" action="/signup">
+      <input name="email" type="email" required>
+      <input name="password" minlength="4">
+      <input name="confirm">
+      <p data-k-error="confirm"></p>
+      <label><input type="checkbox" name="terms" value="yes" required disabled> Terms</label>
+      <button id="send" name="action" value="send">Send</button>
+    </form>`;
+  form = document.getElementById('signup');
+  submits = [];
+  // Last listener: records the submissions that get through and keeps jsdom from navigating
+  form.addEventListener('submit', e => {
+    submits.push(e);
+    e.preventDefault();
+  });
+});
+
+const fill = values => Object.keys(values).forEach(name => {
+  form.elements[name].value = values[name];
+});
+
+test('rules and constraint attributes render accessible errors', async () => {
+  k(form).kValidate({ confirm: { match: { value: 'password', message: 'Passwords differ' } } });
+  fill({ email: 'nope', password: 'abc', confirm: 'abd' });
+  assert.equal(await k(form).kIsValid(), false);
+
+  const email = form.elements.email;
+  const error = email.nextElementSibling;
+  assert.equal(error.textContent, 'Please enter a valid email address.');
+  assert.equal(error.className, 'k-error');
+  assert.equal(email.getAttribute('aria-invalid'), 'true');
+  assert.equal(email.getAttribute('aria-describedby'), error.id);
+  assert.ok(email.classList.contains('k-invalid'));
+  assert.equal(form.elements.password.nextElementSibling.textContent, 'Please enter at least 4 characters.');
+  assert.equal(form.querySelector('[data-k-error="confirm"]').textContent, 'Passwords differ');
+
+  fill({ email: 'ana@example.com', password: 'abcd', confirm: 'abcd' });
+  assert.equal(await k(form).kIsValid(), true);
+  assert.equal(error.hidden, true);
+  assert.equal(email.hasAttribute('aria-invalid'), false);
+  assert.equal(email.hasAttribute('aria-describedby'), false);
+});
+
+test('fields whose controls are all disabled are skipped', async () => {
+  k(form).kValidate({ terms: { required: true } });
+  fill({ email: 'ana@example.com' });
+  assert.equal(await k(form).kIsValid(), true);
+
+  form.elements.terms.disabled = false;
+  assert.equal(await k(form).kIsValid(), false);
+  form.elements.terms.disabled = true;
+  assert.equal(await k(form).kIsValid(), true);
+  assert.equal(form.querySelector('label').nextElementSibling.hidden, true);
+});
+
+test('async validators fail the field with their message or the error\'s', async () => {
+  let available = false;
+  k(form).kValidate({
+    password: { validate: [value => value.length > 5 || 'Too short', async () => available] },
+    confirm: { validate: () => Promise.reject(new Error('Network down')) }
+  });
+  fill({ email: 'ana@example.com', password: 'abcd', confirm: 'x' });
+  assert.equal(await k(form).kIsValid(), false);
+  assert.equal(form.elements.password.nextElementSibling.textContent, 'Too short');
+  assert.equal(form.querySelector('[data-k-error="confirm"]').textContent, 'Network down');
+
+  fill({ password: 'abcdef' });
+  await k(form).kIsValid();
+  assert.equal(form.elements.password.nextElementSibling.textContent, 'Please enter a valid value.');
+  available = true;
+  await k(form).kIsValid();
+  assert.equal(form.elements.password.nextElementSibling.hidden, true);
+});
+
+test('an invalid submission is held and the first invalid field focused', async () => {
+  k(form).kValidate();
+  form.requestSubmit();
+  await tick();
+  assert.equal(submits.length, 0);
+  assert.equal(document.activeElement, form.elements.email);
+});
+
+test('a valid submission is submitted again, once, with its submitter', async () => {
+  k(form).kValidate();
+  fill({ email: 'ana@example.com' });
+  form.requestSubmit(document.getElementById('send'));
+  assert.equal(submits.length, 0, 'held while validating');
+  await tick();
+  assert.equal(submits.length, 1);
+  assert.equal(submits[0].submitter, document.getElementById('send'));
+});
+
+test('kOnFormSubmit runs once per valid submission and validates once', async () => {
+  let validations = 0;
+  const received = [];
+  k(form).kOnFormSubmit(data => received.push(data));
+  k(form).kValidate({ email: { validate: () => ++validations > 0 } });
+
+  form.requestSubmit();
+  await tick();
+  assert.deepEqual(received, []);
+
+  fill({ email: 'ana@example.com' });
+  validations = 0;
+  form.requestSubmit();
+  await tick();
+  assert.equal(received.length, 1);
+  assert.equal(received[0].email, 'ana@example.com');
+  assert.equal(validations, 1);
+});
+
+test('kSubmitForm called from a validated submission does not validate again', async () => {
+  let validations = 0;
+  const requests = [];
+  window.fetch = url => {
+    requests.push(url);
+    return Promise.resolve(new Response('{}', { headers: { 'Content-Type': 'application/json' } }));
+  };
+  k(form).kValidate({ email: { validate: () => ++validations > 0 } });
+  let sent;
+  k(form).kOnFormSubmit(() => {
+    sent = k(form).kSubmitForm();
+  });
+
+  fill({ email: 'ana@example.com' });
+  form.requestSubmit();
+  await tick();
+  await sent;
+  assert.equal(validations, 1);
+  assert.deepEqual(requests, ['http://localhost/signup']);
+
+  form.elements.email.value = '';
+  await assert.rejects(k(form).kSubmitForm(), error => error instanceof KAnime.ValidationError && !!error.errors.email);
+  assert.equal(requests.length, 1);
+});
+
+test('kRemoveAllListeners keeps validating, kResetValidation(true) detaches', async () => {
+  k(form).kValidate();
+  k(form).kRemoveAllListeners();
+  form.requestSubmit();
+  await tick();
+  assert.equal(submits.length, 0);
+  assert.equal(form.noValidate, true);
+
+  k(form).kResetValidation(true);
+  assert.equal(form.querySelector('.k-error'), null);
+  assert.equal(form.noValidate, false);
+  fill({ email: 'ana@example.com' });
+  form.requestSubmit();
+  assert.equal(submits.length, 1);
+});
@@ -0,0 +1,138 @@
+import './setup.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/index.js';
+
+const k = window.k;
+
+let observers;
+
+// IntersectionObserver stand-in: tests report the intersections by hand
+class FakeObserver {
+  constructor(callback, options) {
+    Object.assign(this, { callback, options, targets: new Set(), disconnected: false });
+    observers.push(this);
+  }
+
+  observe(el) {
+    this.targets.add(el);
+  }
+
+  unobserve(el) {
+    this.targets.delete(el);
+  }
+
+  disconnect() {
+    this.targets.clear();
+    this.disconnected = true;
+  }
+
+  report(...elements) {
+    this.callback(elements.map(([target, ratio]) => ({ target, isIntersecting: ratio > 0, intersectionRatio: ratio })));
+  }
+}
+
+const live = () => observers.filter(observer => !observer.disconnected);
+const tick = () => new Promise(resolve => setTimeout(resolve));
+
+let cards;
+
+beforeEach(() => {
+  observers = [];
+  window.IntersectionObserver = FakeObserver;
+  document.head.innerHTML = '<style>.later { display: none }</style>';
+  document.body.innerHTML = '<div class="card" id="a"></div><div class="card" id="b"></div><div class="card later" id="c"></div>';
+  cards = [...document.querySelectorAll('.card')];
+});
+
+afterEach(() => {
+  k('.card').kUnobserve();
+});
+
+test('elements watched with the same options share one observer', () => {
+  k(cards).kOnVisible(() => {});
+  k(cards[0]).kOnHidden(() => {});
+  k(cards[0]).kOnVisible(() => {}, { threshold: 0.5 });
+  assert.equal(observers.length, 2);
+  assert.deepEqual([...observers[0].targets], cards);
+  assert.deepEqual(observers[0].options, { threshold: 0, rootMargin: '0px' });
+  assert.deepEqual([...observers[1].targets], [cards[0]]);
+});
+
+test('an observer is released with its last element', () => {
+  k(cards).kOnVisible(() => {});
+  k(cards[0]).kOnHidden(() => {});
+  const [observer] = observers;
+
+  k(cards[0]).kUnobserve();
+  assert.deepEqual([...observer.targets], cards.slice(1));
+  k(cards[1]).kRemove();
+  assert.deepEqual([...observer.targets], [cards[2]]);
+  assert.equal(observer.disconnected, false);
+  k(cards[2]).kUnobserve();
+  assert.equal(observer.disconnected, true);
+
+  k(cards[2]).kOnVisible(() => {});
+  assert.equal(observers.length, 2, 'a new observer for the next element');
+  assert.deepEqual(live(), [observers[1]]);
+});
+
+test('kOnVisible and kOnHidden fire on changes, once stops watching', () => {
+  const events = [];
+  k(cards[0]).kOnVisible(function (entry, el) {
+    events.push(['visible', this.id, el === this, entry.intersectionRatio]);
+  }, { threshold: 0.5 });
+  k(cards[0]).kOnHidden(() => events.push(['hidden']), { threshold: 0.5 });
+  k(cards[1]).kOnVisible(() => events.push(['once']), { threshold: 0.5, once: true });
+  const [observer] = observers;
+
+  observer.report([cards[0], 0.2], [cards[1], 0.6]);
+  observer.report([cards[0], 0.8], [cards[1], 0.1]);
+  observer.report([cards[0], 0.9], [cards[1], 0.7]);
+  observer.report([cards[0], 0]);
+  assert.deepEqual(events, [['once'], ['visible', 'a', true, 0.8], ['hidden']]);
+  assert.deepEqual([...observer.targets], [cards[0]]);
+});
+
+test('without IntersectionObserver the elements count as visible', async () => {
+  window.IntersectionObserver = undefined;
+  let visible = 0;
+  k(cards).kOnVisible(() => visible++);
+  assert.equal(visible, 0);
+  await tick();
+  assert.equal(visible, 3);
+});
+
+test('kReveal fades elements in as they enter, including display: none ones', async () => {
+  k(cards).kReveal('fade', { duration: 20 });
+  assert.deepEqual(cards.map(card => card.style.opacity), ['0', '0', '0']);
+  assert.equal(window.getComputedStyle(cards[2]).display, 'block', 'laid out to be observed');
+
+  const [observer] = observers;
+  assert.equal(observer.options.threshold, 0.15);
+  observer.report([cards[0], 0.5], [cards[2], 0.5]);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepEqual(cards.map(card => card.style.opacity), ['1', '0', '1']);
+  assert.deepEqual([...observer.targets], [cards[1]], 'revealed once');
+});
+
+test('kLazyLoad swaps the data attributes once near the viewport', () => {
+  document.body.innerHTML = '<img data-src="photo.jpg" data-srcset="photo@2x.jpg 2x" alt=""><div data-bg="hero.jpg"></div>';
+  const loaded = [];
+  document.body.addEventListener('lazyload', e => loaded.push(e.target.tagName));
+  k('img, div').kLazyLoad();
+  const [observer] = observers;
+  assert.equal(observer.options.rootMargin, '200px');
+
+  const [img, hero] = document.body.children;
+  observer.report([img, 0.1], [hero, 0]);
+  assert.equal(img.getAttribute('src'), 'photo.jpg');
+  assert.equal(img.getAttribute('srcset'), 'photo@2x.jpg 2x');
+  assert.equal(img.hasAttribute('data-src'), false);
+  assert.ok(img.classList.contains('k-loaded'));
+  assert.equal(hero.style.backgroundImage, '');
+  observer.report([hero, 0.1]);
+  assert.equal(hero.style.backgroundImage, 'url("hero.jpg")');
+  assert.deepEqual(loaded, ['IMG', 'DIV']);
+  assert.equal(observer.disconnected, true);
+});